@@ -6,12 +6,33 @@
 
 // Import required modules
 import fs from 'fs/promises';     // For reading/writing files asynchronously
+import path from 'path';           // For building report file paths
+import crypto from 'crypto';       // For transaction IDs and analysis fingerprints
 import dotenv from 'dotenv';       // For loading environment variables from .env file
 import StudentSpendAnalyzer from './src/analyzer.js';    // Our custom data analysis module
 import AIInsightsGenerator from './src/ai-insights.js';  // Our AI integration module
+import PromptRegistry from './src/prompts.js';            // Versioned prompt templates
+import AIResponseCache from './src/ai-cache.js';          // Reuses answers to repeated prompts
+import UsageTracker from './src/usage.js';                // AI tokens, cost and spending cap
+import JobPipeline from './src/pipeline.js';              // Analyzes several students at once
+import PIIRedactor from './src/redactor.js';              // Keeps personal details out of AI prompts
+import InsightVerifier from './src/verifier.js';           // Checks the AI's figures against the analysis
+import { providerConfigFromEnv } from './src/llm-providers.js'; // Picks OpenAI, a local server or the mock
+import StatementImporter from './src/importer.js';       // Bank statement (CSV/OFX/QIF) importer
+import TransactionCategorizer from './src/categorizer.js'; // Assigns categories from descriptions
+import BudgetAlerts, { DEFAULT_RULE_SET } from './src/alerts.js'; // Configurable budget alert rules
+import AlertNotifier from './src/notifier.js';            // Emails alerts over SMTP
+import TransactionLedger from './src/ledger.js';          // Append-only transaction store
+import ReportHistory from './src/history.js';             // Snapshots of every run and diffs
+import PeerBenchmarker from './src/benchmarks.js';        // Percentiles within cohorts
+import CurrencyConverter from './src/currency.js';         // Exchange rates and money formatting
+import DataExporter from './src/exporter.js';              // CSV exports
+import DataValidator from './src/validator.js';            // Transaction checks for new data
+import { runCli } from './src/cli.js';                     // Command-line subcommands
 
 // Load environment variables (like API keys) from .env file
-dotenv.config();
+// (quiet so --json output stays clean)
+dotenv.config({ quiet: true });
 
 // ===================================================================
 // MAIN APPLICATION CLASS
@@ -23,11 +44,84 @@ dotenv.config();
 // 4. Creates reports
 
 class SpendAnalysisApp {
-  constructor() {
-    // Initialize our data analyzer
-    this.analyzer = new StudentSpendAnalyzer();
-    // AI insights generator will be initialized later (needs API key)
+  // Options (all optional, falling back to .env settings):
+  // - dataPath: student data JSON file
+  // - reportsDir: where reports are written
+  // - useAI: set to false to skip the language model entirely
+  // - storage: 'json' (read the data file) or 'ledger' (see src/ledger.js)
+  // - bypassCache: ask the AI again even when a cached answer exists
+  // - concurrency: how many students are analyzed at the same time
+  // - studentTimeoutMs: time limit for one student's analysis (0 = none)
+  constructor(options = {}) {
+    this.dataPath = options.dataPath || process.env.DATA_PATH || './data/student-data.json';
+    // The data file update in progress (see updateDataFile)
+    this.dataFileWrites = Promise.resolve();
+    this.storage = options.storage || process.env.STORAGE || 'json';
+    // With ledger storage, data lives here and the data file only feeds new records in
+    this.ledger = this.storage === 'ledger'
+      ? new TransactionLedger(options.ledgerPath || process.env.LEDGER_PATH || './data/ledger.jsonl')
+      : null;
+    this.reportsDir = options.reportsDir || process.env.REPORTS_PATH || './reports';
+    this.useAI = options.useAI !== false;
+    this.bypassCache = options.bypassCache === true || process.env.AI_CACHE_BYPASS === 'true';
+    // With more than one student at a time, only a progress line is printed per student
+    this.concurrency = Math.max(1, parseInt(options.concurrency || process.env.ANALYSIS_CONCURRENCY || 4, 10) || 1);
+    this.studentTimeoutMs = parseInt(options.studentTimeoutMs ?? (process.env.STUDENT_TIMEOUT_MS || 120000), 10) || 0;
+
+    // Initialize our data analyzer with the budget period settings from .env
+    this.analyzer = new StudentSpendAnalyzer({
+      periodStartDay: process.env.BUDGET_PERIOD_START_DAY,
+      rollover: process.env.BUDGET_ROLLOVER,
+      asOf: process.env.BUDGET_AS_OF,
+      anomalies: {
+        threshold: parseFloat(process.env.ANOMALY_THRESHOLD) || undefined,
+        budgetShare: parseFloat(process.env.ANOMALY_BUDGET_SHARE) || undefined
+      },
+      baseCurrency: process.env.BASE_CURRENCY,
+      exchangeRatesPath: process.env.EXCHANGE_RATES_PATH
+    });
+    // Alert rules (replaced by the rule file in initialize(), if there is one)
+    this.alertRules = DEFAULT_RULE_SET;
+    // Fills in missing transaction categories from their descriptions
+    this.categorizer = new TransactionCategorizer();
+    // AI insights generator will be initialized later (needs provider settings)
     this.aiInsights = null;
+
+    // Every run also keeps timestamped copies of its reports (see src/history.js)
+    this.runId = ReportHistory.createRunId();
+    this.history = new ReportHistory({
+      reportsDir: this.reportsDir,
+      maxRuns: process.env.HISTORY_MAX_RUNS ? parseInt(process.env.HISTORY_MAX_RUNS, 10) : undefined,
+      maxAgeDays: process.env.HISTORY_MAX_AGE_DAYS ? parseInt(process.env.HISTORY_MAX_AGE_DAYS, 10) : undefined
+    });
+    this.historyPruned = false;
+
+    // Tokens and estimated cost of every AI request, with an optional per-run cap
+    this.usage = new UsageTracker({
+      filePath: path.join(this.reportsDir, 'ai-usage.jsonl'),
+      runId: this.runId,
+      maxRunCost: parseFloat(process.env.AI_MAX_RUN_COST) || 0,
+      price: process.env.AI_PRICE_INPUT_PER_1M || process.env.AI_PRICE_OUTPUT_PER_1M
+        ? { input: parseFloat(process.env.AI_PRICE_INPUT_PER_1M) || 0, output: parseFloat(process.env.AI_PRICE_OUTPUT_PER_1M) || 0 }
+        : null
+    });
+
+    // Names, IDs and contact details are replaced before prompts are sent, and
+    // every request is written to an audit log (PII_POLICY: off, redact or strict)
+    this.redactor = new PIIRedactor({
+      policy: process.env.PII_POLICY || 'strict',
+      salt: process.env.PII_PSEUDONYM_SALT || undefined,
+      saltPath: process.env.PII_SALT_PATH || undefined,
+      auditPath: path.join(this.reportsDir, 'redaction-audit.jsonl'),
+      runId: this.runId
+    });
+
+    // AI replies quoting amounts, percentages or categories that aren't in the
+    // analysis are asked for again, then replaced by fallback text
+    this.verifier = new InsightVerifier({
+      amountTolerance: process.env.AI_VERIFY_AMOUNT_TOLERANCE ? parseFloat(process.env.AI_VERIFY_AMOUNT_TOLERANCE) : undefined,
+      percentTolerance: process.env.AI_VERIFY_PERCENT_TOLERANCE ? parseFloat(process.env.AI_VERIFY_PERCENT_TOLERANCE) : undefined
+    });
   }
 
   // ===================================================================
@@ -37,28 +131,57 @@ class SpendAnalysisApp {
     console.log('🚀 Starting Student Spend Analysis Application');
     console.log('=' .repeat(60));
 
-    // Try to initialize AI insights generator with OpenAI API
-    try {
-      // Create AI generator using API key from environment variables
-      this.aiInsights = new AIInsightsGenerator(process.env.OPENAI_API_KEY);
+    // Try to initialize AI insights generator with the configured provider
+    if (this.useAI) {
+      try {
+        // Pseudonyms need a secret salt (created on first use unless PII_PSEUDONYM_SALT is set)
+        if (this.redactor.policy !== 'off') {
+          await this.redactor.loadSalt();
+        }
+
+        // Create AI generator using provider settings from environment variables
+        this.aiInsights = new AIInsightsGenerator({
+          ...providerConfigFromEnv(process.env),
+          prompts: await this.createPromptRegistry(),
+          repairAttempts: process.env.AI_REPAIR_ATTEMPTS ? parseInt(process.env.AI_REPAIR_ATTEMPTS, 10) : undefined,
+          // Retries for rate limits, server errors and timeouts
+          maxRetries: process.env.AI_MAX_RETRIES ? parseInt(process.env.AI_MAX_RETRIES, 10) : undefined,
+          retryDelayMs: process.env.AI_RETRY_DELAY_MS ? parseInt(process.env.AI_RETRY_DELAY_MS, 10) : undefined,
+          // Unchanged students get the same prompts, so their answers come from here
+          cache: process.env.AI_CACHE === 'off' ? null : new AIResponseCache({
+            dir: process.env.AI_CACHE_DIR || './cache/ai',
+            ttlHours: process.env.AI_CACHE_TTL_HOURS ? parseFloat(process.env.AI_CACHE_TTL_HOURS) : undefined,
+            bypass: this.bypassCache
+          }),
+          usage: this.usage,
+          redactor: this.redactor,
+          verifier: process.env.AI_VERIFY === 'off' ? null : this.verifier,
+          verifyAttempts: process.env.AI_VERIFY_ATTEMPTS ? parseInt(process.env.AI_VERIFY_ATTEMPTS, 10) : undefined
+        });
       
-      // Test if we can actually connect to OpenAI API
-      const connectionOk = await this.aiInsights.testConnection();
-      if (!connectionOk) {
-        console.log('⚠️  AI features will use fallback mode');
+        // Test if we can actually connect to the provider
+        const connectionOk = await this.aiInsights.testConnection();
+        if (!connectionOk) {
+          console.log('⚠️  AI features will use fallback mode');
+        }
+      } catch (error) {
+        // If AI setup fails, we'll continue with basic analysis only
+        console.log('⚠️  AI initialization failed, using basic analysis only');
+        console.log('   Error:', error.message);
       }
-    } catch (error) {
-      // If AI setup fails, we'll continue with basic analysis only
-      console.log('⚠️  AI initialization failed, using basic analysis only');
-      console.log('   Error:', error.message);
+    } else {
+      console.log('ℹ️  AI disabled, using basic analysis only');
     }
 
+    // Load the alert rules advisors can edit
+    await this.loadAlertRules();
+
     // Ensure we have a directory to save our analysis reports
     try {
-      await fs.access('./reports');  // Check if reports directory exists
+      await fs.access(this.reportsDir);  // Check if reports directory exists
     } catch {
       // If directory doesn't exist, create it
-      await fs.mkdir('./reports');
+      await fs.mkdir(this.reportsDir, { recursive: true });
       console.log('📁 Created reports directory');
     }
   }
@@ -69,33 +192,422 @@ class SpendAnalysisApp {
   async loadData() {
     try {
       console.log('\n📊 Loading student spending data...');
-      // Load data from our JSON file containing student transactions
-      await this.analyzer.loadDataFromFile('./data/student-data.json');
-      
-      // Check that the data structure is valid and complete
-      this.analyzer.validateData();
+      if (this.ledger) {
+        await this.loadLedger();
+      } else {
+        // Load data from our JSON file containing student transactions
+        await this.analyzer.loadDataFromFile(this.dataPath);
+      }
+
+      // Fill in categories for any transactions that arrived without one
+      await this.categorizeData();
       
-      return true;
+      // Check the data and drop any records that can't be analyzed
+      const report = this.analyzer.validateData({
+        repair: process.env.VALIDATION_AUTO_REPAIR === 'true'
+      });
+
+      // List every problem so the data file can be fixed
+      report.issues.forEach(issue => {
+        const icon = issue.repaired ? '🔧' : issue.severity === 'error' ? '❌' : '⚠️ ';
+        console.log(`   ${icon} ${issue.path}: ${issue.message}`);
+      });
+
+      // Every student's name and ID are kept out of every prompt, not just their own
+      this.redactor.setPeople(this.analyzer.data.students);
+      // Category names the verifier looks for in AI replies
+      this.verifier.setCategoryNames(this.analyzer.data.students);
+
+      return report.summary.validStudents > 0;
     } catch (error) {
       console.error('❌ Failed to load data:', error.message);
       return false;
     }
   }
 
+  // Replay the ledger, add anything new from the data file, then load it into the analyzer.
+  // Importing is safe to repeat: transactions already in the ledger are skipped.
+  async loadLedger() {
+    await this.ledger.load();
+
+    let data = null;
+    try {
+      data = JSON.parse(await fs.readFile(this.dataPath, 'utf8'));
+    } catch (error) {
+      // Without a data file we simply use what's already in the ledger
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (data && Array.isArray(data.students)) {
+      const result = await this.ledger.importData(data);
+      if (result.entriesWritten > 0) {
+        console.log(`📒 Added ${result.transactionsAdded} new transactions from ${this.dataPath} to the ledger`);
+      }
+    }
+
+    await this.analyzer.loadDataFromLedger(this.ledger);
+  }
+
+  // ===================================================================
+  // PROMPT TEMPLATES - Which prompt versions the AI gets
+  // ===================================================================
+  // PROMPT_VERSIONS pins versions (e.g. "insights=1,tips=1"), and
+  // PROMPT_TEMPLATES_PATH adds templates from a JSON file.
+  async createPromptRegistry() {
+    const versions = {};
+    (process.env.PROMPT_VERSIONS || '').split(',').filter(pin => pin.includes('=')).forEach(pin => {
+      const [name, version] = pin.split('=').map(part => part.trim());
+      versions[name] = parseInt(version, 10);
+    });
+
+    const prompts = new PromptRegistry({
+      versions,
+      typeField: process.env.PROMPT_STUDENT_TYPE_FIELD || undefined
+    });
+    if (process.env.PROMPT_TEMPLATES_PATH) {
+      const count = await prompts.loadTemplates(process.env.PROMPT_TEMPLATES_PATH);
+      console.log(`✅ Loaded ${count} prompt templates`);
+    }
+    return prompts;
+  }
+
+  // ===================================================================
+  // ALERT RULES - Loads the declarative alert rule file
+  // ===================================================================
+  async loadAlertRules() {
+    const rulesPath = process.env.ALERT_RULES_PATH || './data/alert-rules.json';
+    try {
+      this.alertRules = await BudgetAlerts.loadRules(rulesPath);
+      console.log(`✅ Loaded ${this.alertRules.rules.length} alert rules`);
+    } catch (error) {
+      // Keep the built-in rules so alerts still work
+      console.log('⚠️  Alert rules unavailable, using built-in rules');
+      console.log('   Error:', error.message);
+    }
+  }
+
+  // Evaluate the alert rules for one student's analysis
+  evaluateAlerts(analysis) {
+    return BudgetAlerts.generateAlerts(analysis, this.alertRules);
+  }
+
+  // ===================================================================
+  // CATEGORIZATION - Assigns categories to uncategorized transactions
+  // ===================================================================
+  async categorizeData() {
+    // The rule file is optional: without it we still learn from existing data
+    try {
+      await this.categorizer.loadRules(process.env.CATEGORY_RULES_PATH || './data/category-rules.json');
+    } catch (error) {
+      console.log('⚠️  Category rules unavailable, using learned categories only');
+      console.log('   Error:', error.message);
+    }
+
+    // Runs before validation, so a file without a students array is left for
+    // validateData to report
+    const students = Array.isArray(this.analyzer.data?.students) ? this.analyzer.data.students : [];
+    this.categorizer.learnFromStudents(students);
+
+    let reviewCount = 0;
+    students.forEach(student => {
+      if (student && Array.isArray(student.transactions)) {
+        reviewCount += this.categorizer.categorizeTransactions(student.transactions).length;
+      }
+    });
+
+    if (reviewCount > 0) {
+      console.log(`🏷️  ${reviewCount} transactions could not be categorized confidently and need review`);
+    }
+  }
+
+  // ===================================================================
+  // STATEMENT IMPORT - Adds bank export transactions to a student
+  // ===================================================================
+  // They are saved to the ledger (ledger storage) or the data file, so the
+  // next run sees them too. Options are passed on to StatementImporter.
+  async importStatement(filePath, studentId, options = {}) {
+    try {
+      console.log(`\n📥 Importing ${filePath} for ${studentId}...`);
+      const result = await StatementImporter.importFile(filePath, studentId, options);
+
+      // Bank exports rarely include categories, so work them out from descriptions
+      const needsReview = this.categorizer.categorizeTransactions(result.transactions);
+      if (needsReview.length > 0) {
+        console.log(`   🏷️  ${needsReview.length} imported transactions need category review`);
+      }
+
+      if (this.ledger) {
+        // Rows already imported from an earlier copy of the statement are skipped
+        const stored = await this.ledger.appendTransactions(studentId, result.transactions);
+        this.analyzer.addTransactions(studentId, stored.transactions);
+        result.added = stored.transactions.length;
+        result.duplicates = stored.duplicates;
+        if (stored.duplicates > 0) {
+          console.log(`   ⏭️  ${stored.duplicates} transactions were already in the ledger`);
+        }
+      } else {
+        // Without a ledger the data file is the only place they can be kept
+        await this.updateDataFile(studentId, student => {
+          student.transactions = [...(student.transactions || []), ...result.transactions];
+        });
+        this.analyzer.addTransactions(studentId, result.transactions);
+        result.added = result.transactions.length;
+      }
+      console.log(`   💾 Saved ${result.added} transactions to ${this.ledger ? this.ledger.filePath : this.dataPath}`);
+
+      // Show rows we couldn't read so they can be fixed by hand
+      result.errors.forEach(error => {
+        console.log(`   ⚠️  Line ${error.line}: ${error.reason}`);
+      });
+
+      return result;
+    } catch (error) {
+      console.error('❌ Failed to import statement:', error.message);
+      return null;
+    }
+  }
+
+  // Change one student's record in the JSON data file (json storage).
+  // Updates wait for each other, so two requests at once can't overwrite
+  // each other's change with an older copy of the file.
+  async updateDataFile(studentId, change) {
+    const update = this.dataFileWrites.catch(() => {}).then(async () => {
+      const data = JSON.parse(await fs.readFile(this.dataPath, 'utf8'));
+      const student = (data.students || []).find(s => s.studentId === studentId);
+      if (!student) {
+        throw new Error(`Student ${studentId} is not in ${this.dataPath}`);
+      }
+
+      change(student);
+      await fs.writeFile(this.dataPath, JSON.stringify(data, null, 2));
+    });
+    this.dataFileWrites = update;
+    return update;
+  }
+
+  // ===================================================================
+  // ADD TRANSACTIONS - Validates and records new transactions (used by the API)
+  // ===================================================================
+  // All-or-nothing: if any transaction is invalid none are added, and the
+  // problems are returned in `errors` with paths like $[0].amount.
+  // They are saved to the ledger (ledger storage) or the data file, so they
+  // survive a restart. With the ledger, send an "id" with each transaction
+  // to make retries safe (transactions without one are always new).
+  async addTransactions(studentId, transactions) {
+    const issues = [];
+    const addIssue = (issuePath, severity, message, repaired = false) => {
+      issues.push({ path: issuePath, severity, message, repaired });
+    };
+
+    // Work on copies, then fill in missing categories before validating
+    const candidates = transactions.map(t => (t && typeof t === 'object' ? { ...t } : t));
+    const needsReview = this.categorizer.categorizeTransactions(candidates.filter(t => t && typeof t === 'object'));
+
+    candidates.forEach((transaction, index) => {
+      DataValidator.validateTransaction(transaction, `$[${index}]`, true, addIssue, new Set(this.analyzer.getCurrencies()));
+    });
+
+    const errors = issues.filter(i => i.severity === 'error');
+    let added = errors.length === 0 ? candidates : [];
+    if (added.length > 0 && this.ledger) {
+      const withIds = added.map(t => ({ ...t, id: t.id ?? crypto.randomUUID() }));
+      added = (await this.ledger.appendTransactions(studentId, withIds)).transactions;
+    } else if (added.length > 0) {
+      await this.updateDataFile(studentId, student => {
+        student.transactions = [...(student.transactions || []), ...added];
+      });
+    }
+    if (added.length > 0) {
+      this.analyzer.addTransactions(studentId, added);
+    }
+
+    return {
+      studentId,
+      added: added.length,
+      transactions: added,
+      needsReview: needsReview.length,
+      errors,
+      warnings: issues.filter(i => i.severity !== 'error')
+    };
+  }
+
+  // ===================================================================
+  // ENVELOPE TRANSFERS - Saves a transfer between category budgets (used by the API)
+  // ===================================================================
+  // transfer: { from, to, amount, date, note } (see analyzer.checkEnvelopeTransfer).
+  // The balance check and the in-memory change happen in one step, so two
+  // requests at once can't both spend the same money. It's then saved to the
+  // ledger or the data file (and taken back out if that fails).
+  // Returns { transfer, envelopes } for the transfer's period, or { error }
+  // when the transfer isn't allowed.
+  async addEnvelopeTransfer(studentId, transfer) {
+    let record;
+    try {
+      record = this.analyzer.checkEnvelopeTransfer(studentId, transfer);
+    } catch (error) {
+      return { error: error.message };
+    }
+    const envelopes = this.analyzer.applyEnvelopeTransfer(studentId, record);
+
+    try {
+      if (this.ledger) {
+        await this.ledger.appendEnvelopeTransfer(studentId, record);
+      } else {
+        await this.updateDataFile(studentId, student => {
+          student.envelopeTransfers = [...(student.envelopeTransfers || []), record];
+        });
+      }
+    } catch (error) {
+      this.analyzer.removeEnvelopeTransfer(studentId, record);
+      throw error;
+    }
+    return { transfer: record, envelopes };
+  }
+
   // ===================================================================
   // ANALYZE ALL STUDENTS - Processes each student's data individually
   // ===================================================================
-  async analyzeAllStudents() {
+  // Students are analyzed `concurrency` at a time (see src/pipeline.js), each
+  // within studentTimeoutMs. Results come back in student order, with null for
+  // students that failed or timed out, and this.runSummary says how it went.
+  // With { onlyChanged: true } (ledger storage only) students whose record and
+  // transactions are the same as in the last run are skipped, AI included
+  // (unless the budget period, alert rules or prompts changed, see analysisFingerprint).
+  async analyzeAllStudents({ onlyChanged = false } = {}) {
     // Get list of all student IDs from our data
-    const studentIds = this.analyzer.getStudentIds();
+    let studentIds = this.analyzer.getStudentIds();
     console.log(`\n🔍 Found ${studentIds.length} students to analyze`);
 
-    // Process each student one by one
-    for (const studentId of studentIds) {
-      await this.analyzeStudent(studentId);
+    const state = this.ledger ? await this.loadAnalysisState() : null;
+    if (state && onlyChanged) {
+      const changed = [];
+      for (const studentId of studentIds) {
+        const reportExists = await fs.access(path.join(this.reportsDir, `${studentId}_financial_report.json`)).then(() => true, () => false);
+        if (!reportExists || state[studentId] !== this.analysisFingerprint(studentId)) {
+          changed.push(studentId);
+        }
+      }
+      console.log(`⏭️  ${studentIds.length - changed.length} students unchanged since the last run`);
+      studentIds = changed;
     }
 
+    // Full details for each student when they run one by one; with several
+    // at a time their output would be mixed up, so just show progress
+    const display = this.concurrency === 1;
+    if (!display && studentIds.length > 0) {
+      console.log(`⚡ Analyzing ${this.concurrency} students at a time`);
+    }
+
+    const startedAt = Date.now();
+    const pipeline = new JobPipeline({
+      concurrency: this.concurrency,
+      timeoutMs: this.studentTimeoutMs,
+      onProgress: progress => this.displayProgress(progress)
+    });
+    const jobs = await pipeline.run(studentIds, (studentId, signal) => this.processStudent(studentId, { display, signal }));
+
+    const results = jobs.map(job => job.value);
+    jobs.forEach(job => {
+      if (job.status === 'ok' && this.ledger) {
+        this.analysisState[job.item] = this.analysisFingerprint(job.item);
+      }
+    });
+
+    if (this.ledger) {
+      await this.saveAnalysisState();
+    }
+
+    if (this.aiInsights) {
+      this.displayUsage(this.usage.summarize());
+      this.displayPrivacy(this.redactor.summarize());
+    }
+
+    this.runSummary = this.buildRunSummary(jobs, Date.now() - startedAt);
+    this.displayRunSummary(this.runSummary);
+    await this.saveRunSummary(this.runSummary);
+
     console.log('\n✅ Analysis completed for all students!');
+    return results;
+  }
+
+  // How every student's analysis went: succeeded (with AI text, or without AI
+  // at all), fallback (some AI text was replaced by the non-AI version) or
+  // failed (an error or the time limit)
+  buildRunSummary(jobs, durationMs) {
+    const students = jobs.map(job => {
+      const fallbacks = (this.aiInsights?.fallbacks || []).filter(f => f.studentId === job.item);
+      let status = 'succeeded';
+      if (job.status !== 'ok') {
+        status = 'failed';
+      } else if (fallbacks.length > 0) {
+        status = 'fallback';
+      }
+
+      return {
+        studentId: job.item,
+        status,
+        timedOut: job.status === 'timeout',
+        error: job.error,
+        fallbackMethods: [...new Set(fallbacks.map(f => f.method))],
+        durationMs: job.durationMs
+      };
+    });
+
+    return {
+      runId: this.runId,
+      generatedAt: new Date().toISOString(),
+      concurrency: this.concurrency,
+      durationMs,
+      total: students.length,
+      succeeded: students.filter(s => s.status === 'succeeded').length,
+      fallback: students.filter(s => s.status === 'fallback').length,
+      failed: students.filter(s => s.status === 'failed').length,
+      timedOut: students.filter(s => s.timedOut).length,
+      // AI replies whose figures matched the analysis, and those replaced by fallback text
+      figureChecks: {
+        verified: (this.aiInsights?.verifications || []).filter(v => v.status === 'verified').length,
+        replaced: (this.aiInsights?.verifications || []).filter(v => v.replacedWithFallback).length
+      },
+      students
+    };
+  }
+
+  async saveRunSummary(runSummary) {
+    try {
+      await fs.writeFile(path.join(this.reportsDir, 'run_summary.json'), JSON.stringify(runSummary, null, 2));
+      await this.saveSnapshot('run_summary.json', runSummary);
+    } catch (error) {
+      console.error('❌ Failed to save run summary:', error.message);
+    }
+  }
+
+  // Everything a student's saved report depends on: their data, the current
+  // budget period (a new month changes the report without new transactions),
+  // the alert rules and, with AI, the prompt templates and pinned versions
+  analysisFingerprint(studentId) {
+    const periodStart = this.analyzer.getPeriodStart(this.analyzer.asOf || new Date().toISOString());
+    const prompts = this.aiInsights
+      ? { templates: this.aiInsights.prompts.list(), versions: this.aiInsights.prompts.versions }
+      : null;
+
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([this.ledger.fingerprint(studentId), periodStart, this.alertRules, prompts]))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  // Fingerprints of each student's analysis as of their last run (ledger storage)
+  async loadAnalysisState() {
+    try {
+      this.analysisState = JSON.parse(await fs.readFile(path.join(this.reportsDir, 'analysis-state.json'), 'utf8'));
+    } catch {
+      this.analysisState = {};
+    }
+    return this.analysisState;
+  }
+
+  async saveAnalysisState() {
+    await fs.writeFile(path.join(this.reportsDir, 'analysis-state.json'), JSON.stringify(this.analysisState, null, 2));
   }
 
   // ===================================================================
@@ -106,56 +618,85 @@ class SpendAnalysisApp {
   // 2. Generates AI insights (if available)
   // 3. Displays results to console
   // 4. Saves detailed report
+  // Returns the results, or null if the student couldn't be analyzed
   
   async analyzeStudent(studentId) {
-    console.log(`\n${'='.repeat(50)}`);
-    console.log(`📋 ANALYZING: ${studentId}`);
-    console.log(`${'='.repeat(50)}`);
-
     try {
-      // First, generate basic mathematical analysis of spending patterns
-      const analysis = this.analyzer.analyzeStudent(studentId);
-      
-      // Show the basic analysis results to the user
+      return await this.processStudent(studentId);
+    } catch (error) {
+      console.error(`❌ Error analyzing ${studentId}:`, error.message);
+      return null;
+    }
+  }
+
+  // The analysis itself, throwing on errors (used by the pipeline).
+  // display: false skips the console details; signal is aborted when the
+  // student's time limit runs out, which stops further AI requests and
+  // keeps a late result from being saved.
+  async processStudent(studentId, { display = true, signal } = {}) {
+    if (display) {
+      console.log(`\n${'='.repeat(50)}`);
+      console.log(`📋 ANALYZING: ${studentId}`);
+      console.log(`${'='.repeat(50)}`);
+    }
+
+    // First, generate basic mathematical analysis of spending patterns
+    const analysis = this.analyzer.analyzeStudent(studentId);
+
+    // Check the alert rules
+    analysis.alerts = this.evaluateAlerts(analysis);
+
+    if (display) {
+      // Show the basic analysis results and anything that needs attention
       this.displayBasicAnalysis(analysis);
-      
-      // Now try to enhance with AI insights (if AI is available)
-      let insights = null;
-      let quickTips = null;
-      let predictions = null;
-
-      if (this.aiInsights) {
-        // Convert our analysis into text format that AI can understand
-        const summaryForAI = this.analyzer.generateSummaryForAI(analysis);
-        
-        // Ask AI to generate comprehensive spending insights
-        insights = await this.aiInsights.generateInsights(summaryForAI);
-        
-        // Ask AI for quick, actionable money-saving tips
-        quickTips = await this.aiInsights.generateQuickTips(
-          analysis.categories, 
-          analysis.budget.status
-        );
-
-        // Generate spending predictions (only if we have enough transaction data)
-        if (analysis.spending.transactionCount > 3) {
-          predictions = await this.aiInsights.generatePredictions(
-            analysis.budget.spent,
-            analysis.budget.remaining,
-            6 // Assuming 6 days into month for demo purposes
-          );
-        }
+      BudgetAlerts.displayAlerts(analysis.alerts, analysis.studentInfo.name);
+    }
 
-        // Display all AI-generated content
-        this.displayAIInsights(insights, quickTips, predictions);
+    // Now try to enhance with AI insights (if AI is available)
+    let insights = null;
+    let quickTips = null;
+    let predictions = null;
+    let promptVersions = null;
+
+    if (this.aiInsights) {
+      // Convert our analysis into text format that AI can understand
+      const summaryForAI = this.analyzer.generateSummaryForAI(analysis);
+
+      // Ask AI to generate comprehensive spending insights
+      insights = await this.aiInsights.generateInsights(summaryForAI, analysis, { signal });
+      signal?.throwIfAborted();
+
+      // Ask AI for quick, actionable money-saving tips
+      quickTips = await this.aiInsights.generateQuickTips(
+        analysis.categories,
+        analysis.budget.status,
+        analysis,
+        { signal }
+      );
+      signal?.throwIfAborted();
+
+      // Explain the calculated forecast (only if we have enough transaction data)
+      if (analysis.spending.transactionCount > 3) {
+        predictions = await this.aiInsights.generatePredictions(analysis.forecast, analysis.studentInfo.currency, analysis, { signal });
+        signal?.throwIfAborted();
       }
 
-      // Save all analysis results to a JSON file for future reference
-      await this.saveReport(studentId, analysis, insights, quickTips, predictions);
+      // Remember which prompt revisions produced this text
+      promptVersions = this.aiInsights.getPromptVersions(analysis, predictions ? undefined : ['insights', 'tips']);
 
-    } catch (error) {
-      console.error(`❌ Error analyzing ${studentId}:`, error.message);
+      // Display all AI-generated content
+      if (display) {
+        this.displayAIInsights(insights, quickTips, predictions);
+      }
+    } else if (analysis.spending.transactionCount > 3) {
+      // Without AI the report still explains the forecast, in plain sentences
+      predictions = AIInsightsGenerator.generateFallbackPredictions(analysis.forecast, analysis.studentInfo.currency);
     }
+
+    // Save all analysis results to a JSON file for future reference
+    await this.saveReport(studentId, analysis, insights, quickTips, predictions, promptVersions);
+
+    return { studentId, analysis, insights, quickTips, predictions };
   }
 
   // ===================================================================
@@ -163,39 +704,153 @@ class SpendAnalysisApp {
   // ===================================================================
   
   displayBasicAnalysis(analysis) {
+    // Amounts are in the student's currency, e.g. $1,234.50 or €1,234.50
+    const money = amount => CurrencyConverter.format(amount, analysis.studentInfo.currency);
+
     // Show student's basic information
     console.log(`\n👤 STUDENT: ${analysis.studentInfo.name}`);
     
     // Display budget utilization summary
     console.log('\n💰 BUDGET SUMMARY:');
-    console.log(`   Budget: $${analysis.budget.allocated}`);
-    console.log(`   Spent: $${analysis.budget.spent} (${analysis.budget.utilization}%)`);
+    console.log(`   Period: ${analysis.budget.periodStart} to ${analysis.budget.periodEnd}`);
+    console.log(`   Budget: ${money(analysis.budget.allocated)}`);
+    if (analysis.budget.rolloverIn !== 0) {
+      console.log(`   (includes ${money(analysis.budget.rolloverIn)} rolled over from last period)`);
+    }
+    console.log(`   Spent: ${money(analysis.budget.spent)} (${analysis.budget.utilization}%)`);
     console.log(`   Status: ${analysis.budget.status}`);
-    console.log(`   Remaining: $${analysis.budget.remaining}`);
+    console.log(`   Remaining: ${money(analysis.budget.remaining)}`);
     
     // Alert if student is over budget
     if (analysis.budget.isOverBudget) {
       console.log('   🚨 OVER BUDGET!');
     }
 
+    // Show earlier budget periods so progress over time is visible
+    if (analysis.budgetHistory.length > 1) {
+      console.log('\n🗓️  BUDGET HISTORY:');
+      analysis.budgetHistory.forEach(period => {
+        console.log(`   ${period.periodStart}: ${money(period.spent)} of ${money(period.allocated)} (${period.utilization}%) - ${period.status}`);
+      });
+    }
+
+    // Purchases made in another currency, with what they came to
+    if (analysis.currency.convertedTransactions.length > 0) {
+      console.log(`\n💱 CONVERTED TO ${analysis.currency.baseCurrency}:`);
+      analysis.currency.convertedTransactions.forEach(t => {
+        console.log(`   ${t.date} ${t.description}: ${CurrencyConverter.format(t.originalAmount, t.originalCurrency)} → ${money(t.amount)}`);
+      });
+    }
+
+    // Point out transactions the categorizer wasn't sure about
+    if (analysis.needsReview.length > 0) {
+      console.log(`\n🏷️  ${analysis.needsReview.length} transactions need category review`);
+    }
+
+    // Per-category envelopes, when the student has them
+    if (analysis.envelopes.length > 0) {
+      console.log('\n✉️  CATEGORY BUDGETS:');
+      analysis.envelopes.forEach(envelope => {
+        console.log(`   ${envelope.category}: ${money(envelope.spent)} of ${money(envelope.allocated)} (${envelope.utilization}%) - ${envelope.status}`);
+      });
+    }
+
+    // Savings goals and whether this period's surplus keeps them on track
+    if (analysis.savingsGoals.length > 0) {
+      console.log('\n🎯 SAVINGS GOALS:');
+      analysis.savingsGoals.forEach(goal => {
+        const icon = goal.onTrack ? '✅' : '⚠️ ';
+        console.log(`   ${icon} ${goal.name}: ${money(goal.saved)} of ${money(goal.targetAmount)} (${goal.progress}%) by ${goal.deadline}`);
+        if (goal.stillNeeded > 0) {
+          console.log(`      Needs ${money(goal.requiredMonthly)}/month, ${money(goal.surplusAvailable)} surplus available - ${goal.status}`);
+        }
+      });
+    }
+
+    // Subscriptions and other repeating charges
+    if (analysis.recurring.length > 0) {
+      console.log('\n🔁 RECURRING CHARGES:');
+      analysis.recurring.forEach(charge => {
+        console.log(`   ${charge.description}: ${money(charge.averageAmount)} ${charge.cadence}, next ${charge.nextExpectedDate} (${money(charge.annualizedCost)}/year)`);
+      });
+    }
+
+    // Unusually large purchases, with the reason they stand out
+    if (analysis.anomalies.length > 0) {
+      console.log('\n🔍 UNUSUAL TRANSACTIONS:');
+      analysis.anomalies.forEach(anomaly => {
+        console.log(`   ${anomaly.date} ${anomaly.description}: ${money(anomaly.amount)} - ${anomaly.explanation}`);
+      });
+    }
+
     // Show spending by category, ranked from highest to lowest
     console.log('\n📊 SPENDING BREAKDOWN:');
     analysis.categories.forEach((cat, index) => {
       // Add medal icons for top 3 categories
       const icon = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : '  ';
-      console.log(`   ${icon} ${cat.name}: $${cat.amount} (${cat.percentage}%) - ${cat.transactionCount} transactions`);
+      console.log(`   ${icon} ${cat.name}: ${money(cat.amount)} (${cat.percentage}%) - ${cat.transactionCount} transactions`);
     });
 
     // Show calculated spending statistics
     console.log('\n📈 SPENDING METRICS:');
     console.log(`   Total Transactions: ${analysis.spending.transactionCount}`);
-    console.log(`   Average per Transaction: $${analysis.spending.average}`);
-    console.log(`   Daily Average: $${analysis.spending.dailyAverage}`);
+    console.log(`   Average per Transaction: ${money(analysis.spending.average)}`);
+    console.log(`   Daily Average: ${money(analysis.spending.dailyAverage)}`);
+
+    // Show the calculated month-end forecast
+    const forecast = analysis.forecast;
+    console.log('\n🔮 FORECAST:');
+    console.log(`   Day ${forecast.daysElapsed} of ${forecast.totalDays} in this period`);
+    console.log(`   Projected spending: ${money(forecast.projectedTotal)} (${money(forecast.range.low)} - ${money(forecast.range.high)})`);
+    console.log(`   Projected utilization: ${forecast.projectedUtilization}%${forecast.willStayWithinBudget ? '' : ' 🚨'}`);
+    console.log(`   Safe daily allowance: ${money(forecast.safeDailyAllowance)}`);
 
     // Show spending patterns over time
     console.log('\n📅 TIMELINE INSIGHTS:');
-    console.log(`   Highest spending day: ${analysis.timeline.highestSpendingDay.date} ($${analysis.timeline.highestSpendingDay.amount})`);
-    console.log(`   Lowest spending day: ${analysis.timeline.lowestSpendingDay.date} ($${analysis.timeline.lowestSpendingDay.amount})`);
+    console.log(`   Highest spending day: ${analysis.timeline.highestSpendingDay.date} (${money(analysis.timeline.highestSpendingDay.amount)})`);
+    console.log(`   Lowest spending day: ${analysis.timeline.lowestSpendingDay.date} (${money(analysis.timeline.lowestSpendingDay.amount)})`);
+  }
+
+  // One line per finished student, e.g. "[12/300] ✅ STU012 (1.4s)"
+  displayProgress({ done, total, job }) {
+    const icons = { ok: '✅', failed: '❌', timeout: '⏱️ ' };
+    const detail = job.error ? ` - ${job.error}` : '';
+    console.log(`   [${done}/${total}] ${icons[job.status]} ${job.item} (${(job.durationMs / 1000).toFixed(1)}s)${detail}`);
+  }
+
+  // Totals for the whole run, plus the students that need a look
+  displayRunSummary(runSummary) {
+    console.log(`\n🏁 RUN SUMMARY: ${runSummary.total} students in ${(runSummary.durationMs / 1000).toFixed(1)}s ` +
+      `(${runSummary.concurrency} at a time)`);
+    console.log(`   ✅ ${runSummary.succeeded} succeeded, ⚠️  ${runSummary.fallback} used fallback text, ` +
+      `❌ ${runSummary.failed} failed${runSummary.timedOut > 0 ? ` (${runSummary.timedOut} timed out)` : ''}`);
+    if (this.aiInsights?.verifier) {
+      console.log(`   🔎 ${runSummary.figureChecks.verified} AI replies matched the analysis, ` +
+        `${runSummary.figureChecks.replaced} quoted wrong figures and were replaced`);
+    }
+    runSummary.students.filter(s => s.status !== 'succeeded').forEach(student => {
+      const reason = student.status === 'fallback' ? `fallback for ${student.fallbackMethods.join(', ')}` : student.error;
+      console.log(`   - ${student.studentId}: ${reason}`);
+    });
+  }
+
+  // Show what the AI cost this run
+  displayUsage(usage) {
+    console.log(`\n💰 AI USAGE: ${usage.requests} requests (${usage.cachedRequests} from cache), ` +
+      `${usage.totalTokens} tokens, about ${CurrencyConverter.format(usage.estimatedCost, 'USD')}`);
+    if (usage.capReached) {
+      console.log(`   💸 Spending cap of ${CurrencyConverter.format(this.usage.maxRunCost, 'USD')} reached; later students got fallback text`);
+    }
+  }
+
+  // Show what was kept out of this run's prompts
+  displayPrivacy(privacy) {
+    const counts = Object.entries(privacy.redactions).map(([type, n]) => `${n} ${type}`).join(', ');
+    console.log(`🔒 PRIVACY (${privacy.policy}): ${privacy.requests} prompts checked, ` +
+      `${counts ? `redacted ${counts}` : 'nothing to redact'}`);
+    if (privacy.blocked > 0) {
+      console.log(`   🚫 ${privacy.blocked} prompts were not sent because identifiable data was left in them`);
+    }
   }
 
   // Display AI-generated content (if available)
@@ -224,36 +879,70 @@ class SpendAnalysisApp {
   // REPORT SAVING - Creates detailed JSON reports for each student
   // ===================================================================
   
-  async saveReport(studentId, analysis, insights, quickTips, predictions) {
+  async saveReport(studentId, analysis, insights, quickTips, predictions, promptVersions = null) {
     // Create a comprehensive report object with all analysis results
     const report = {
       metadata: {
         studentId: studentId,
+        runId: this.runId,
         generatedAt: new Date().toISOString(),
-        version: "1.0"
+        version: "1.0",
+        // Prompt template IDs such as "insights@2:graduate" (null without AI)
+        promptVersions
       },
       studentInfo: analysis.studentInfo,
       financialAnalysis: {
         spending: analysis.spending,
         budget: analysis.budget,
+        budgetHistory: analysis.budgetHistory,
         categories: analysis.categories,
-        timeline: analysis.timeline
+        timeline: analysis.timeline,
+        forecast: analysis.forecast,
+        envelopes: analysis.envelopes,
+        // Base currency and any transactions converted into it (original and converted amounts)
+        currency: analysis.currency
       },
+      needsReview: analysis.needsReview,
+      savingsGoals: analysis.savingsGoals,
+      recurring: analysis.recurring,
+      anomalies: analysis.anomalies,
+      alerts: analysis.alerts,
       aiInsights: insights,
       quickTips: quickTips,
-      predictions: predictions
+      predictions: predictions,
+      // Tokens and estimated cost of this student's AI requests in this run
+      aiUsage: this.aiInsights ? this.usage.summarize({ studentId }) : null,
+      // What was kept out of those requests (counts by type, never the values)
+      privacy: this.aiInsights ? this.redactor.summarize({ studentId }) : null,
+      // Whether the figures in each AI reply matched the analysis ('verified' or 'flagged')
+      verification: this.aiInsights ? this.aiInsights.getVerifications(studentId) : null
     };
 
-    const fileName = `./reports/${studentId}_financial_report.json`;
+    const fileName = path.join(this.reportsDir, `${studentId}_financial_report.json`);
     
     try {
       await fs.writeFile(fileName, JSON.stringify(report, null, 2));
+      await this.saveSnapshot(path.basename(fileName), report);
       console.log(`\n💾 Report saved: ${fileName}`);
     } catch (error) {
       console.error('❌ Failed to save report:', error.message);
     }
   }
 
+  // Keep a copy of a report in this run's history folder.
+  // Old runs are pruned once per run, after its first snapshot is written.
+  async saveSnapshot(fileName, report) {
+    await this.history.saveSnapshot(this.runId, fileName, report);
+
+    if (!this.historyPruned) {
+      this.historyPruned = true;
+      const removed = await this.history.prune();
+      if (removed.length > 0) {
+        console.log(`🧹 Removed ${removed.length} old report snapshots`);
+      }
+    }
+  }
+
   // ===================================================================
   // SUMMARY REPORT - Creates overview of all students' financial health
   // ===================================================================
@@ -261,93 +950,272 @@ class SpendAnalysisApp {
   async generateSummaryReport() {
     console.log('\n📋 GENERATING SUMMARY REPORT...');
     
+    const summaryReport = this.buildSummaryReport();
+
+    // Display nice formatted table of all students
+    console.log('\n📊 CLASS SPENDING SUMMARY:');
+    console.log('Student Name'.padEnd(20) + 'Budget Used'.padEnd(15) + 'Total Spent'.padEnd(15) + 'Status');
+    console.log('-'.repeat(65));
+    
+    summaryReport.students.forEach(student => {
+      console.log(
+        student.name.padEnd(20) + 
+        `${student.budgetUtilization}%`.padEnd(15) + 
+        CurrencyConverter.format(student.totalSpent, student.currency).padEnd(15) + 
+        student.status
+      );
+    });
+
+    const { distributions, minCohortSize } = summaryReport.cohorts;
+    const hidden = distributions.filter(c => c.suppressed).length;
+    console.log(`\n📐 Benchmarked ${distributions.length} cohorts` +
+      (hidden > 0 ? ` (${hidden} with fewer than ${minCohortSize} students left out for privacy)` : ''));
+
+    summaryReport.runId = this.runId;
+    if (this.aiInsights) {
+      summaryReport.aiUsage = this.usage.summarize();
+      summaryReport.privacy = this.redactor.summarize();
+    }
+    const fileName = path.join(this.reportsDir, 'class_summary.json');
+    await fs.writeFile(fileName, JSON.stringify(summaryReport, null, 2));
+    await this.saveSnapshot('class_summary.json', summaryReport);
+    console.log(`\n💾 Class summary saved: ${fileName}`);
+
+    return summaryReport;
+  }
+
+  // Collect key metrics for every student and calculate class-wide statistics
+  // (used by the summary report and the API server)
+  buildSummaryReport() {
     // Get data for all students
     const studentIds = this.analyzer.getStudentIds();
     const summaryData = [];
+    // Class totals are converted into the default currency so they can be added up
+    const classCurrency = this.analyzer.baseCurrency;
+    let totalClassSpending = 0;
 
     // Analyze each student and extract key metrics for summary
+    const entries = [];
     for (const studentId of studentIds) {
       try {
         const analysis = this.analyzer.analyzeStudent(studentId);
+        const { currency } = analysis.studentInfo;
+        totalClassSpending += this.analyzer.converter.convert(analysis.budget.spent, currency, classCurrency, analysis.budget.periodEnd).amount;
+        entries.push({ student: this.analyzer.data.students.find(s => s.studentId === studentId), analysis });
         summaryData.push({
           studentId: studentId,
           name: analysis.studentInfo.name,
           budgetUtilization: analysis.budget.utilization,
           totalSpent: analysis.budget.spent,
+          currency,
           status: analysis.budget.status,
-          topCategory: analysis.categories[0]?.name || 'None'
+          topCategory: analysis.categories[0]?.name || 'None',
+          recurringCharges: analysis.recurring.length,
+          recurringAnnualCost: parseFloat(analysis.recurring.reduce((sum, r) => sum + r.annualizedCost, 0).toFixed(2))
         });
       } catch (error) {
         console.error(`Error processing ${studentId}:`, error.message);
       }
     }
 
-    // Display nice formatted table of all students
-    console.log('\n📊 CLASS SPENDING SUMMARY:');
-    console.log('Student Name'.padEnd(20) + 'Budget Used'.padEnd(15) + 'Total Spent'.padEnd(15) + 'Status');
-    console.log('-'.repeat(65));
-    
+    // Compare every student with their cohort (small cohorts are left out for privacy)
+    // Amounts are compared in the class currency, like the class total
+    const benchmarks = PeerBenchmarker.benchmark(entries, {
+      groupBy: process.env.BENCHMARK_GROUP_BY || 'semester',
+      minCohortSize: parseInt(process.env.BENCHMARK_MIN_COHORT_SIZE, 10) || 5,
+      currency: classCurrency,
+      convert: (amount, analysis) =>
+        this.analyzer.converter.convert(amount, analysis.studentInfo.currency, classCurrency, analysis.budget.periodEnd).amount
+    });
     summaryData.forEach(student => {
-      console.log(
-        student.name.padEnd(20) + 
-        `${student.budgetUtilization}%`.padEnd(15) + 
-        `$${student.totalSpent}`.padEnd(15) + 
-        student.status
-      );
+      student.benchmarks = benchmarks.students[student.studentId];
     });
 
-    // Calculate class-wide statistics and save to file
-    const summaryReport = {
+    // Calculate class-wide statistics
+    return {
       generatedAt: new Date().toISOString(),
       totalStudents: summaryData.length,
       classOverview: {
         averageBudgetUtilization: (summaryData.reduce((sum, s) => sum + s.budgetUtilization, 0) / summaryData.length).toFixed(1),
         studentsOverBudget: summaryData.filter(s => s.budgetUtilization > 100).length,
-        totalClassSpending: summaryData.reduce((sum, s) => sum + s.totalSpent, 0)
+        totalClassSpending: parseFloat(totalClassSpending.toFixed(2)),
+        currency: classCurrency
+      },
+      cohorts: {
+        groupBy: benchmarks.groupBy,
+        minCohortSize: benchmarks.minCohortSize,
+        currency: benchmarks.currency,
+        distributions: benchmarks.cohorts
       },
       students: summaryData
     };
+  }
+
+  // ===================================================================
+  // REPORT HISTORY - Earlier runs and what changed between them
+  // ===================================================================
+
+  async listReportHistory(studentId) {
+    const runs = await this.history.listRuns(studentId);
 
-    await fs.writeFile('./reports/class_summary.json', JSON.stringify(summaryReport, null, 2));
-    console.log('\n💾 Class summary saved: ./reports/class_summary.json');
+    console.log(`\n🗂️  REPORT HISTORY${studentId ? ` for ${studentId}` : ''}: ${runs.length} runs`);
+    runs.forEach(run => console.log(`   ${run.runId}  (${run.files.length} reports)`));
+    return runs;
+  }
+
+  // Compare a student's reports from two runs (default: the two latest)
+  async diffReports(studentId, fromRunId, toRunId) {
+    const diff = await this.history.diff(studentId, fromRunId, toRunId);
+    const money = amount => CurrencyConverter.format(amount, diff.currency);
+
+    console.log(`\n🔀 CHANGES for ${studentId}: ${diff.fromRunId} → ${diff.toRunId}`);
+    console.log(`   Spending: ${money(diff.spending.totalBefore)} → ${money(diff.spending.totalAfter)} (${diff.spending.change >= 0 ? '+' : ''}${diff.spending.change})`);
+    if (diff.budget.statusChanged) {
+      console.log(`   Status: ${diff.budget.statusBefore} → ${diff.budget.statusAfter}`);
+    }
+    if (diff.promptVersions.changed) {
+      console.log(`   Prompts: ${JSON.stringify(diff.promptVersions.before)} → ${JSON.stringify(diff.promptVersions.after)}`);
+    }
+    diff.categories.forEach(c => {
+      console.log(`   ${c.name}: ${money(c.before)} → ${money(c.after)}${diff.newCategories.includes(c.name) ? ' (new)' : ''}`);
+    });
+    diff.alerts.new.forEach(alert => console.log(`   ➕ New alert: ${alert.message}`));
+    diff.alerts.resolved.forEach(alert => console.log(`   ✅ Resolved: ${alert.message}`));
+
+    return diff;
+  }
+
+  // ===================================================================
+  // ALERTS - Checks every student against the budget alert rules
+  // ===================================================================
+  
+  // A student whose analysis fails gets { studentId, error } and the others are still checked
+  checkAlerts(studentIds = this.analyzer.getStudentIds()) {
+    console.log('\n🚨 CHECKING BUDGET ALERTS...');
+
+    return studentIds.map(studentId => {
+      try {
+        const analysis = this.analyzer.analyzeStudent(studentId);
+        const alerts = this.evaluateAlerts(analysis);
+        BudgetAlerts.displayAlerts(alerts, analysis.studentInfo.name);
+        return { studentId, name: analysis.studentInfo.name, alerts };
+      } catch (error) {
+        console.error(`❌ Error checking alerts for ${studentId}:`, error.message);
+        return { studentId, error: error.message };
+      }
+    });
+  }
+
+  // ===================================================================
+  // NOTIFICATIONS - Emails alerts to students (see src/notifier.js)
+  // ===================================================================
+  // Sends new alerts (or queues them for a digest), then sends any digests
+  // that are due. A notifier can be passed in, e.g. one pointed at a test server.
+
+  async sendAlertNotifications({ notifier = this.createNotifier(), forceDigests = false, now = new Date() } = {}) {
+    console.log('\n📧 SENDING ALERT EMAILS...');
+    await notifier.load();
+
+    const totals = { sent: 0, queued: 0, skipped: 0, digestsSent: 0, noContact: [], failed: [] };
+    // Students that couldn't be analyzed (the others still get their emails)
+    const notAnalyzed = [];
+
+    // Save whatever was sent even if a later email fails, so nothing is sent twice
+    try {
+      for (const studentId of this.analyzer.getStudentIds()) {
+        let analysis;
+        try {
+          analysis = this.analyzer.analyzeStudent(studentId);
+        } catch (error) {
+          console.error(`❌ Error analyzing ${studentId}:`, error.message);
+          notAnalyzed.push(studentId);
+          continue;
+        }
+        const result = await notifier.notify(analysis, this.evaluateAlerts(analysis), now);
+
+        totals.sent += result.sent;
+        totals.queued += result.queued;
+        totals.skipped += result.skipped;
+        if (result.noContact) totals.noContact.push(studentId);
+      }
+
+      totals.digestsSent = await notifier.flushDigests(now, { force: forceDigests });
+    } finally {
+      await notifier.save();
+    }
+
+    // Students whose email (alert or digest) couldn't be sent; they're retried next run
+    totals.failed = [...new Set([...notAnalyzed, ...notifier.failures.map(f => f.studentId)])];
+
+    console.log(`✅ ${totals.sent} alerts emailed, ${totals.queued} queued for digests, ${totals.digestsSent} digests sent`);
+    if (totals.failed.length > 0) {
+      console.log(`⚠️  Emails to ${totals.failed.length} students failed and will be retried: ${totals.failed.join(', ')}`);
+    }
+    return totals;
+  }
+
+  // SMTP and contact settings come from the environment (see .env.example)
+  createNotifier() {
+    const auth = process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined;
+
+    return new AlertNotifier({
+      transport: {
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT || '587', 10),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth
+      },
+      from: process.env.ALERT_EMAIL_FROM,
+      contactsPath: process.env.CONTACTS_PATH,
+      minSeverity: process.env.ALERT_EMAIL_MIN_SEVERITY,
+      defaultDigest: process.env.ALERT_DIGEST,
+      statePath: path.join(this.reportsDir, 'notification-log.json')
+    });
+  }
+
+  // ===================================================================
+  // EXPORT - Writes analysis results to CSV
+  // ===================================================================
+  // format 'csv' writes one row per student, 'categories' one column per category.
+  // Students whose analysis fails are left out and listed in `failed`.
+
+  async exportResults(format, fileName) {
+    const analysisResults = [];
+    const failed = [];
+    for (const studentId of this.analyzer.getStudentIds()) {
+      try {
+        analysisResults.push(this.analyzer.analyzeStudent(studentId));
+      } catch (error) {
+        console.error(`❌ Error analyzing ${studentId}:`, error.message);
+        failed.push(studentId);
+      }
+    }
+
+    if (format === 'csv') {
+      await DataExporter.exportToCSV(analysisResults, fileName);
+    } else if (format === 'categories') {
+      await DataExporter.exportCategoriesBreakdown(analysisResults, fileName);
+    } else {
+      throw new Error(`Unknown export format "${format}" (expected csv or categories)`);
+    }
+
+    return { format, file: fileName, students: analysisResults.length, failed };
   }
 }
 
 // ===================================================================
 // MAIN EXECUTION - This is where everything starts!
 // ===================================================================
-// This function runs when you execute: node index.js
+// This function runs when you execute: node index.js [command] [options]
+// Without a command it runs the full analysis (see src/cli.js for all commands)
 
 async function main() {
-  // Create our main application instance
-  const app = new SpendAnalysisApp();
-  
-  try {
-    // Step 1: Initialize the application and AI connections
-    await app.initialize();
-    
-    // Step 2: Load student data from JSON file
-    const dataLoaded = await app.loadData();
-    if (!dataLoaded) {
-      console.log('❌ Cannot proceed without data. Please check your data file.');
-      return;
-    }
-    
-    // Step 3: Analyze each student's spending patterns
-    await app.analyzeAllStudents();
-    
-    // Step 4: Generate class-wide summary report
-    await app.generateSummaryReport();
-    
-    // Success! Show completion message
-    console.log('\n🎉 All analysis completed successfully!');
-    console.log('\n📁 Check the ./reports/ folder for detailed reports');
-    console.log('🚀 Application finished');
-
-  } catch (error) {
-    console.error('💥 Application error:', error.message);
-    process.exit(1);
-  }
+  const exitCode = await runCli(process.argv.slice(2), {
+    createApp: options => new SpendAnalysisApp(options)
+  });
+  process.exitCode = exitCode;
 }
 
 // ===================================================================
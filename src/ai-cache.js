@@ -0,0 +1,70 @@
+// ===================================================================
+// AI RESPONSE CACHE - Reuse answers for prompts we've already sent
+// ===================================================================
+// A student whose data hasn't changed produces exactly the same prompts
+// on the next run, so there's no need to pay for the same answer twice.
+// Every response is stored as one small JSON file:
+//
+//   cache/ai/3f2a9c...e1.json   { key, createdAt, provider, model, response }
+//
+// The key is a SHA-256 hash of the provider, model, settings and the full
+// prompt (which includes the student's data), so any change means a new
+// key. Entries older than ttlHours are ignored, and bypass skips reading
+// the cache (fresh answers are still saved for next time).
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+class AIResponseCache {
+  // Options:
+  // - dir: where cached responses are stored
+  // - ttlHours: how long an entry stays valid (0 = forever)
+  // - bypass: true to always ask the model (responses are still cached)
+  constructor(options = {}) {
+    this.dir = options.dir || './cache/ai';
+    this.ttlHours = options.ttlHours ?? 24;
+    this.bypass = options.bypass === true;
+  }
+
+  // Stable key for one request
+  static key({ provider, model, messages, temperature, maxTokens, responseFormat }) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([provider, model, temperature ?? null, maxTokens ?? null, responseFormat ?? null, messages]))
+      .digest('hex');
+  }
+
+  // The cached response for a key, or null if there is none (or it expired)
+  async get(key, now = new Date()) {
+    if (this.bypass) return null;
+
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+    } catch {
+      return null;
+    }
+
+    if (this.ttlHours > 0 && now.getTime() - Date.parse(entry.createdAt) > this.ttlHours * 3600000) {
+      return null;
+    }
+    return entry.response;
+  }
+
+  async set(key, request, response, now = new Date()) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const entry = { key, createdAt: now.toISOString(), provider: request.provider, model: request.model, response };
+    await fs.writeFile(this.filePath(key), JSON.stringify(entry, null, 2));
+  }
+
+  // Delete every cached response
+  async clear() {
+    await fs.rm(this.dir, { recursive: true, force: true });
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+}
+
+export default AIResponseCache;
@@ -1,112 +1,371 @@
 // ===================================================================
-// AI INSIGHTS GENERATOR - OpenAI Integration Module
+// AI INSIGHTS GENERATOR - Language Model Integration Module
 // ===================================================================
-// This module connects to OpenAI's API to generate intelligent insights
+// This module uses a language model (OpenAI, a local OpenAI-compatible
+// server or a mock, see llm-providers.js) to generate intelligent insights
 // about student spending patterns. It provides:
 // - Comprehensive financial analysis
 // - Quick money-saving tips
 // - Future spending predictions
 // - Fallback responses when AI is unavailable
 
-import OpenAI from 'openai';
+import { createProvider } from './llm-providers.js';
+import CurrencyConverter from './currency.js';
+import PromptRegistry from './prompts.js';
+import StructuredOutput, { INSIGHTS_SCHEMA } from './structured-output.js';
+import AIResponseCache from './ai-cache.js';
+import RateLimiter from './rate-limiter.js';
 
 class AIInsightsGenerator {
-  constructor(apiKey) {
-    // Ensure we have an API key to connect to OpenAI
-    if (!apiKey) {
-      throw new Error('OpenAI API key is required');
+  // config can be an OpenAI API key (string), a provider config object
+  // ({ provider, model, apiKey, baseURL, maxTokens }) or { provider: <provider instance> }.
+  // Add `prompts` (a PromptRegistry) to use custom or pinned prompt templates,
+  // `cache` (an AIResponseCache) to reuse answers and `usage` (a UsageTracker)
+  // to record tokens and cost and enforce a per-run spending cap, and
+  // `redactor` (a PIIRedactor) to keep personal details out of every prompt
+  // and `verifier` (an InsightVerifier) to check the replies' numbers.
+  // requestsPerMinute (default: the provider's), maxRetries and retryDelayMs
+  // control pacing and retries when several students are analyzed at once.
+  constructor(config = {}) {
+    if (typeof config === 'string' || config === undefined || config === null) {
+      config = { apiKey: config };
     }
 
-    // Initialize the OpenAI client
-    this.openai = new OpenAI({
-      apiKey: apiKey,
-    });
+    // Set up the language model backend (throws if e.g. the API key is missing)
+    this.provider = typeof config.provider === 'object' ? config.provider : createProvider(config);
 
     // Configure AI parameters for financial advice
-    this.model = "gpt-3.5-turbo";           // Which AI model to use
+    this.model = this.provider.model;        // Which AI model to use
     this.temperature = 0.3;                  // Lower = more consistent, less creative responses
-    this.maxTokens = 800;                    // Maximum length of AI responses
+    this.maxTokens = config.maxTokens || 800; // Maximum length of AI responses
+
+    // Named, versioned prompt templates (see src/prompts.js)
+    this.prompts = config.prompts || new PromptRegistry();
+    // How many times to ask again when structured output doesn't match its schema
+    this.repairAttempts = config.repairAttempts ?? 1;
+
+    // Optional response cache and usage ledger
+    this.cache = config.cache || null;
+    this.usage = config.usage || null;
+    this.redactor = config.redactor || null;
+
+    // Replies whose amounts, percentages or categories don't match the analysis
+    // are asked for again (up to verifyAttempts times), then replaced by fallback text
+    this.verifier = config.verifier || null;
+    this.verifyAttempts = config.verifyAttempts ?? 1;
+    // Every check: { studentId, method, status, checked, issues, attempts, replacedWithFallback }
+    this.verifications = [];
+
+    // Every request waits its turn here and is retried on rate limits,
+    // server errors and timeouts (see src/rate-limiter.js)
+    this.rateLimiter = new RateLimiter({
+      requestsPerMinute: config.requestsPerMinute ?? this.provider.requestsPerMinute,
+      maxRetries: config.maxRetries,
+      baseDelayMs: config.retryDelayMs
+    });
+
+    // Requests that ended in fallback text: { studentId, method, error }
+    this.fallbacks = [];
+  }
+
+  // Send messages to the provider and return its text reply and token usage
+  // (responseFormat 'json' asks the provider for a JSON reply).
+  // track ({ studentId, method }) says who the request is for in the usage ledger,
+  // and student (studentInfo) whose name and ID the redactor should hide.
+  // Once signal is aborted (the student's time limit ran out) no new request is made.
+  async complete(messages, { temperature = this.temperature, maxTokens = this.maxTokens, responseFormat, track = {}, student, signal } = {}) {
+    signal?.throwIfAborted();
+
+    // Personal details are replaced before anything is sent (or cached), and the
+    // real name and ID are put back into the reply here (see src/redactor.js)
+    let restore = text => text;
+    if (this.redactor) {
+      const privacy = this.redactor.redact(messages, student);
+      await this.redactor.record({ ...track, redactions: privacy.redactions, blocked: privacy.blocked, leaks: privacy.leaks });
+      if (privacy.blocked) {
+        throw new Error(`Request blocked by the PII policy (identifiable data left: ${privacy.leaks.join(', ')})`);
+      }
+      messages = privacy.messages;
+      restore = privacy.restore;
+    }
+
+    const request = { provider: this.provider.name, model: this.model, messages, temperature, maxTokens, responseFormat };
+    const cacheKey = this.cache ? AIResponseCache.key(request) : null;
+
+    // The same prompt was answered recently: reuse the answer for free
+    const cached = cacheKey ? await this.cache.get(cacheKey) : null;
+    if (cached) {
+      await this.usage?.record({ ...track, provider: request.provider, model: cached.model || this.model, usage: cached.usage, cached: true });
+      return { content: restore(cached.content), tokensUsed: cached.usage.totalTokens, cached: true };
+    }
+
+    // Past the run's spending cap the callers fall back to non-AI text
+    if (this.usage?.isCapReached()) {
+      throw new Error(`AI spending cap of ${CurrencyConverter.format(this.usage.maxRunCost, 'USD')} reached for this run`);
+    }
+    // A model without a price would always cost 0 and never reach the cap
+    if (this.usage?.maxRunCost > 0 && !this.usage.hasPrice(request.provider, this.model)) {
+      throw new Error(`AI spending cap can't be checked: no price for model "${this.model}" ` +
+        '(set AI_PRICE_INPUT_PER_1M and AI_PRICE_OUTPUT_PER_1M)');
+    }
+
+    const response = await this.rateLimiter.run(
+      () => this.provider.complete({ messages, temperature, maxTokens, responseFormat, signal }),
+      {
+        signal,
+        onRetry: ({ error, attempt, delayMs }) => {
+          console.log(`⏳ ${this.provider.name} request failed (${error.status || error.code || error.message}), ` +
+            `retry ${attempt} of ${this.rateLimiter.maxRetries} in ${(delayMs / 1000).toFixed(1)}s`);
+        }
+      }
+    );
+    await this.usage?.record({ ...track, provider: request.provider, model: response.model || this.model, usage: response.usage });
+    if (cacheKey) {
+      await this.cache.set(cacheKey, request, { content: response.content, model: response.model, usage: response.usage });
+    }
+    return { content: restore(response.content), tokensUsed: response.usage.totalTokens, cached: false };
   }
 
   // ===================================================================
   // MAIN AI INSIGHT GENERATION
   // ===================================================================
-  // This is where the AI magic happens! We send student data to OpenAI
+  // This is where the AI magic happens! We send student data to the language model
   // and get back intelligent financial insights.
+  // analysis (optional) fills the prompt template and picks its student-type variant.
+  // signal (optional) stops the AI requests once it's aborted.
   
-  async generateInsights(spendingData) {
-    // Create a structured prompt for the AI
-    const prompt = this.createInsightsPrompt(spendingData);
+  async generateInsights(spendingData, analysis = {}, { signal } = {}) {
+    // Build the prompt from the "insights" template (see src/prompts.js)
+    const prompt = this.prompts.render('insights', { ...analysis, summary: spendingData });
+    const options = {
+      temperature: prompt.temperature,
+      maxTokens: prompt.maxTokens,
+      responseFormat: prompt.format,
+      track: { studentId: analysis.studentInfo?.id, method: 'insights' },
+      student: analysis.studentInfo,
+      signal
+    };
 
     try {
       console.log('🤖 Generating AI insights...');
       
-      // Send request to OpenAI API
-      const completion = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: "system",
-            content: "You are a helpful financial advisor specializing in student budgeting and spending analysis. Provide practical, actionable advice that's relevant to college students."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: this.temperature,
-        max_tokens: this.maxTokens,
+      // Send request to the language model
+      let completion = await this.complete(prompt.messages, options);
+      let tokensUsed = completion.tokensUsed;
+
+      // Older free-text template versions are used as they are (once their figures check out)
+      if (prompt.format !== 'json') {
+        const checked = await this.checkFigures('insights', analysis, { messages: prompt.messages, options, completion });
+        tokensUsed += checked.tokensUsed;
+        const flagged = checked.verification?.replacedWithFallback === true;
+        return {
+          success: !flagged,
+          ...(flagged ? { error: 'AI insights quoted figures that do not match the analysis' } : {}),
+          insights: flagged ? this.generateFallbackInsights(spendingData) : checked.text,
+          structured: null,
+          raw: checked.completion.content,
+          verification: checked.verification,
+          timestamp: new Date().toISOString(),
+          tokensUsed: tokensUsed,           // Track API usage
+          promptVersion: prompt.id          // Which template produced this
+        };
+      }
+
+      // Check the JSON reply against the schema. If it doesn't fit, show the
+      // model what was wrong and ask again (up to repairAttempts times).
+      let messages = prompt.messages;
+      let parsed = StructuredOutput.parse(completion.content, INSIGHTS_SCHEMA);
+      let attempts = 1;
+      while (!parsed.value && attempts <= this.repairAttempts) {
+        console.log(`🔧 AI reply did not match the insights format (${parsed.errors.length} problems), asking again...`);
+        messages = [
+          ...messages,
+          { role: 'assistant', content: completion.content },
+          { role: 'user', content: this.createRepairPrompt(parsed.errors) }
+        ];
+        completion = await this.complete(messages, options);
+        tokensUsed += completion.tokensUsed;
+        parsed = StructuredOutput.parse(completion.content, INSIGHTS_SCHEMA);
+        attempts++;
+      }
+
+      const validation = { valid: parsed.value !== null, errors: parsed.errors, repaired: parsed.repaired, attempts };
+
+      if (!parsed.value) {
+        console.error('❌ AI insights did not match the expected format:', parsed.errors.join('; '));
+        this.recordFallback('insights', analysis, 'AI reply did not match the insights format');
+        return {
+          success: false,
+          error: 'AI reply did not match the insights format',
+          insights: this.generateFallbackInsights(spendingData),
+          structured: this.generateFallbackStructuredInsights(),
+          raw: completion.content,
+          validation,
+          timestamp: new Date().toISOString(),
+          tokensUsed,
+          promptVersion: prompt.id
+        };
+      }
+
+      // Check the figures it quotes, asking again with corrections if they're wrong
+      const currency = analysis.studentInfo?.currency;
+      const checked = await this.checkFigures('insights', analysis, {
+        messages,
+        options,
+        completion,
+        toText: content => {
+          const reply = StructuredOutput.parse(content, INSIGHTS_SCHEMA);
+          return reply.value ? this.formatStructuredInsights(reply.value, currency) : null;
+        }
       });
-
-      // Extract the AI's response
-      const insights = completion.choices[0].message.content.trim();
+      completion = checked.completion;
+      tokensUsed += checked.tokensUsed;
+
+      if (checked.verification?.status === 'flagged') {
+        return {
+          success: false,
+          error: 'AI insights quoted figures that do not match the analysis',
+          insights: this.generateFallbackInsights(spendingData),
+          structured: this.generateFallbackStructuredInsights(),
+          raw: completion.content,
+          validation,
+          verification: checked.verification,
+          timestamp: new Date().toISOString(),
+          tokensUsed,
+          promptVersion: prompt.id
+        };
+      }
 
       return {
         success: true,
-        insights: insights,
+        // Readable version for the console; dashboards use `structured`
+        insights: checked.text,
+        structured: StructuredOutput.parse(completion.content, INSIGHTS_SCHEMA).value,
+        raw: completion.content,
+        validation,
+        verification: checked.verification,
         timestamp: new Date().toISOString(),
-        tokensUsed: completion.usage.total_tokens  // Track API usage
+        tokensUsed,
+        promptVersion: prompt.id
       };
 
     } catch (error) {
+      // A stopped student gets no text at all, not fallback text
+      if (signal?.aborted) throw error;
       console.error('❌ AI insights generation failed:', error.message);
+      this.recordFallback('insights', analysis, error.message);
       
       // If AI fails, provide fallback analysis
       return {
         success: false,
         error: error.message,
         insights: this.generateFallbackInsights(spendingData),
-        timestamp: new Date().toISOString()
+        structured: prompt.format === 'json' ? this.generateFallbackStructuredInsights() : null,
+        raw: null,
+        timestamp: new Date().toISOString(),
+        promptVersion: prompt.id
       };
     }
   }
 
   // ===================================================================
-  // PROMPT ENGINEERING - This is how we "talk" to the AI
+  // FIGURE CHECKING
   // ===================================================================
-  // Creating good prompts is crucial for getting useful AI responses.
-  // We structure our request to get organized, actionable advice.
-  
-  createInsightsPrompt(spendingData) {
+  // Runs the verifier on a reply (toText turns it into the text that is shown,
+  // or null if it can't be used). A flagged reply is sent back with the wrong
+  // figures listed, up to verifyAttempts times. The result is remembered in
+  // this.verifications; a reply still flagged at the end gets fallback text.
+  // Returns { completion, text, verification (null without a verifier), tokensUsed }
+
+  async checkFigures(method, analysis, { messages, options, completion, toText = content => content }) {
+    let text = toText(completion.content);
+    if (!this.verifier) {
+      return { completion, text, verification: null, tokensUsed: 0 };
+    }
+
+    let verification = this.verifier.verify(text, analysis);
+    let tokensUsed = 0;
+    let attempts = 1;
+    while (verification.status === 'flagged' && attempts <= this.verifyAttempts) {
+      console.log(`🔎 AI ${method} quoted ${verification.issues.length} figures that don't match the analysis, asking again...`);
+      messages = [
+        ...messages,
+        { role: 'assistant', content: completion.content },
+        { role: 'user', content: this.createCorrectionPrompt(verification.issues) }
+      ];
+      completion = await this.complete(messages, options);
+      tokensUsed += completion.tokensUsed;
+      attempts++;
+
+      const nextText = toText(completion.content);
+      if (nextText === null) break;
+      text = nextText;
+      verification = this.verifier.verify(text, analysis);
+    }
+
+    verification = { ...verification, attempts, replacedWithFallback: verification.status === 'flagged' };
+    this.verifications.push({ studentId: analysis.studentInfo?.id ?? null, method, ...verification });
+    if (verification.replacedWithFallback) {
+      console.error(`❌ AI ${method} still quoted figures that don't match the analysis:`, verification.issues.map(i => i.message).join('; '));
+      this.recordFallback(method, analysis, 'AI reply quoted figures that do not match the analysis');
+    }
+    return { completion, text, verification, tokensUsed };
+  }
+
+  // Follow-up message listing the figures that don't match the data
+  createCorrectionPrompt(issues) {
     return `
-Analyze this student's financial data and provide insights:
+Some figures in your reply do not match the student's data:
+${issues.map(issue => `- ${issue.message} ("${issue.text}")`).join('\n')}
+
+Reply again in the same format, using only the amounts, percentages and categories given in the data above.
+    `;
+  }
+
+  // The latest check of each kind of reply for a student, for their report
+  getVerifications(studentId) {
+    const latest = {};
+    this.verifications.filter(v => v.studentId === studentId).forEach(({ studentId: id, method, ...check }) => {
+      latest[method] = check;
+    });
+    return latest;
+  }
 
-${spendingData}
+  // Follow-up message asking the model to fix a reply that didn't match the schema
+  createRepairPrompt(errors) {
+    return `
+Your reply could not be used because it does not match the required JSON format:
+${errors.map(error => `- ${error}`).join('\n')}
 
-Please provide a structured analysis with the following sections:
+Reply again with ONLY the corrected JSON object, with the fields overview, patterns,
+assessment, recommendations (action, priority, estimatedMonthlySavings) and alerts.
+    `;
+  }
 
-1. **SPENDING OVERVIEW**: Brief summary of overall financial health
+  // Turn structured insights back into the familiar sectioned text
+  formatStructuredInsights(structured, currency = 'USD') {
+    const list = items => (items.length > 0 ? items.map(item => `- ${item}`).join('\n') : '- None');
+    const recommendations = structured.recommendations.map((r, index) => {
+      const savings = r.estimatedMonthlySavings > 0
+        ? ` (saves about ${CurrencyConverter.format(r.estimatedMonthlySavings, currency)}/month)`
+        : '';
+      return `${index + 1}. [${r.priority.toUpperCase()}] ${r.action}${savings}`;
+    });
 
-2. **KEY PATTERNS**: Identify 2-3 important spending trends or behaviors
+    return `
+**SPENDING OVERVIEW**: ${structured.overview}
 
-3. **BUDGET ASSESSMENT**: Evaluate budget utilization and financial discipline
+**KEY PATTERNS**:
+${list(structured.patterns)}
 
-4. **RECOMMENDATIONS**: Provide 3-4 specific, actionable recommendations for improvement
+**BUDGET ASSESSMENT**: ${structured.assessment}
 
-5. **ALERTS**: Highlight any concerning patterns that need immediate attention
+**RECOMMENDATIONS**:
+${recommendations.join('\n')}
 
-Keep advice practical and student-friendly. Focus on actionable steps they can take immediately.
-    `;
+**ALERTS**:
+${list(structured.alerts)}
+    `.trim();
   }
 
   // ===================================================================
@@ -114,39 +373,29 @@ Keep advice practical and student-friendly. Focus on actionable steps they can t
   // ===================================================================
   // Generate short, actionable money-saving tips based on spending patterns
   
-  async generateQuickTips(categories, budgetStatus) {
-    // Create a focused prompt for quick tips
-    const tipsPrompt = `
-Based on spending categories: ${JSON.stringify(categories)}
-Budget status: ${budgetStatus}
-
-Provide 3 quick, specific money-saving tips for this student.
-Make them practical and directly related to their spending patterns.
-Format as a simple numbered list.
-    `;
+  async generateQuickTips(categories, budgetStatus, analysis = {}, { signal } = {}) {
+    // Build the prompt from the "tips" template
+    const prompt = this.prompts.render('tips', { ...analysis, categories, budgetStatus });
 
     try {
       // Send a shorter request to AI for quick tips
-      const completion = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: "system", 
-            content: "You are a financial advisor. Give brief, practical money-saving tips for college students."
-          },
-          {
-            role: "user",
-            content: tipsPrompt
-          }
-        ],
-        temperature: 0.4,        // Slightly more creative for varied tips
-        max_tokens: 200,         // Shorter response for quick tips
-      });
+      const options = {
+        temperature: prompt.temperature,
+        maxTokens: prompt.maxTokens,
+        track: { studentId: analysis.studentInfo?.id, method: 'tips' },
+        student: analysis.studentInfo,
+        signal
+      };
+      const completion = await this.complete(prompt.messages, options);
 
-      return completion.choices[0].message.content.trim();
+      // Tips quoting figures that aren't in the data are replaced
+      const checked = await this.checkFigures('tips', analysis, { messages: prompt.messages, options, completion });
+      return checked.verification?.replacedWithFallback ? this.generateFallbackTips(categories) : checked.text;
 
     } catch (error) {
+      if (signal?.aborted) throw error;
       console.error('❌ Quick tips generation failed:', error.message);
+      this.recordFallback('tips', analysis, error.message);
       return this.generateFallbackTips(categories);
     }
   }
@@ -154,53 +403,59 @@ Format as a simple numbered list.
   // ===================================================================
   // SPENDING PREDICTIONS
   // ===================================================================
-  // Use AI to predict future spending based on current patterns
+  // The forecast numbers come from SpendingForecaster; the AI only explains
+  // them in plain language so it can't invent its own projections.
+  // currency: the student's currency, used to format the amounts
   
-  async generatePredictions(currentSpending, budgetRemaining, daysIntoMonth) {
-    // Create prompt with current financial data
-    const predictionPrompt = `
-Current spending: $${currentSpending}
-Budget remaining: $${budgetRemaining}
-Days into month: ${daysIntoMonth}
-
-Based on current spending pace, predict:
-1. Projected monthly spending
-2. Whether they'll stay within budget
-3. Recommended daily spending limit for rest of month
-
-Keep response brief and focused on numbers and practical guidance.
-    `;
+  async generatePredictions(forecast, currency = 'USD', analysis = {}, { signal } = {}) {
+    const money = amount => CurrencyConverter.format(amount, currency);
+
+    // Build the prompt from the "predictions" template with the already-calculated forecast
+    const prompt = this.prompts.render('predictions', {
+      ...analysis,
+      forecast,
+      currency,
+      withinBudget: forecast.willStayWithinBudget ? 'Yes' : `No (over by ${money(forecast.projectedOverage)})`
+    });
 
     try {
-      // Ask AI to analyze trends and make predictions
-      const completion = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: "system",
-            content: "You are a financial analyst. Provide brief spending predictions and recommendations."
-          },
-          {
-            role: "user", 
-            content: predictionPrompt
-          }
-        ],
-        temperature: 0.2,        // Very low for consistent mathematical analysis
-        max_tokens: 300,
-      });
+      // Ask AI to put the forecast into words
+      const options = {
+        temperature: prompt.temperature,
+        maxTokens: prompt.maxTokens,
+        track: { studentId: analysis.studentInfo?.id, method: 'predictions' },
+        student: analysis.studentInfo,
+        signal
+      };
+      const completion = await this.complete(prompt.messages, options);
 
-      return completion.choices[0].message.content.trim();
+      // The explanation must not change the forecast's numbers
+      const checked = await this.checkFigures('predictions', analysis, { messages: prompt.messages, options, completion });
+      return checked.verification?.replacedWithFallback ? AIInsightsGenerator.generateFallbackPredictions(forecast, currency) : checked.text;
 
     } catch (error) {
+      if (signal?.aborted) throw error;
       console.error('❌ Predictions generation failed:', error.message);
-      return "Unable to generate predictions at this time.";
+      this.recordFallback('predictions', analysis, error.message);
+      return AIInsightsGenerator.generateFallbackPredictions(forecast, currency);
     }
   }
 
+  // Template IDs (e.g. "insights@2:graduate") used for a student's prompts,
+  // so reports record which prompt revision produced their text
+  getPromptVersions(analysis, names = ['insights', 'tips', 'predictions']) {
+    return Object.fromEntries(names.map(name => [name, this.prompts.describe(name, analysis).id]));
+  }
+
   // ===================================================================
   // FALLBACK RESPONSES - When AI is unavailable
   // ===================================================================
   // These provide basic analysis when the AI API fails or is unavailable
+
+  // Remember that a student got fallback text, for the run summary
+  recordFallback(method, analysis, error) {
+    this.fallbacks.push({ studentId: analysis.studentInfo?.id ?? null, method, error });
+  }
   
   generateFallbackInsights(spendingData) {
     return `
@@ -227,6 +482,40 @@ Note: Full AI analysis temporarily unavailable.
     `;
   }
 
+  // The fallback advice in the same shape as structured AI insights
+  generateFallbackStructuredInsights() {
+    return {
+      overview: 'Automated analysis based on your recent transaction data (full AI analysis temporarily unavailable).',
+      patterns: [
+        'Review your largest spending categories',
+        'Monitor daily spending frequency',
+        'Track weekend vs weekday patterns'
+      ],
+      assessment: 'Check your budget utilization percentage and remaining balance.',
+      recommendations: [
+        { action: 'Set daily spending limits based on remaining budget', priority: 'high', estimatedMonthlySavings: 0 },
+        { action: 'Track expenses in a spreadsheet or app', priority: 'medium', estimatedMonthlySavings: 0 },
+        { action: 'Review and categorize all transactions weekly', priority: 'medium', estimatedMonthlySavings: 0 },
+        { action: 'Look for subscription services you can cancel', priority: 'low', estimatedMonthlySavings: 0 }
+      ],
+      alerts: ['Monitor any categories over 30% of total spending']
+    };
+  }
+
+  // Describe the calculated forecast without AI (also used for --no-ai runs)
+  static generateFallbackPredictions(forecast, currency = 'USD') {
+    const money = amount => CurrencyConverter.format(amount, currency);
+    const outlook = forecast.willStayWithinBudget
+      ? 'You are on track to stay within your budget.'
+      : `At this pace you will go over budget by about ${money(forecast.projectedOverage)}.`;
+
+    return `
+1. Projected spending this period: ${money(forecast.projectedTotal)} (likely between ${money(forecast.range.low)} and ${money(forecast.range.high)})
+2. ${outlook} (${forecast.projectedUtilization}% of budget)
+3. Safe daily spending limit for the remaining ${forecast.daysRemaining} days: ${money(forecast.safeDailyAllowance)}
+    `;
+  }
+
   // Generate simple tips when AI is unavailable
   generateFallbackTips(categories) {
     // Use the largest spending category to generate relevant tips
@@ -242,21 +531,22 @@ Note: Full AI analysis temporarily unavailable.
   // ===================================================================
   // CONNECTION TESTING
   // ===================================================================
-  // Test if we can successfully connect to OpenAI API
+  // Test if we can successfully connect to the language model provider.
+  // This asks the provider for its model list instead of sending a prompt,
+  // so it doesn't cost any tokens.
   
   async testConnection() {
     try {
-      // Send a simple test request to verify API connection
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [{ role: "user", content: "Hello" }],
-        max_tokens: 10,  // Very short response to minimize cost
-      });
-      
-      console.log('✅ OpenAI API connection successful');
+      if (typeof this.provider.checkConnection !== 'function') {
+        console.log(`ℹ️  ${this.provider.name} connection not checked (model: ${this.model})`);
+        return true;
+      }
+
+      await this.provider.checkConnection();
+      console.log(`✅ ${this.provider.name} connection successful (model: ${this.model})`);
       return true;
     } catch (error) {
-      console.error('❌ OpenAI API connection failed:', error.message);
+      console.error(`❌ ${this.provider.name} connection failed:`, error.message);
       return false;
     }
   }
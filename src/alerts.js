@@ -1,125 +1,233 @@
+// ===================================================================
+// BUDGET ALERTS - Declarative Alert Rules Engine
+// ===================================================================
+// Alerts are described by rules (data/alert-rules.json) instead of code,
+// so advisors can tune thresholds without touching JavaScript:
+//
+//   {
+//     "id": "approaching-limit",
+//     "group": "budget-utilization",      // only the first matching rule in a group fires
+//     "severity": "WARNING",              // CRITICAL, WARNING, CAUTION or INFO
+//     "when": { "metric": "budget.utilization", "op": ">", "value": 90 },
+//     "message": "Approaching budget limit ({{budget.utilization}}% used)",
+//     "action": "Monitor remaining spending carefully"
+//   }
+//
+// - "when" can also be { "all": [...] } or { "any": [...] }, and "value" can
+//   be another metric: { "metric": "budget.allocated", "multiply": 0.1 }
+// - "forEach": "categories" with "as": "category" checks every category
+// - Templates fill {{path}} from the analysis; add |abs, |money or |lower to
+//   format, one after another if needed ({{budget.remaining|abs|money}}).
+//   |money uses the student's currency (studentInfo.currency)
+// - "cohorts" apply per-rule overrides to students matching some attributes
+//   (e.g. { "studentInfo.cohort": "graduate" }); { "enabled": false } turns a rule off
+
+import fs from 'fs/promises';
+import CurrencyConverter from './currency.js';
+
+const SEVERITIES = ['CRITICAL', 'WARNING', 'CAUTION', 'INFO'];
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+// Built-in rules, used when no rule file is loaded (same as data/alert-rules.json)
+const DEFAULT_RULE_SET = {
+  rules: [
+    { id: 'over-budget', group: 'budget-utilization', severity: 'CRITICAL',
+      when: { metric: 'budget.utilization', op: '>', value: 100 },
+      message: 'Over budget by {{budget.remaining|abs|money}}', action: 'Immediate spending reduction required' },
+    { id: 'approaching-limit', group: 'budget-utilization', severity: 'WARNING',
+      when: { metric: 'budget.utilization', op: '>', value: 90 },
+      message: 'Approaching budget limit ({{budget.utilization}}% used)', action: 'Monitor remaining spending carefully' },
+    { id: 'budget-three-quarters', group: 'budget-utilization', severity: 'CAUTION',
+      when: { metric: 'budget.utilization', op: '>', value: 75 },
+      message: 'Budget 75% utilized with {{budget.utilization}}% spent', action: 'Consider reducing discretionary spending' },
+    { id: 'category-concentration', forEach: 'categories', as: 'category', severity: 'INFO',
+      when: { metric: 'category.percentage', op: '>', value: 50 },
+      message: '{{category.name}} represents {{category.percentage}}% of total spending',
+      action: 'Consider diversifying expenses or reducing {{category.name|lower}} costs' },
+    { id: 'envelope-over-budget', forEach: 'envelopes', as: 'envelope', severity: 'WARNING',
+      when: { metric: 'envelope.utilization', op: '>', value: 100 },
+      message: '{{envelope.category}} budget exceeded by {{envelope.remaining|abs|money}} ({{envelope.utilization}}% used)',
+      action: 'Move money from another category or cut back on {{envelope.category|lower}}' },
+    { id: 'envelope-near-limit', forEach: 'envelopes', as: 'envelope', severity: 'CAUTION',
+      when: { all: [
+        { metric: 'envelope.utilization', op: '>', value: 90 },
+        { metric: 'envelope.utilization', op: '<=', value: 100 }
+      ] },
+      message: '{{envelope.category}} budget nearly used ({{envelope.utilization}}% used)',
+      action: 'Slow down {{envelope.category|lower}} spending for the rest of the period' },
+    { id: 'high-transaction-frequency', severity: 'INFO',
+      when: { metric: 'spending.transactionCount', op: '>', value: 20 },
+      message: 'High transaction frequency: {{spending.transactionCount}} transactions',
+      action: 'Consider consolidating purchases to reduce impulse spending' },
+    { id: 'large-average-transaction', severity: 'CAUTION',
+      when: { metric: 'spending.average', op: '>', value: { metric: 'budget.allocated', multiply: 0.1 } },
+      message: 'Average transaction size is high: {{spending.average|money}}',
+      action: 'Review large purchases and consider if they align with priorities' },
+    { id: 'unusual-transaction-high', forEach: 'anomalies', as: 'anomaly', severity: 'WARNING',
+      when: { metric: 'anomaly.level', op: '==', value: 'high' },
+      message: 'Unusually large {{anomaly.category|lower}} purchase: {{anomaly.description}} ({{anomaly.amount|money}}) is {{anomaly.explanation}}',
+      action: 'Check that this purchase was expected and plan for it in the rest of the budget' },
+    { id: 'unusual-transaction', forEach: 'anomalies', as: 'anomaly', severity: 'CAUTION',
+      when: { metric: 'anomaly.level', op: '==', value: 'moderate' },
+      message: 'Unusual {{anomaly.category|lower}} purchase: {{anomaly.description}} ({{anomaly.amount|money}}) is {{anomaly.explanation}}',
+      action: 'Review whether this purchase fits your priorities' }
+  ],
+  cohorts: [
+    { name: 'Graduate students', match: { 'studentInfo.cohort': 'graduate' },
+      overrides: { 'high-transaction-frequency': { when: { metric: 'spending.transactionCount', op: '>', value: 40 } } } }
+  ]
+};
+
 class BudgetAlerts {
-  static generateAlerts(analysis) {
-    const alerts = [];
-    const { budget, categories, spending } = analysis;
-
-    // Budget utilization alerts
-    if (budget.utilization > 100) {
-      alerts.push({
-        type: 'CRITICAL',
-        message: `Over budget by ${Math.abs(budget.remaining)}`,
-        action: 'Immediate spending reduction required'
-      });
-    } else if (budget.utilization > 90) {
-      alerts.push({
-        type: 'WARNING', 
-        message: `Approaching budget limit (${budget.utilization}% used)`,
-        action: 'Monitor remaining spending carefully'
-      });
-    } else if (budget.utilization > 75) {
-      alerts.push({
-        type: 'CAUTION',
-        message: `Budget 75% utilized with ${budget.utilization}% spent`,
-        action: 'Consider reducing discretionary spending'
-      });
+  // Load and check a rule file
+  static async loadRules(filePath) {
+    let ruleSet;
+    try {
+      ruleSet = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load alert rules: ${error.message}`);
     }
 
-    // Category concentration alerts
-    categories.forEach(category => {
-      if (category.percentage > 50) {
-        alerts.push({
-          type: 'INFO',
-          message: `${category.name} represents ${category.percentage}% of total spending`,
-          action: `Consider diversifying expenses or reducing ${category.name.toLowerCase()} costs`
-        });
-      }
-    });
+    this.validateRules(ruleSet);
+    return ruleSet;
+  }
 
-    // High transaction frequency alerts
-    if (spending.transactionCount > 20) {
-      alerts.push({
-        type: 'INFO',
-        message: `High transaction frequency: ${spending.transactionCount} transactions`,
-        action: 'Consider consolidating purchases to reduce impulse spending'
-      });
+  // Throw a descriptive error for rules the engine can't evaluate
+  static validateRules(ruleSet) {
+    if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+      throw new Error('Alert rules must have a "rules" array');
     }
 
-    // Large single transaction alerts
-    if (spending.average > budget.allocated * 0.1) {
-      alerts.push({
-        type: 'CAUTION',
-        message: `Average transaction size is high: ${spending.average}`,
-        action: 'Review large purchases and consider if they align with priorities'
+    const rules = new Map();
+    ruleSet.rules.forEach((rule, index) => {
+      const where = `Alert rule ${rule.id || index + 1}`;
+      if (!rule.id) throw new Error(`${where}: missing id`);
+      if (rules.has(rule.id)) throw new Error(`${where}: duplicate id`);
+      rules.set(rule.id, rule);
+      this.validateRule(rule, where);
+    });
+
+    // An override is checked together with the rule it changes, since the
+    // merged rule is what gets evaluated for the cohort's students
+    (ruleSet.cohorts || []).forEach(cohort => {
+      const where = `Alert cohort ${cohort.name || ''}`;
+      if (!cohort.match || typeof cohort.match !== 'object') {
+        throw new Error(`${where}: missing match`);
+      }
+      Object.entries(cohort.overrides || {}).forEach(([id, override]) => {
+        if (!rules.has(id)) throw new Error(`${where}: unknown rule "${id}"`);
+        if (!override || typeof override !== 'object') throw new Error(`${where}: override for "${id}" must be an object`);
+        this.validateRule({ ...rules.get(id), ...override }, `${where}, rule ${id}`);
       });
-    }
+    });
+  }
 
-    return alerts;
+  static validateRule(rule, where) {
+    if (!SEVERITIES.includes(rule.severity)) throw new Error(`${where}: severity must be one of ${SEVERITIES.join(', ')}`);
+    if (!rule.message) throw new Error(`${where}: missing message`);
+    this.validateCondition(rule.when, where);
   }
 
-  static displayAlerts(alerts, studentName) {
-    if (alerts.length === 0) {
-      console.log(`✅ No alerts for ${studentName}`);
+  static validateCondition(condition, where) {
+    if (!condition) throw new Error(`${where}: missing "when" condition`);
+    if (condition.all || condition.any) {
+      (condition.all || condition.any).forEach(c => this.validateCondition(c, where));
       return;
     }
+    if (!condition.metric) throw new Error(`${where}: condition needs a metric`);
+    if (!Object.hasOwn(OPERATORS, condition.op)) throw new Error(`${where}: unknown operator "${condition.op}"`);
+  }
 
-    console.log(`\n🚨 ALERTS for ${studentName}:`);
-    alerts.forEach(alert => {
-      const icon = this.getAlertIcon(alert.type);class BudgetAlerts {
-  static generateAlerts(analysis) {
+  static generateAlerts(analysis, ruleSet = DEFAULT_RULE_SET) {
     const alerts = [];
-    const { budget, categories, spending } = analysis;
-
-    // Budget utilization alerts
-    if (budget.utilization > 100) {
-      alerts.push({
-        type: 'CRITICAL',
-        message: `Over budget by ${Math.abs(budget.remaining)}`,
-        action: 'Immediate spending reduction required'
-      });
-    } else if (budget.utilization > 90) {
-      alerts.push({
-        type: 'WARNING', 
-        message: `Approaching budget limit (${budget.utilization}% used)`,
-        action: 'Monitor remaining spending carefully'
-      });
-    } else if (budget.utilization > 75) {
-      alerts.push({
-        type: 'CAUTION',
-        message: `Budget 75% utilized with ${budget.utilization}% spent`,
-        action: 'Consider reducing discretionary spending'
-      });
-    }
+    const firedGroups = new Set();
+
+    this.rulesForStudent(analysis, ruleSet).forEach(rule => {
+      if (rule.enabled === false) return;
+      if (rule.group && firedGroups.has(rule.group)) return;
+
+      // A rule either checks the analysis once or every item of a list
+      const contexts = rule.forEach
+        ? (this.getValue(analysis, rule.forEach) || []).map(item => ({ ...analysis, [rule.as || 'item']: item }))
+        : [analysis];
 
-    // Category concentration alerts
-    categories.forEach(category => {
-      if (category.percentage > 50) {
+      contexts.forEach(context => {
+        if (!this.evaluateCondition(rule.when, context)) return;
+
+        // forEach alerts also name the item they are about (e.g. the category)
+        const item = rule.forEach ? context[rule.as || 'item'] : null;
         alerts.push({
-          type: 'INFO',
-          message: `${category.name} represents ${category.percentage}% of total spending`,
-          action: `Consider diversifying expenses or reducing ${category.name.toLowerCase()} costs`
+          ruleId: rule.id,
+          ...(item ? { subject: item.name ?? item.id ?? item.category } : {}),
+          type: rule.severity,
+          message: this.renderTemplate(rule.message, context),
+          action: this.renderTemplate(rule.action || '', context)
         });
-      }
+        if (rule.group) firedGroups.add(rule.group);
+      });
     });
 
-    // High transaction frequency alerts
-    if (spending.transactionCount > 20) {
-      alerts.push({
-        type: 'INFO',
-        message: `High transaction frequency: ${spending.transactionCount} transactions`,
-        action: 'Consider consolidating purchases to reduce impulse spending'
+    return alerts;
+  }
+
+  // Apply the overrides of every cohort this student belongs to
+  static rulesForStudent(analysis, ruleSet) {
+    const cohorts = (ruleSet.cohorts || []).filter(cohort =>
+      Object.entries(cohort.match).every(([path, expected]) => this.getValue(analysis, path) === expected)
+    );
+
+    return ruleSet.rules.map(rule => {
+      let merged = rule;
+      cohorts.forEach(cohort => {
+        const override = cohort.overrides?.[rule.id];
+        if (override) merged = { ...merged, ...override };
       });
+      return merged;
+    });
+  }
+
+  static evaluateCondition(condition, context) {
+    if (condition.all) return condition.all.every(c => this.evaluateCondition(c, context));
+    if (condition.any) return condition.any.some(c => this.evaluateCondition(c, context));
+
+    const actual = this.getValue(context, condition.metric);
+    if (actual === undefined || actual === null) return false;
+
+    // The threshold can be a fixed value or another metric (optionally scaled)
+    let expected = condition.value;
+    if (expected && typeof expected === 'object') {
+      expected = (this.getValue(context, expected.metric) ?? 0) * (expected.multiply ?? 1);
     }
 
-    // Large single transaction alerts
-    if (spending.average > budget.allocated * 0.1) {
-      alerts.push({
-        type: 'CAUTION',
-        message: `Average transaction size is high: ${spending.average}`,
-        action: 'Review large purchases and consider if they align with priorities'
+    return OPERATORS[condition.op](actual, expected);
+  }
+
+  // Fill {{path}} and {{path|filter|filter}} placeholders from the analysis
+  static renderTemplate(template, context) {
+    return template.replace(/\{\{\s*([\w.]+)\s*((?:\|\s*\w+\s*)*)\}\}/g, (match, path, filters) => {
+      let value = this.getValue(context, path);
+      if (value === undefined || value === null) return '';
+      filters.split('|').map(filter => filter.trim()).forEach(filter => {
+        if (filter === 'abs') value = Math.abs(value);
+        if (filter === 'money') value = CurrencyConverter.format(value, context.studentInfo?.currency || 'USD');
+        if (filter === 'lower') value = String(value).toLowerCase();
+        if (filter === 'upper') value = String(value).toUpperCase();
       });
-    }
+      return String(value);
+    });
+  }
 
-    return alerts;
+  // Read a dotted path such as "budget.utilization" from an object
+  static getValue(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
   }
 
   static displayAlerts(alerts, studentName) {
@@ -145,81 +253,7 @@ class BudgetAlerts {
     };
     return icons[type] || '⚪';
   }
-
-  static generateEmailAlert(analysis, alerts) {
-    if (alerts.length === 0) return null;
-
-    const criticalAlerts = alerts.filter(a => a.type === 'CRITICAL');
-    if (criticalAlerts.length === 0) return null;
-
-    return {
-      to: `${analysis.studentInfo.id}@university.edu`,
-      subject: `Budget Alert: Immediate Action Required`,
-      body: `
-Dear ${analysis.studentInfo.name},
-
-Your budget requires immediate attention:
-
-Budget Status: ${analysis.budget.status}
-Amount Over Budget: ${Math.abs(analysis.budget.remaining)}
-Utilization: ${analysis.budget.utilization}%
-
-Critical Actions Needed:
-${criticalAlerts.map(alert => `• ${alert.action}`).join('\n')}
-
-Please review your spending and adjust your budget immediately.
-
-Best regards,
-Financial Wellness Team
-      `
-    };
-  }
 }
 
+export { DEFAULT_RULE_SET };
 export default BudgetAlerts;
-      console.log(`${icon} ${alert.type}: ${alert.message}`);
-      console.log(`   Action: ${alert.action}\n`);
-    });
-  }
-
-  static getAlertIcon(type) {
-    const icons = {
-      'CRITICAL': '🔴',
-      'WARNING': '🟡', 
-      'CAUTION': '🟠',
-      'INFO': '🔵'
-    };
-    return icons[type] || '⚪';
-  }
-
-  static generateEmailAlert(analysis, alerts) {
-    if (alerts.length === 0) return null;
-
-    const criticalAlerts = alerts.filter(a => a.type === 'CRITICAL');
-    if (criticalAlerts.length === 0) return null;
-
-    return {
-      to: `${analysis.studentInfo.id}@university.edu`,
-      subject: `Budget Alert: Immediate Action Required`,
-      body: `
-Dear ${analysis.studentInfo.name},
-
-Your budget requires immediate attention:
-
-Budget Status: ${analysis.budget.status}
-Amount Over Budget: ${Math.abs(analysis.budget.remaining)}
-Utilization: ${analysis.budget.utilization}%
-
-Critical Actions Needed:
-${criticalAlerts.map(alert => `• ${alert.action}`).join('\n')}
-
-Please review your spending and adjust your budget immediately.
-
-Best regards,
-Financial Wellness Team
-      `
-    };
-  }
-}
-
-export default BudgetAlerts;
\ No newline at end of file
@@ -9,11 +9,45 @@
 // - Generates AI-ready summaries
 
 import fs from 'fs/promises';
+import DataValidator from './validator.js';
+import SpendingForecaster from './forecaster.js';
+import AnomalyDetector from './anomalies.js';
+import RecurringDetector from './recurring.js';
+import SavingsGoalTracker from './goals.js';
+import TransactionLedger from './ledger.js';
+import CurrencyConverter from './currency.js';
+
+// Allowed values for the rollover option (see analyzeBudgetPeriods)
+const ROLLOVER_MODES = ['none', 'unspent', 'overspent', 'both'];
 
 class StudentSpendAnalyzer {
-  constructor() {
+  constructor(options = {}) {
     // Will hold our loaded student data
     this.data = null;
+
+    // Budget period settings:
+    // - periodStartDay: day of the month each budget period begins (1 = calendar months)
+    // - rollover: what carries into the next period ('none', 'unspent', 'overspent' or 'both')
+    // - asOf: optional YYYY-MM-DD reference date; history runs up to the period containing it
+    //   (today's period without it)
+    // Later days don't exist in every month, so the start day must be 1-28
+    const startDay = options.periodStartDay ?? '';
+    this.periodStartDay = startDay === '' ? 1 : Number(startDay);
+    if (!Number.isInteger(this.periodStartDay) || this.periodStartDay < 1 || this.periodStartDay > 28) {
+      throw new Error(`Budget period start day must be a whole number from 1 to 28 (got ${startDay})`);
+    }
+    this.rollover = ROLLOVER_MODES.includes(options.rollover) ? options.rollover : 'none';
+    this.asOf = options.asOf || null;
+
+    // Anomaly detection settings (threshold, budgetShare, ...; see src/anomalies.js)
+    this.anomalyOptions = options.anomalies || {};
+
+    // Currency settings:
+    // - baseCurrency: currency of students without their own baseCurrency
+    // - converter: exchange rates for transactions in other currencies (see src/currency.js),
+    //   loaded together with the data from options.exchangeRatesPath
+    this.baseCurrency = options.baseCurrency || 'USD';
+    this.converter = options.converter || new CurrencyConverter(options.exchangeRatesPath);
   }
 
   // ===================================================================
@@ -27,7 +61,24 @@ class StudentSpendAnalyzer {
       const rawData = await fs.readFile(filePath, 'utf8');
       // Convert JSON text to JavaScript object
       this.data = JSON.parse(rawData);
-      console.log(`✅ Loaded data for ${this.data.students.length} students`);
+      // Exchange rates for any transactions not in the student's own currency
+      await this.converter.load();
+      // (the shape is checked later by validateData)
+      console.log(`✅ Loaded data for ${Array.isArray(this.data?.students) ? this.data.students.length : 0} students`);
+    } catch (error) {
+      throw new Error(`Failed to load data: ${error.message}`);
+    }
+  }
+
+  // Load student data from a transaction ledger (a TransactionLedger or its file path)
+  async loadDataFromLedger(ledger) {
+    try {
+      if (typeof ledger === 'string') {
+        ledger = await new TransactionLedger(ledger).load();
+      }
+      this.data = ledger.toData();
+      await this.converter.load();
+      console.log(`✅ Loaded data for ${this.data.students.length} students from the ledger`);
     } catch (error) {
       throw new Error(`Failed to load data: ${error.message}`);
     }
@@ -38,6 +89,21 @@ class StudentSpendAnalyzer {
     this.data = jsonData;
   }
 
+  // Attach imported transactions (e.g. from a bank statement) to a student
+  addTransactions(studentId, transactions) {
+    if (!this.data) {
+      throw new Error('No data loaded. Call loadData() first.');
+    }
+
+    const student = this.data.students.find(s => s.studentId === studentId);
+    if (!student) {
+      throw new Error(`Student ${studentId} not found`);
+    }
+
+    student.transactions.push(...transactions);
+    return student.transactions.length;
+  }
+
   // ===================================================================
   // UTILITY FUNCTIONS
   // ===================================================================
@@ -47,6 +113,56 @@ class StudentSpendAnalyzer {
     return this.data ? this.data.students.map(s => s.studentId) : [];
   }
 
+  // Transactions of the other students in the same cohort (the whole class
+  // when no cohorts are set), used as the comparison group for anomalies.
+  // They are converted into this student's currency; peers whose
+  // transactions can't be converted are left out.
+  getPeerTransactions(student) {
+    const currency = this.getBaseCurrency(student);
+    return this.data.students
+      .filter(s => s.studentId !== student.studentId && s.cohort === student.cohort)
+      .flatMap(s => {
+        try {
+          return this.normalizeTransactions(s, currency);
+        } catch {
+          return [];
+        }
+      });
+  }
+
+  // The currency a student's budget (and therefore their analysis) is in
+  getBaseCurrency(student) {
+    return student.baseCurrency || this.baseCurrency;
+  }
+
+  // ===================================================================
+  // CURRENCY NORMALIZATION
+  // ===================================================================
+  // Every calculation works on amounts in one currency. Transactions in
+  // another currency are converted with the rate for their date and keep
+  // the original values next to the converted ones:
+  //   { amount: 36.84, currency: 'USD', originalAmount: 28, originalCurrency: 'GBP', exchangeRate: 1.315789 }
+  // Transactions without a currency are already in the student's base currency.
+
+  normalizeTransactions(student, currency = this.getBaseCurrency(student)) {
+    return student.transactions.map(t => {
+      const from = t.currency || this.getBaseCurrency(student);
+      if (from === currency) {
+        return t;
+      }
+
+      const converted = this.converter.convert(t.amount, from, currency, t.date);
+      return {
+        ...t,
+        amount: converted.amount,
+        currency,
+        originalAmount: t.amount,
+        originalCurrency: from,
+        exchangeRate: converted.rate
+      };
+    });
+  }
+
   // ===================================================================
   // MAIN ANALYSIS FUNCTION
   // ===================================================================
@@ -63,20 +179,64 @@ class StudentSpendAnalyzer {
       throw new Error(`Student ${studentId} not found`);
     }
 
+    // All amounts below are in the student's base currency
+    const currency = this.getBaseCurrency(student);
+    const transactions = this.normalizeTransactions(student);
+
+    // Split spending into budget periods; the latest one is the "current" budget
+    const budgetHistory = this.analyzeBudgetPeriods(transactions, student.monthlyBudget);
+
     // Create comprehensive analysis by running all our calculation functions
     const analysis = {
       studentInfo: {
         id: student.studentId,
         name: student.name,
         semester: student.semester,
-        budget: student.monthlyBudget
+        // Optional group (e.g. "graduate") used for per-cohort alert rules
+        cohort: student.cohort,
+        // Optional type (e.g. "freshman", "international") that picks AI prompt variants
+        studentType: student.studentType,
+        budget: student.monthlyBudget,
+        currency
       },
-      spending: this.calculateSpendingMetrics(student.transactions),
-      budget: this.analyzeBudget(student.transactions, student.monthlyBudget),
-      categories: this.analyzeCategoricalSpending(student.transactions),
-      timeline: this.analyzeSpendingTimeline(student.transactions)
+      spending: this.calculateSpendingMetrics(transactions),
+      budget: budgetHistory[budgetHistory.length - 1],
+      budgetHistory: budgetHistory,
+      categories: this.analyzeCategoricalSpending(transactions),
+      timeline: this.analyzeSpendingTimeline(transactions),
+      // Transactions the categorizer flagged because it wasn't confident enough
+      needsReview: transactions.filter(t => t.needsReview),
+      // Transactions converted from another currency, with original and converted amounts
+      currency: {
+        baseCurrency: currency,
+        convertedTransactions: transactions
+          .filter(t => t.originalCurrency)
+          .map(({ date, description, category, originalAmount, originalCurrency, exchangeRate, amount }) => ({
+            date, description, category, originalAmount, originalCurrency, exchangeRate, amount
+          }))
+      }
     };
 
+    // Project month-end spending for the current budget period
+    analysis.forecast = SpendingForecaster.forecast(analysis.budget, analysis.timeline, { asOf: this.asOf });
+
+    // Flag unusually large purchases against the student's own history and their peers
+    analysis.anomalies = AnomalyDetector.detect(transactions, {
+      ...this.anomalyOptions,
+      peerTransactions: this.getPeerTransactions(student),
+      monthlyBudget: student.monthlyBudget,
+      currency
+    });
+
+    // Per-category envelopes for the current period (empty without categoryBudgets)
+    analysis.envelopes = this.analyzeEnvelopes(student, analysis.budget, transactions);
+
+    // Progress toward savings goals, measured from the forecast's "as of" day
+    analysis.savingsGoals = SavingsGoalTracker.track(student.savingsGoals, transactions, analysis.budget, analysis.forecast.asOf);
+
+    // Subscriptions and other charges that repeat weekly or monthly
+    analysis.recurring = RecurringDetector.detect(transactions);
+
     return analysis;
   }
 
@@ -127,6 +287,140 @@ class StudentSpendAnalyzer {
     };
   }
 
+  // Split transactions into budget periods and analyze each one separately.
+  // Every period gets the monthly budget (plus any rollover from the previous
+  // period), so a student's numbers stay meaningful after the first month.
+  // Periods without transactions are included so rollover carries through gaps.
+  analyzeBudgetPeriods(transactions, monthlyBudget) {
+    // The current period is the one containing asOf (or today), and the history
+    // stops there: spending dated after that day isn't counted yet, the same
+    // cut-off the forecast uses for "spent so far".
+    const referenceDate = (this.asOf || new Date().toISOString()).slice(0, 10);
+    const lastStart = this.getPeriodStart(referenceDate);
+
+    // Group transactions by the start date of the period they fall into
+    const periodTransactions = {};
+    transactions.filter(t => t.date <= referenceDate).forEach(t => {
+      const start = this.getPeriodStart(t.date);
+      (periodTransactions[start] = periodTransactions[start] || []).push(t);
+    });
+
+    // With no earlier spending we report a single, untouched period
+    const starts = Object.keys(periodTransactions).sort();
+    const firstStart = starts[0] && starts[0] < lastStart ? starts[0] : lastStart;
+
+    const history = [];
+    let carryOver = 0;
+
+    for (let start = firstStart; start <= lastStart; start = this.getNextPeriodStart(start)) {
+      const allocated = parseFloat((monthlyBudget + carryOver).toFixed(2));
+      const period = this.analyzeBudget(periodTransactions[start] || [], allocated);
+
+      history.push({
+        periodStart: start,
+        periodEnd: this.addDays(this.getNextPeriodStart(start), -1),
+        baseBudget: monthlyBudget,
+        rolloverIn: parseFloat(carryOver.toFixed(2)),
+        ...period
+      });
+
+      carryOver = this.getRolloverAmount(period.remaining);
+    }
+
+    return history;
+  }
+
+  // Compare each category's spending in a budget period with its envelope
+  // (student.categoryBudgets), after any transfers made during that period.
+  // Uses the same status bands as the overall budget.
+  analyzeEnvelopes(student, period, transactions = this.normalizeTransactions(student)) {
+    if (!student.categoryBudgets) return [];
+
+    const inPeriod = item => item.date >= period.periodStart && item.date <= period.periodEnd;
+    const transfers = (student.envelopeTransfers || []).filter(inPeriod);
+    const periodTransactions = transactions.filter(inPeriod);
+
+    return Object.entries(student.categoryBudgets).map(([category, baseAllocation]) => {
+      const transfersIn = transfers.filter(t => t.to === category).reduce((sum, t) => sum + t.amount, 0);
+      const transfersOut = transfers.filter(t => t.from === category).reduce((sum, t) => sum + t.amount, 0);
+      const allocated = parseFloat((baseAllocation + transfersIn - transfersOut).toFixed(2));
+
+      return {
+        category,
+        baseAllocation,
+        transfersIn: parseFloat(transfersIn.toFixed(2)),
+        transfersOut: parseFloat(transfersOut.toFixed(2)),
+        ...this.analyzeBudget(periodTransactions.filter(t => t.category === category), allocated)
+      };
+    });
+  }
+
+  // Move money between two envelopes. Only unspent money can be moved out.
+  // transfer: { from, to, amount, date (defaults to today), note }
+  // Returns the envelopes of the transfer's period. The transfer is only
+  // kept in memory; SpendAnalysisApp.addEnvelopeTransfer also saves it.
+  transferBetweenEnvelopes(studentId, transfer) {
+    return this.applyEnvelopeTransfer(studentId, this.checkEnvelopeTransfer(studentId, transfer));
+  }
+
+  // Check a transfer (throws if it isn't allowed) and return the record to store
+  checkEnvelopeTransfer(studentId, transfer) {
+    if (!this.data) {
+      throw new Error('No data loaded. Call loadData() first.');
+    }
+
+    const student = this.data.students.find(s => s.studentId === studentId);
+    if (!student) {
+      throw new Error(`Student ${studentId} not found`);
+    }
+    if (!student.categoryBudgets) {
+      throw new Error(`Student ${studentId} has no category budgets`);
+    }
+
+    const { from, to, note } = transfer;
+    const amount = Number(transfer.amount);
+    const date = transfer.date || this.asOf || new Date().toISOString().slice(0, 10);
+
+    // Own keys only, so names like "constructor" aren't taken for budgets
+    if (!Object.hasOwn(student.categoryBudgets, from) || !Object.hasOwn(student.categoryBudgets, to)) {
+      throw new Error(`Both "${from}" and "${to}" need a category budget`);
+    }
+    if (from === to) {
+      throw new Error('Cannot transfer to the same category');
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error('Transfer amount must be a positive number');
+    }
+
+    // Check what's left in the source envelope during the transfer's period
+    const source = this.analyzeEnvelopes(student, this.getPeriodOf(date)).find(e => e.category === from);
+    if (amount > source.remaining) {
+      const left = CurrencyConverter.format(Math.max(source.remaining, 0), this.getBaseCurrency(student));
+      throw new Error(`Only ${left} left in ${from} to transfer`);
+    }
+
+    return { date, from, to, amount: parseFloat(amount.toFixed(2)), ...(note ? { note } : {}) };
+  }
+
+  // Add a checked transfer record to the student and return the period's envelopes
+  applyEnvelopeTransfer(studentId, record) {
+    const student = this.data.students.find(s => s.studentId === studentId);
+    student.envelopeTransfers = [...(student.envelopeTransfers || []), record];
+    return this.analyzeEnvelopes(student, this.getPeriodOf(record.date));
+  }
+
+  // Take back a transfer added by applyEnvelopeTransfer (e.g. when saving it failed)
+  removeEnvelopeTransfer(studentId, record) {
+    const student = this.data.students.find(s => s.studentId === studentId);
+    student.envelopeTransfers = (student.envelopeTransfers || []).filter(t => t !== record);
+  }
+
+  // The budget period ({ periodStart, periodEnd }) containing a date
+  getPeriodOf(date) {
+    const periodStart = this.getPeriodStart(date);
+    return { periodStart, periodEnd: this.addDays(this.getNextPeriodStart(periodStart), -1) };
+  }
+
   // Group spending by category (Food, Books, Entertainment, etc.)
   analyzeCategoricalSpending(transactions) {
     // Create objects to track totals and counts for each category
@@ -196,6 +490,50 @@ class StudentSpendAnalyzer {
     return "Over Budget";
   }
 
+  // Work out how much of a period's remaining balance moves into the next one
+  getRolloverAmount(remaining) {
+    if (remaining > 0 && (this.rollover === 'unspent' || this.rollover === 'both')) return remaining;
+    if (remaining < 0 && (this.rollover === 'overspent' || this.rollover === 'both')) return remaining;
+    return 0;
+  }
+
+  // Find the start date (YYYY-MM-DD) of the budget period containing a date
+  getPeriodStart(dateString) {
+    let [year, month, day] = dateString.slice(0, 10).split('-').map(Number);
+    // Before the start day means we're still in the period that began last month
+    if (day < this.periodStartDay) {
+      month -= 1;
+      if (month === 0) {
+        month = 12;
+        year -= 1;
+      }
+    }
+    return this.formatDate(year, month, this.periodStartDay);
+  }
+
+  // Find the start date of the period following the one starting on periodStart
+  getNextPeriodStart(periodStart) {
+    let [year, month] = periodStart.split('-').map(Number);
+    month += 1;
+    if (month === 13) {
+      month = 1;
+      year += 1;
+    }
+    return this.formatDate(year, month, this.periodStartDay);
+  }
+
+  // Shift a YYYY-MM-DD date by a number of days (calculated in UTC to avoid timezone drift)
+  addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+
+  // Build a YYYY-MM-DD string from its parts
+  formatDate(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
   // Count how many different days have transactions
   getUniqueDays(transactions) {
     const uniqueDates = new Set(transactions.map(t => t.date));
@@ -208,71 +546,126 @@ class StudentSpendAnalyzer {
   
   // Convert our analysis results into text format that AI can understand
   generateSummaryForAI(analysis) {
+    // Amounts are shown in the student's currency, e.g. $1,234.50 or €1,234.50
+    const currency = analysis.studentInfo.currency || this.baseCurrency;
+    const money = amount => CurrencyConverter.format(amount, currency);
+
     // Create a comma-separated list of spending categories
     const categoryText = analysis.categories
-      .map(c => `${c.name}: $${c.amount} (${c.percentage}%)`)
+      .map(c => `${c.name}: ${money(c.amount)} (${c.percentage}%)`)
       .join(', ');
 
+    // Summarize earlier budget periods (everything except the current one)
+    const previousPeriods = analysis.budgetHistory.slice(0, -1);
+    const previousPeriodsText = previousPeriods.length > 0
+      ? `Previous Periods: ${previousPeriods.map(p => `${p.periodStart}: ${money(p.spent)} of ${money(p.allocated)} (${p.status})`).join(', ')}`
+      : 'Previous Periods: None';
+
+    // Category envelopes only appear for students who set them up
+    const envelopeText = analysis.envelopes.length > 0
+      ? `\n\nCATEGORY BUDGETS:\n${analysis.envelopes.map(e => `${e.category}: ${money(e.spent)} of ${money(e.allocated)} (${e.utilization}%, ${e.status})`).join('\n')}`
+      : '';
+
+    const goalsText = analysis.savingsGoals.length > 0
+      ? analysis.savingsGoals.map(g =>
+        `${g.name}: ${money(g.saved)} of ${money(g.targetAmount)} (${g.progress}%) by ${g.deadline}, needs ${money(g.requiredMonthly)}/month - ${g.status}`
+      ).join('\n')
+      : 'None set';
+
+    // List recurring charges so the AI can point out subscriptions by name
+    const recurringCost = analysis.recurring.reduce((sum, r) => sum + r.annualizedCost, 0);
+    const recurringText = analysis.recurring.length > 0
+      ? [
+        ...analysis.recurring.map(r => `${r.description}: ${money(r.averageAmount)} ${r.cadence}, next ${r.nextExpectedDate} (${money(r.annualizedCost)}/year)`),
+        `Total: ${money(recurringCost)}/year`
+      ].join('\n')
+      : 'None detected';
+
+    // Mention purchases made in other currencies (amounts above are already converted)
+    const converted = analysis.currency?.convertedTransactions || [];
+    const conversionText = converted.length > 0
+      ? `\nConverted From Other Currencies: ${converted.map(t =>
+        `${t.description} ${CurrencyConverter.format(t.originalAmount, t.originalCurrency)} = ${money(t.amount)}`
+      ).join(', ')}`
+      : '';
+
     // Format all the analysis data as structured text for AI
     return `
 STUDENT PROFILE:
 Name: ${analysis.studentInfo.name}
 Student ID: ${analysis.studentInfo.id}
 Semester: ${analysis.studentInfo.semester}
+Currency: ${currency}
 
 BUDGET ANALYSIS:
-Monthly Budget: $${analysis.budget.allocated}
-Total Spent: $${analysis.budget.spent}
+Current Period: ${analysis.budget.periodStart} to ${analysis.budget.periodEnd}
+Monthly Budget: ${money(analysis.budget.baseBudget)}
+Rollover From Previous Period: ${money(analysis.budget.rolloverIn)}
+Available This Period: ${money(analysis.budget.allocated)}
+Total Spent: ${money(analysis.budget.spent)}
 Budget Utilization: ${analysis.budget.utilization}%
 Status: ${analysis.budget.status}
-Remaining Budget: $${analysis.budget.remaining}
+Remaining Budget: ${money(analysis.budget.remaining)}
+${previousPeriodsText}
 
 SPENDING PATTERNS:
 Total Transactions: ${analysis.spending.transactionCount}
-Average Transaction: $${analysis.spending.average}
-Daily Average Spending: $${analysis.spending.dailyAverage}
+Average Transaction: ${money(analysis.spending.average)}
+Daily Average Spending: ${money(analysis.spending.dailyAverage)}${conversionText}
 
 CATEGORY BREAKDOWN:
-${categoryText}
+${categoryText}${envelopeText}
+
+RECURRING CHARGES:
+${recurringText}
+
+SAVINGS GOALS:
+${goalsText}
 
 SPENDING TIMELINE:
-Highest spending day: ${analysis.timeline.highestSpendingDay.date} ($${analysis.timeline.highestSpendingDay.amount})
-Lowest spending day: ${analysis.timeline.lowestSpendingDay.date} ($${analysis.timeline.lowestSpendingDay.amount})
+Highest spending day: ${analysis.timeline.highestSpendingDay.date} (${money(analysis.timeline.highestSpendingDay.amount)})
+Lowest spending day: ${analysis.timeline.lowestSpendingDay.date} (${money(analysis.timeline.lowestSpendingDay.amount)})
+
+SPENDING FORECAST (calculated):
+Day ${analysis.forecast.daysElapsed} of ${analysis.forecast.totalDays} (${analysis.forecast.daysRemaining} days remaining)
+Projected Period Spending: ${money(analysis.forecast.projectedTotal)} (range ${money(analysis.forecast.range.low)} - ${money(analysis.forecast.range.high)})
+Projected Utilization: ${analysis.forecast.projectedUtilization}%
+Safe Daily Allowance: ${money(analysis.forecast.safeDailyAllowance)}
     `.trim();
   }
 
   // ===================================================================
   // DATA VALIDATION
   // ===================================================================
+
+  // Currencies amounts can be in: those in the rate table, plus the default base currency
+  getCurrencies() {
+    return [...new Set([this.baseCurrency, ...this.converter.getCurrencies()])];
+  }
   
-  // Check that our loaded data has all required fields and proper structure
-  validateData() {
-    // Check main data structure
-    if (!this.data || !this.data.students || !Array.isArray(this.data.students)) {
-      throw new Error('Invalid data structure: Missing students array');
+  // Check every student and transaction and collect all problems found.
+  // Invalid records are dropped so analysis can continue with the valid ones.
+  // Pass { repair: true } to fix safe issues (whitespace, numeric strings, date formats).
+  // Currencies without an exchange rate are rejected here, not halfway through an analysis.
+  validateData(options = {}) {
+    const report = DataValidator.validate(this.data, { currencies: this.getCurrencies(), ...options });
+
+    // Nothing usable at all (e.g. no students array): we can't continue
+    if (!report.data) {
+      throw new Error(`Invalid data structure: ${report.issues[0].message}`);
     }
 
-    // Check each student's data
-    this.data.students.forEach((student, index) => {
-      // Validate required student fields
-      if (!student.studentId || !student.name || !student.monthlyBudget) {
-        throw new Error(`Student ${index + 1}: Missing required fields`);
-      }
-
-      // Validate transactions array exists
-      if (!student.transactions || !Array.isArray(student.transactions)) {
-        throw new Error(`Student ${index + 1}: Missing or invalid transactions`);
-      }
+    this.data = report.data;
 
-      // Check each transaction has required fields
-      student.transactions.forEach((transaction, tIndex) => {
-        if (!transaction.date || !transaction.category || transaction.amount === undefined) {
-          throw new Error(`Student ${index + 1}, Transaction ${tIndex + 1}: Missing required fields`);
-        }
-      });
-    });
+    const { validStudents, totalStudents, errors, warnings, repaired } = report.summary;
+    if (report.issues.length === 0) {
+      console.log('✅ Data validation passed');
+    } else {
+      console.log(`⚠️  Data validation found ${errors} errors and ${warnings} warnings (${repaired} repaired)`);
+      console.log(`   Continuing with ${validStudents} of ${totalStudents} students`);
+    }
 
-    console.log('✅ Data validation passed');
+    return report;
   }
 }
 
@@ -0,0 +1,154 @@
+// ===================================================================
+// ANOMALY DETECTOR - Flags unusually large transactions
+// ===================================================================
+// Scores every transaction against two baselines:
+// - Personal: the student's own other transactions in the same category
+// - Cohort: other students' transactions in the same category
+// plus a simple check for single purchases that eat a large share of the
+// monthly budget (so one big purchase is caught even without history).
+//
+// Robust statistics are used so one outlier can't hide another:
+//   modified z-score = 0.6745 × (amount − median) / MAD
+// where MAD is the median absolute deviation. Scores above the threshold
+// (3.5 is the usual choice) are flagged. Only unusually HIGH amounts count.
+
+import CurrencyConverter from './currency.js';
+
+// Constant that makes the MAD comparable to a standard deviation
+const MAD_SCALE = 0.6745;
+
+const DEFAULT_OPTIONS = {
+  threshold: 3.5,         // Modified z-score that counts as unusual
+  minPersonalHistory: 4,  // Other transactions needed in a category for a personal baseline
+  minCohortSize: 8,       // Peer transactions needed in a category for a cohort baseline
+  budgetShare: 0.25,      // A single purchase above this share of the budget is flagged
+  minSpread: 1            // Smallest spread ($) used, so identical amounts don't divide by zero
+};
+
+class AnomalyDetector {
+  // ===================================================================
+  // MAIN DETECTION FUNCTION
+  // ===================================================================
+  // transactions: the student's transactions
+  // peerTransactions: transactions of the other students to compare against
+  // monthlyBudget: the student's budget (for the budget share check)
+  // currency: the currency all amounts are in (for explanations)
+  // Returns the flagged transactions, largest first.
+
+  static detect(transactions, { peerTransactions = [], monthlyBudget = 0, currency = 'USD', ...options } = {}) {
+    // Options left undefined (e.g. unset environment variables) keep their defaults
+    const settings = { ...DEFAULT_OPTIONS };
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined) settings[key] = value;
+    });
+    const peersByCategory = this.groupAmounts(peerTransactions);
+    const anomalies = [];
+
+    transactions.forEach((transaction, index) => {
+      const reasons = [];
+
+      // Personal baseline: leave this transaction out of its own history
+      const history = transactions
+        .filter((t, i) => i !== index && t.category === transaction.category)
+        .map(t => t.amount);
+      if (history.length >= settings.minPersonalHistory) {
+        const result = this.score(transaction.amount, history, settings);
+        if (result.score >= settings.threshold) {
+          reasons.push({
+            baseline: 'personal',
+            score: result.score,
+            median: result.median,
+            explanation: `${this.formatTimes(transaction.amount, result.median)} this student's usual ${transaction.category} purchase (${CurrencyConverter.format(result.median, currency)})`
+          });
+        }
+      }
+
+      // Cohort baseline: what other students spend in this category
+      const peerAmounts = peersByCategory[transaction.category] || [];
+      if (peerAmounts.length >= settings.minCohortSize) {
+        const result = this.score(transaction.amount, peerAmounts, settings);
+        if (result.score >= settings.threshold) {
+          reasons.push({
+            baseline: 'cohort',
+            score: result.score,
+            median: result.median,
+            explanation: `${this.formatTimes(transaction.amount, result.median)} the typical ${transaction.category} purchase across the class (${CurrencyConverter.format(result.median, currency)})`
+          });
+        }
+      }
+
+      // Budget share: one purchase taking a big bite of the whole budget
+      const share = monthlyBudget > 0 ? transaction.amount / monthlyBudget : 0;
+      if (share >= settings.budgetShare) {
+        reasons.push({
+          baseline: 'budget',
+          score: null,
+          share: parseFloat((share * 100).toFixed(1)),
+          explanation: `${(share * 100).toFixed(1)}% of the monthly budget in a single purchase`
+        });
+      }
+
+      if (reasons.length === 0) return;
+
+      const scores = reasons.map(r => r.score).filter(s => s !== null);
+      const score = scores.length > 0 ? Math.max(...scores) : null;
+
+      anomalies.push({
+        id: `${transaction.date}|${transaction.description}|${transaction.amount}`,
+        date: transaction.date,
+        description: transaction.description,
+        category: transaction.category,
+        amount: transaction.amount,
+        // Purchases made in another currency keep what was actually paid
+        ...(transaction.originalCurrency
+          ? { originalAmount: transaction.originalAmount, originalCurrency: transaction.originalCurrency }
+          : {}),
+        score,
+        // 'high' for extreme scores or purchases over twice the budget share
+        level: (score !== null && score >= settings.threshold * 2) || share >= settings.budgetShare * 2 ? 'high' : 'moderate',
+        reasons,
+        explanation: reasons.map(r => r.explanation).join('; ')
+      });
+    });
+
+    return anomalies.sort((a, b) => b.amount - a.amount);
+  }
+
+  // ===================================================================
+  // STATISTICS HELPERS
+  // ===================================================================
+
+  // Modified z-score of one amount against a list of amounts
+  static score(amount, amounts, settings) {
+    const median = this.median(amounts);
+    const mad = this.median(amounts.map(a => Math.abs(a - median)));
+    const spread = Math.max(mad, settings.minSpread);
+
+    return {
+      median: parseFloat(median.toFixed(2)),
+      score: parseFloat((MAD_SCALE * (amount - median) / spread).toFixed(2))
+    };
+  }
+
+  static median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  // Category → list of amounts
+  static groupAmounts(transactions) {
+    const groups = {};
+    transactions.forEach(t => {
+      (groups[t.category] = groups[t.category] || []).push(t.amount);
+    });
+    return groups;
+  }
+
+  // "4.2×" style comparison for explanations
+  static formatTimes(amount, median) {
+    return median > 0 ? `${(amount / median).toFixed(1)}×` : 'well above';
+  }
+}
+
+export default AnomalyDetector;
@@ -0,0 +1,160 @@
+// ===================================================================
+// PEER BENCHMARKING - Where a student stands compared to their cohort
+// ===================================================================
+// Groups students into cohorts (by semester, or any other field of the
+// student record) and works out the distribution of each metric and each
+// spending category inside every cohort: 10th, 25th, 50th (median), 75th
+// and 90th percentiles. Every student is then placed within their
+// cohort, e.g. "Food spending is in the 85th percentile of Fall 2024 students".
+//
+// Privacy: cohorts smaller than minCohortSize get no statistics and no
+// placements, so nobody can work out an individual's numbers.
+//
+// Students may budget in different currencies, so money metrics and
+// category amounts are converted into one currency before comparing.
+
+// Metrics compared between students: label → path in the analysis
+const METRICS = {
+  'Total spending': 'spending.total',
+  'Budget utilization': 'budget.utilization',
+  'Daily average spending': 'spending.dailyAverage',
+  'Average transaction': 'spending.average',
+  'Transaction count': 'spending.transactionCount'
+};
+
+// Metrics that are amounts of money (the others are percentages and counts)
+const MONEY_METRICS = new Set(['spending.total', 'spending.dailyAverage', 'spending.average']);
+
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+class PeerBenchmarker {
+  // ===================================================================
+  // MAIN BENCHMARK FUNCTION
+  // ===================================================================
+  // entries: [{ student, analysis }] - the raw student record (for grouping)
+  //          and the analyzer's result for that student
+  // options.groupBy: student field to group by, e.g. 'semester' or 'cohort'
+  // options.minCohortSize: smallest cohort that gets statistics
+  // options.currency: the currency amounts are compared in
+  // options.convert(amount, analysis): converts an amount from the student's
+  //          own currency into options.currency
+  // Returns { groupBy, minCohortSize, currency, cohorts: [...], students: { id: {...} } }
+
+  static benchmark(entries, { groupBy = 'semester', minCohortSize = 5, currency = null, convert = amount => amount } = {}) {
+
+    const groups = {};
+    entries.forEach(entry => {
+      const name = this.getValue(entry.student, groupBy) ?? 'Unknown';
+      (groups[name] = groups[name] || []).push(entry);
+    });
+
+    const cohorts = [];
+    const students = {};
+
+    Object.entries(groups).forEach(([name, members]) => {
+      const suppressed = members.length < minCohortSize;
+      const cohort = { name: String(name), size: members.length, suppressed };
+
+      if (suppressed) {
+        members.forEach(({ analysis }) => {
+          students[analysis.studentInfo.id] = { cohort: cohort.name, placements: [], suppressed: true };
+        });
+        cohorts.push(cohort);
+        return;
+      }
+
+      // Every student counts in every category (with $0 where they spent nothing)
+      const categoryNames = [...new Set(members.flatMap(m => m.analysis.categories.map(c => c.name)))];
+      const series = [
+        ...Object.entries(METRICS).map(([label, path]) => ({
+          group: 'metrics',
+          name: label,
+          label,
+          values: members.map(m => {
+            const value = this.getValue(m.analysis, path) ?? 0;
+            return MONEY_METRICS.has(path) ? convert(value, m.analysis) : value;
+          })
+        })),
+        ...categoryNames.map(category => ({
+          group: 'categories',
+          name: category,
+          label: `${category} spending`,
+          values: members.map(m => convert(m.analysis.categories.find(c => c.name === category)?.amount ?? 0, m.analysis))
+        }))
+      ];
+
+      cohort.metrics = {};
+      cohort.categories = {};
+      series.forEach(({ group, name, values }) => {
+        cohort[group][name] = this.describe(values);
+      });
+      cohorts.push(cohort);
+
+      // Place each student within every distribution
+      members.forEach(({ analysis }, index) => {
+        students[analysis.studentInfo.id] = {
+          cohort: cohort.name,
+          suppressed: false,
+          placements: series.map(({ label, values }) => {
+            const percentile = this.percentileRank(values[index], values);
+            return {
+              metric: label,
+              value: values[index],
+              percentile,
+              description: `${label} is in the ${this.ordinal(percentile)} percentile of ${cohort.name} students`
+            };
+          })
+        };
+      });
+    });
+
+    return { groupBy, minCohortSize, currency, cohorts, students };
+  }
+
+  // ===================================================================
+  // STATISTICS HELPERS
+  // ===================================================================
+
+  // Median, quartiles and 10th/90th percentiles of a list of numbers
+  static describe(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const stats = {};
+    PERCENTILES.forEach(p => {
+      stats[p === 50 ? 'median' : `p${p}`] = this.round(this.percentile(sorted, p));
+    });
+    return stats;
+  }
+
+  // Value at percentile p of a sorted list (linear interpolation)
+  static percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const position = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  // Share of the cohort below this value (ties count half), 0-100
+  static percentileRank(value, values) {
+    const below = values.filter(v => v < value).length;
+    const equal = values.filter(v => v === value).length;
+    return Math.round(((below + equal / 2) / values.length) * 100);
+  }
+
+  // 1 → "1st", 22 → "22nd", 85 → "85th"
+  static ordinal(number) {
+    const lastTwo = number % 100;
+    if (lastTwo >= 11 && lastTwo <= 13) return `${number}th`;
+    return `${number}${{ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th'}`;
+  }
+
+  static getValue(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+  }
+
+  static round(value) {
+    return parseFloat(value.toFixed(2));
+  }
+}
+
+export default PeerBenchmarker;
@@ -0,0 +1,219 @@
+// ===================================================================
+// TRANSACTION CATEGORIZER - Automatic Category Assignment Module
+// ===================================================================
+// Bank imports arrive without categories, so this module works them out
+// from the transaction description. It combines two sources:
+// - Rules: editable keywords and regex patterns (data/category-rules.json)
+// - Learning: words seen in transactions that are already categorized
+//
+// Every guess gets a confidence value between 0 and 1. Guesses below the
+// review threshold are NOT applied: the transaction is marked
+// "Uncategorized" with needsReview = true and a suggestedCategory.
+
+import fs from 'fs/promises';
+
+// Common words that say nothing about the category
+const STOP_WORDS = new Set(['and', 'for', 'the', 'with', 'from', 'at', 'to', 'of', 'on', 'in', 'a', 'an']);
+
+// Category used for transactions we can't categorize confidently
+const UNCATEGORIZED = 'Uncategorized';
+
+class TransactionCategorizer {
+  constructor(options = {}) {
+    // Rules loaded from the rule file: [{ category, keywords, patterns }]
+    this.rules = [];
+    // Confidence below this means "ask a human" instead of guessing
+    this.reviewThreshold = options.reviewThreshold ?? 0.6;
+    // Learned word counts: { word: { category: count } }
+    this.wordCategoryCounts = {};
+  }
+
+  // ===================================================================
+  // SETUP - Rules and learning
+  // ===================================================================
+
+  // Load keyword/regex rules from a JSON file
+  async loadRules(filePath) {
+    try {
+      const rawRules = await fs.readFile(filePath, 'utf8');
+      this.setRules(JSON.parse(rawRules));
+      console.log(`✅ Loaded ${this.rules.length} category rules`);
+    } catch (error) {
+      throw new Error(`Failed to load category rules: ${error.message}`);
+    }
+  }
+
+  // Use rules from an object (for testing or rules built in code)
+  setRules(config) {
+    if (config.reviewThreshold !== undefined) {
+      this.reviewThreshold = config.reviewThreshold;
+    }
+
+    this.rules = (config.rules || []).map(rule => ({
+      category: rule.category,
+      keywords: (rule.keywords || []).map(k => k.toLowerCase()),
+      patterns: (rule.patterns || []).map(p => new RegExp(p, 'i'))
+    }));
+  }
+
+  // Learn which words go with which category from transactions that a
+  // person already categorized (auto-assigned ones are skipped so the
+  // categorizer doesn't learn from its own guesses)
+  learnFromStudents(students) {
+    let learned = 0;
+
+    // Data that hasn't been validated yet may have records of the wrong shape
+    students.forEach(student => {
+      if (!student || !Array.isArray(student.transactions)) return;
+      student.transactions.forEach(t => {
+        if (!t || !t.category || t.category === UNCATEGORIZED || t.categorySource) return;
+
+        this.tokenize(t.description).forEach(word => {
+          const counts = this.wordCategoryCounts[word] = this.wordCategoryCounts[word] || {};
+          counts[t.category] = (counts[t.category] || 0) + 1;
+        });
+        learned++;
+      });
+    });
+
+    return learned;
+  }
+
+  // ===================================================================
+  // CATEGORIZATION
+  // ===================================================================
+
+  // Work out the category for a single description
+  categorize(description) {
+    const ruleGuess = this.matchRules(description);
+    const learnedGuess = this.matchLearned(description);
+
+    // Pick the stronger guess; agreement between both sources boosts confidence
+    let guess = ruleGuess.confidence >= learnedGuess.confidence ? ruleGuess : learnedGuess;
+    if (ruleGuess.category && ruleGuess.category === learnedGuess.category) {
+      guess = {
+        category: ruleGuess.category,
+        confidence: Math.min(0.99, Math.max(ruleGuess.confidence, learnedGuess.confidence) + 0.1),
+        source: 'rule+learned'
+      };
+    }
+
+    const confidence = parseFloat(guess.confidence.toFixed(2));
+
+    if (!guess.category || confidence < this.reviewThreshold) {
+      return {
+        category: UNCATEGORIZED,
+        suggestedCategory: guess.category || null,
+        confidence,
+        source: guess.source,
+        needsReview: true
+      };
+    }
+
+    return { category: guess.category, confidence, source: guess.source, needsReview: false };
+  }
+
+  // Fill in categories for transactions that don't have one.
+  // Returns the transactions that need a human to review them.
+  categorizeTransactions(transactions) {
+    const needsReview = [];
+
+    transactions.forEach(t => {
+      if (!t || typeof t !== 'object' || (t.category && t.category !== UNCATEGORIZED)) return;
+
+      const result = this.categorize(t.description);
+      t.category = result.category;
+      t.categoryConfidence = result.confidence;
+      t.categorySource = result.source;
+
+      if (result.needsReview) {
+        t.needsReview = true;
+        t.suggestedCategory = result.suggestedCategory;
+        needsReview.push(t);
+      }
+    });
+
+    return needsReview;
+  }
+
+  // Score categories using the keyword and regex rules.
+  // Patterns are more specific than single keywords, so they count double.
+  matchRules(description) {
+    const text = (typeof description === 'string' ? description : '').toLowerCase();
+    const words = new Set(this.tokenize(description));
+    const scores = {};
+
+    this.rules.forEach(rule => {
+      let score = 0;
+      rule.keywords.forEach(keyword => {
+        if (keyword.includes(' ') ? text.includes(keyword) : words.has(keyword)) score += 1;
+      });
+      rule.patterns.forEach(pattern => {
+        if (pattern.test(text)) score += 2;
+      });
+      if (score > 0) {
+        scores[rule.category] = (scores[rule.category] || 0) + score;
+      }
+    });
+
+    return this.bestGuess(scores, 0.95, 'rule');
+  }
+
+  // Score categories using words learned from existing transactions.
+  // Each known word votes for categories in proportion to how often it
+  // appeared with them; unknown words lower the confidence.
+  matchLearned(description) {
+    const words = this.tokenize(description);
+    const knownWords = words.filter(word => this.wordCategoryCounts[word]);
+    const scores = {};
+
+    if (knownWords.length === 0) {
+      return { category: null, confidence: 0, source: 'learned' };
+    }
+
+    knownWords.forEach(word => {
+      const counts = this.wordCategoryCounts[word];
+      const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+      Object.entries(counts).forEach(([category, count]) => {
+        scores[category] = (scores[category] || 0) + count / total;
+      });
+    });
+
+    // Learned guesses are capped lower than rules since they come from little data
+    const coverage = knownWords.length / words.length;
+    const guess = this.bestGuess(scores, 0.85, 'learned');
+    guess.confidence *= 0.5 + 0.5 * coverage;
+    return guess;
+  }
+
+  // ===================================================================
+  // HELPER FUNCTIONS
+  // ===================================================================
+
+  // Turn category scores into the top category and a confidence value
+  // (share of the total score, scaled by the maximum for this source)
+  bestGuess(scores, maxConfidence, source) {
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0) {
+      return { category: null, confidence: 0, source };
+    }
+
+    const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+    return {
+      category: ranked[0][0],
+      confidence: maxConfidence * (ranked[0][1] / total),
+      source
+    };
+  }
+
+  // Split a description into lowercase words, dropping numbers and filler words
+  // (anything that isn't text, like a number from a bad data file, has no words)
+  tokenize(description) {
+    return (typeof description === 'string' ? description : '')
+      .toLowerCase()
+      .split(/[^a-z]+/)
+      .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+  }
+}
+
+export default TransactionCategorizer;
@@ -0,0 +1,357 @@
+// ===================================================================
+// COMMAND-LINE INTERFACE - Subcommands for the analysis app
+// ===================================================================
+// Lets scripts run individual pieces of SpendAnalysisApp instead of the
+// whole batch every time:
+//
+//   node index.js                          Full run (analyze all + summary)
+//   node index.js analyze STU001 STU002    Analyze specific students
+//   node index.js summary                  Class summary report
+//   node index.js alerts                   Budget alerts for every student
+//   node index.js notify                   Email alerts (and due digests) to students
+//   node index.js history [studentId]      List saved report runs
+//   node index.js diff STU001 [from] [to]  What changed between two runs
+//   node index.js export --format csv      CSV export (csv or categories)
+//   node index.js import bank.csv --student STU001   Add a bank statement
+//   node index.js validate <file>          Validate a data file
+//   node index.js serve --port 3000        REST API server + dashboard
+//
+// Exit codes tell scripts what happened (see EXIT_CODES below).
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import DataValidator from './validator.js';
+import CurrencyConverter from './currency.js';
+import { startApiServer } from './server.js';
+
+const EXIT_CODES = {
+  OK: 0,          // Everything worked
+  ERROR: 1,       // Unexpected failure
+  USAGE: 2,       // Bad command or options
+  DATA: 3,        // Data file missing, unreadable or invalid
+  PARTIAL: 4      // Some students could not be processed
+};
+
+const CLI_OPTIONS = {
+  data: { type: 'string' },
+  reports: { type: 'string' },
+  'no-ai': { type: 'boolean' },
+  'no-cache': { type: 'boolean' },
+  json: { type: 'boolean' },
+  quiet: { type: 'boolean', short: 'q' },
+  format: { type: 'string' },
+  student: { type: 'string', short: 's' },
+  'date-format': { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  port: { type: 'string', short: 'p' },
+  'flush-digests': { type: 'boolean' },
+  repair: { type: 'boolean' },
+  full: { type: 'boolean' },
+  concurrency: { type: 'string', short: 'c' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const USAGE = `
+Usage: node index.js [command] [options]
+
+Commands:
+  (none)                       Analyze all students and write the class summary
+  analyze <studentId...>       Analyze the given students
+  summary                      Generate the class summary report
+  alerts                       Show budget alerts for every student
+  notify [--flush-digests]     Email new alerts and any digests that are due
+  history [studentId]          List saved report runs
+  diff <studentId> [from] [to] Compare a student's reports from two runs (default: latest two)
+  export --format <format>     Export results (csv or categories)
+  import <file> --student <id> Add a bank statement (csv, ofx, qfx or qif) to a student
+  validate <file> [--repair]   Validate a student data file (-o writes the cleaned data)
+  serve                        Start the REST API server and dashboard
+
+Options:
+  --data <path>                Student data file (default: DATA_PATH or ./data/student-data.json)
+  --reports <dir>              Reports directory (default: REPORTS_PATH or ./reports)
+  --no-ai                      Skip AI insights
+  --no-cache                   Ask the AI again instead of reusing cached answers
+  --full                       With ledger storage, re-analyze students even if unchanged
+  -c, --concurrency <n>        Students analyzed at the same time (default: ANALYSIS_CONCURRENCY or 4)
+  --json                       Print results as JSON
+  -q, --quiet                  Only print errors
+  -o, --output <file>          Output file for export (or cleaned data for validate)
+  -s, --student <id>           Student a statement is imported for
+  --format <format>            Export format, or statement format for import (default: file extension)
+  --date-format <format>       Statement dates: YYYY-MM-DD, MM/DD/YYYY or DD/MM/YYYY
+  -p, --port <port>            Port for serve (default: PORT or 3000)
+  --flush-digests              Send queued digests now instead of waiting
+  --repair                     Fix safe problems while validating (default: VALIDATION_AUTO_REPAIR)
+  -h, --help                   Show this help
+
+Exit codes: 0 ok, 1 error, 2 usage, 3 data problem, 4 some students failed
+`.trim();
+
+// ===================================================================
+// MAIN CLI ENTRY POINT
+// ===================================================================
+// argv: arguments after "node index.js"
+// createApp: function(options) returning a SpendAnalysisApp
+// Returns the exit code instead of exiting, so it can be tested.
+
+async function runCli(argv, { createApp }) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  const { values, positionals } = parsed;
+  const [command = 'run', ...args] = positionals;
+
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+
+  // Own keys only, so "constructor" or "toString" are unknown commands too
+  const handler = Object.hasOwn(COMMANDS, command) ? COMMANDS[command] : null;
+  if (!handler) {
+    console.error(`❌ Unknown command "${command}"`);
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  // Quiet and JSON modes silence normal progress output (errors still show)
+  const originalLog = console.log;
+  if (values.quiet || values.json) {
+    console.log = () => {};
+  }
+
+  try {
+    const { exitCode, result } = await handler(args, values, createApp);
+
+    if (values.json && result !== undefined) {
+      process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    }
+    return exitCode;
+  } catch (error) {
+    console.error('💥 Application error:', error.message);
+    return EXIT_CODES.ERROR;
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+// ===================================================================
+// COMMAND HANDLERS
+// ===================================================================
+// Each handler returns { exitCode, result }; result is printed with --json
+
+// Create the app and load its data; commands that don't need AI skip it
+async function prepareApp(values, createApp, { needsAI = false } = {}) {
+  const app = createApp({
+    dataPath: values.data,
+    reportsDir: values.reports,
+    useAI: needsAI && !values['no-ai'],
+    bypassCache: values['no-cache'] === true,
+    concurrency: values.concurrency
+  });
+
+  await app.initialize();
+  const dataLoaded = await app.loadData();
+  if (!dataLoaded) {
+    console.error('❌ Cannot proceed without data. Please check your data file.');
+    return null;
+  }
+  return app;
+}
+
+const COMMANDS = {
+  // Full batch: every student plus the class summary (the original behavior)
+  async run(args, values, createApp) {
+    if (values.concurrency !== undefined && !(parseInt(values.concurrency, 10) >= 1)) {
+      console.error(`❌ Invalid concurrency "${values.concurrency}" (expected a number of at least 1)`);
+      return { exitCode: EXIT_CODES.USAGE };
+    }
+
+    const app = await prepareApp(values, createApp, { needsAI: true });
+    if (!app) return { exitCode: EXIT_CODES.DATA };
+
+    // With ledger storage only students whose data changed are re-analyzed
+    const results = await app.analyzeAllStudents({ onlyChanged: !values.full });
+    const summary = await app.generateSummaryReport();
+
+    console.log('\n🎉 All analysis completed successfully!');
+    console.log(`\n📁 Check the ${app.reportsDir} folder for detailed reports`);
+    console.log('🚀 Application finished');
+
+    return {
+      exitCode: results.includes(null) ? EXIT_CODES.PARTIAL : EXIT_CODES.OK,
+      result: { students: results.filter(Boolean), summary, run: app.runSummary }
+    };
+  },
+
+  async analyze(args, values, createApp) {
+    if (args.length === 0) {
+      console.error('❌ analyze needs at least one student ID');
+      return { exitCode: EXIT_CODES.USAGE };
+    }
+
+    const app = await prepareApp(values, createApp, { needsAI: true });
+    if (!app) return { exitCode: EXIT_CODES.DATA };
+
+    const results = [];
+    for (const studentId of args) {
+      results.push(await app.analyzeStudent(studentId));
+    }
+
+    return {
+      exitCode: results.includes(null) ? EXIT_CODES.PARTIAL : EXIT_CODES.OK,
+      result: results.filter(Boolean)
+    };
+  },
+
+  async summary(args, values, createApp) {
+    const app = await prepareApp(values, createApp);
+    if (!app) return { exitCode: EXIT_CODES.DATA };
+
+    const summary = await app.generateSummaryReport();
+    return { exitCode: EXIT_CODES.OK, result: summary };
+  },
+
+  async alerts(args, values, createApp) {
+    const app = await prepareApp(values, createApp);
+    if (!app) return { exitCode: EXIT_CODES.DATA };
+
+    const result = app.checkAlerts();
+    return { exitCode: result.some(r => r.error) ? EXIT_CODES.PARTIAL : EXIT_CODES.OK, result };
+  },
+
+  async notify(args, values, createApp) {
+    const app = await prepareApp(values, createApp);
+    if (!app) return { exitCode: EXIT_CODES.DATA };
+
+    const result = await app.sendAlertNotifications({ forceDigests: values['flush-digests'] });
+    return { exitCode: result.failed.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK, result };
+  },
+
+  async history(args, values, createApp) {
+    const app = createApp({ reportsDir: values.reports, useAI: false });
+    const runs = await app.listReportHistory(args[0]);
+    return { exitCode: EXIT_CODES.OK, result: runs };
+  },
+
+  async diff(args, values, createApp) {
+    if (args.length === 0) {
+      console.error('❌ diff needs a student ID');
+      return { exitCode: EXIT_CODES.USAGE };
+    }
+
+    const app = createApp({ reportsDir: values.reports, useAI: false });
+    try {
+      const diff = await app.diffReports(args[0], args[1], args[2]);
+      return { exitCode: EXIT_CODES.OK, result: diff };
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return { exitCode: EXIT_CODES.DATA };
+    }
+  },
+
+  async export(args, values, createApp) {
+    const format = values.format || 'csv';
+    if (!['csv', 'categories'].includes(format)) {
+      console.error(`❌ Unknown export format "${format}" (expected csv or categories)`);
+      return { exitCode: EXIT_CODES.USAGE };
+    }
+
+    const app = await prepareApp(values, createApp);
+    if (!app) return { exitCode: EXIT_CODES.DATA };
+
+    const fileName = values.output || path.join(app.reportsDir, format === 'csv' ? 'students.csv' : 'categories.csv');
+    const result = await app.exportResults(format, fileName);
+    return { exitCode: result.failed.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK, result };
+  },
+
+  // Add a bank statement to a student's transactions (saved to the ledger or data file)
+  async import(args, values, createApp) {
+    if (args.length === 0 || !values.student) {
+      console.error('❌ import needs a statement file and --student <id>');
+      return { exitCode: EXIT_CODES.USAGE };
+    }
+
+    const app = await prepareApp(values, createApp);
+    if (!app) return { exitCode: EXIT_CODES.DATA };
+
+    const result = await app.importStatement(args[0], values.student, {
+      format: values.format,
+      dateFormat: values['date-format']
+    });
+    if (!result) return { exitCode: EXIT_CODES.DATA };
+
+    return {
+      exitCode: EXIT_CODES.OK,
+      result: { studentId: result.studentId, source: result.source, format: result.format, added: result.added,
+        duplicates: result.duplicates || 0, skipped: result.skipped, errors: result.errors }
+    };
+  },
+
+  // Keep running as an HTTP server until the process is stopped
+  async serve(args, values, createApp) {
+    const port = parseInt(values.port || process.env.PORT || '3000', 10);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      console.error(`❌ Invalid port "${values.port}"`);
+      return { exitCode: EXIT_CODES.USAGE };
+    }
+
+    const app = await prepareApp(values, createApp, { needsAI: true });
+    if (!app) return { exitCode: EXIT_CODES.DATA };
+
+    const server = await startApiServer(app, port);
+    return { exitCode: EXIT_CODES.OK, result: { url: `http://127.0.0.1:${server.address().port}` } };
+  },
+
+  // Validate a data file without analyzing it
+  async validate(args, values) {
+    const filePath = args[0] || values.data;
+    if (!filePath) {
+      console.error('❌ validate needs a file path');
+      return { exitCode: EXIT_CODES.USAGE };
+    }
+
+    let data;
+    let converter;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      // Currencies are checked against the same exchange-rate table as an analysis
+      converter = await new CurrencyConverter(process.env.EXCHANGE_RATES_PATH).load();
+    } catch (error) {
+      console.error(`❌ Failed to read ${filePath}:`, error.message);
+      return { exitCode: EXIT_CODES.DATA };
+    }
+
+    // Same repair setting as loading the data for analysis
+    const repair = values.repair === true || process.env.VALIDATION_AUTO_REPAIR === 'true';
+    const currencies = [process.env.BASE_CURRENCY || 'USD', ...converter.getCurrencies()];
+    const report = DataValidator.validate(data, { repair, currencies });
+
+    console.log(`\n🔎 Validating ${filePath}`);
+    report.issues.forEach(issue => {
+      const icon = issue.repaired ? '🔧' : issue.severity === 'error' ? '❌' : '⚠️ ';
+      console.log(`   ${icon} ${issue.path}: ${issue.message}`);
+    });
+    console.log(report.valid ? '✅ Data is valid' : `❌ ${report.summary.errors} errors found`);
+
+    // Save the cleaned (and repaired) data, e.g. to replace the original file
+    if (values.output && report.data) {
+      await fs.writeFile(values.output, JSON.stringify(report.data, null, 2));
+      console.log(`💾 Cleaned data saved to ${values.output}`);
+    }
+
+    // The cleaned data isn't useful on the command line
+    const { data: _cleaned, ...result } = report;
+    return { exitCode: report.valid ? EXIT_CODES.OK : EXIT_CODES.DATA, result };
+  }
+};
+
+export { runCli, EXIT_CODES };
@@ -0,0 +1,139 @@
+// ===================================================================
+// CURRENCY CONVERTER - Exchange rates and money formatting
+// ===================================================================
+// International students often pay in more than one currency. Each
+// transaction may carry a "currency" (e.g. "EUR"), and each student a
+// "baseCurrency" that their budget is set in. Before any calculations
+// the analyzer converts every transaction into the student's base
+// currency using a local exchange-rate table keyed by date:
+//
+//   {
+//     "base": "USD",
+//     "rates": {
+//       "2024-09-01": { "EUR": 0.905, "GBP": 0.762, "INR": 83.9 },
+//       "2024-09-04": { "EUR": 0.902, "GBP": 0.760, "INR": 83.8 }
+//     }
+//   }
+//
+// Rates are "units of that currency per 1 unit of the base currency".
+// A transaction uses the latest rates on or before its date (or the
+// earliest table entry for older transactions), so the table only needs
+// an entry whenever rates change.
+
+import fs from 'fs/promises';
+
+// Three-letter ISO 4217 codes such as USD, EUR or INR
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+class CurrencyConverter {
+  constructor(filePath = './data/exchange-rates.json') {
+    this.filePath = filePath;
+    this.base = 'USD';
+    // date → { currency: rate }, plus the dates in order for lookups
+    this.rates = {};
+    this.dates = [];
+  }
+
+  // ===================================================================
+  // LOADING RATES
+  // ===================================================================
+
+  // Read the rate table. A missing file means only same-currency amounts can be used.
+  async load() {
+    let text;
+    try {
+      text = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return this;
+      throw new Error(`Failed to read exchange rates: ${error.message}`);
+    }
+
+    try {
+      this.setRates(JSON.parse(text));
+    } catch (error) {
+      throw new Error(`Invalid exchange rate file: ${error.message}`);
+    }
+    return this;
+  }
+
+  // Use a rate table already in memory ({ base, rates })
+  setRates(table) {
+    if (!table || typeof table.rates !== 'object' || table.rates === null) {
+      throw new Error('Rate table needs a "rates" object keyed by date');
+    }
+    if (table.base !== undefined && !CurrencyConverter.isValidCode(table.base)) {
+      throw new Error(`"${table.base}" is not a currency code`);
+    }
+
+    Object.entries(table.rates).forEach(([date, rates]) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        throw new Error(`Rate date "${date}" is not in YYYY-MM-DD format`);
+      }
+      Object.entries(rates).forEach(([currency, rate]) => {
+        if (!CurrencyConverter.isValidCode(currency) || !(typeof rate === 'number' && rate > 0)) {
+          throw new Error(`Bad rate for ${currency} on ${date}`);
+        }
+      });
+    });
+
+    this.base = table.base || 'USD';
+    this.rates = table.rates;
+    this.dates = Object.keys(table.rates).sort();
+    return this;
+  }
+
+  // ===================================================================
+  // CONVERSION
+  // ===================================================================
+
+  // Every currency the table can convert: its base plus each listed currency
+  getCurrencies() {
+    return [...new Set([this.base, ...this.dates.flatMap(date => Object.keys(this.rates[date]))])];
+  }
+
+  // Units of `currency` per 1 unit of the table's base currency on a date
+  getRate(currency, date) {
+    if (currency === this.base) return 1;
+
+    // Latest table entry on or before the date that lists this currency
+    const candidates = this.dates.filter(d => currency in this.rates[d]);
+    const onOrBefore = candidates.filter(d => d <= date);
+    const rateDate = onOrBefore[onOrBefore.length - 1] || candidates[0];
+    if (!rateDate) {
+      throw new Error(`No exchange rate for ${currency}${date ? ` on ${date}` : ''}`);
+    }
+    return this.rates[rateDate][currency];
+  }
+
+  // Convert an amount between two currencies using the rates for a date.
+  // Returns { amount, rate } where amount = original × rate (rounded to cents).
+  convert(amount, from, to, date) {
+    if (from === to) return { amount, rate: 1 };
+
+    const rate = this.getRate(to, date) / this.getRate(from, date);
+    return {
+      amount: parseFloat((amount * rate).toFixed(2)),
+      rate: parseFloat(rate.toFixed(6))
+    };
+  }
+
+  // ===================================================================
+  // FORMATTING
+  // ===================================================================
+
+  // 1234.5 → "$1,234.50", "€1,234.50", "₹1,234.50", ...
+  static format(amount, currency = 'USD') {
+    try {
+      return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+    } catch {
+      // Unknown to Intl: still show which currency the number is in
+      return `${Number(amount).toFixed(2)} ${currency}`;
+    }
+  }
+
+  static isValidCode(code) {
+    return typeof code === 'string' && CURRENCY_CODE.test(code);
+  }
+}
+
+export default CurrencyConverter;
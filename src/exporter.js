@@ -5,6 +5,7 @@ class DataExporter {
     const csvHeaders = [
       'Student ID',
       'Student Name', 
+      'Currency',
       'Budget',
       'Total Spent',
       'Budget Utilization %',
@@ -12,12 +13,14 @@ class DataExporter {
       'Transactions Count',
       'Average Transaction',
       'Top Category',
-      'Top Category Amount'
+      'Top Category Amount',
+      'Recurring Annual Cost'
     ];
 
     const csvRows = analysisResults.map(result => [
       result.studentInfo.id,
       result.studentInfo.name,
+      result.studentInfo.currency || 'USD',
       result.budget.allocated,
       result.budget.spent,
       result.budget.utilization,
@@ -25,7 +28,8 @@ class DataExporter {
       result.spending.transactionCount,
       result.spending.average,
       result.categories[0]?.name || 'None',
-      result.categories[0]?.amount || 0
+      result.categories[0]?.amount || 0,
+      result.recurring ? result.recurring.reduce((sum, r) => sum + r.annualizedCost, 0).toFixed(2) : 0
     ]);
 
     const csvContent = [
@@ -45,10 +49,10 @@ class DataExporter {
       result.categories.forEach(cat => allCategories.add(cat.name));
     });
 
-    const headers = ['Student ID', 'Student Name', ...Array.from(allCategories)];
+    const headers = ['Student ID', 'Student Name', 'Currency', ...Array.from(allCategories)];
     
     const rows = analysisResults.map(result => {
-      const row = [result.studentInfo.id, result.studentInfo.name];
+      const row = [result.studentInfo.id, result.studentInfo.name, result.studentInfo.currency || 'USD'];
       
       allCategories.forEach(category => {
         const categoryData = result.categories.find(c => c.name === category);
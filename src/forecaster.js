@@ -0,0 +1,150 @@
+// ===================================================================
+// SPENDING FORECASTER - Deterministic Month-End Projections
+// ===================================================================
+// This module projects where a student's spending will end up by the
+// end of the current budget period, using the daily totals from
+// analyzeSpendingTimeline(). All the numbers are calculated here; the AI
+// only puts them into words.
+//
+// Two projection methods are used:
+// - Linear: spending so far divided by the days elapsed
+// - Weighted recent: the last few days count more than older ones
+// The final projection averages both and comes with a confidence range.
+
+// How many recent days the weighted method looks at
+const RECENT_WINDOW_DAYS = 7;
+// z-score for an 80% confidence range
+const CONFIDENCE_Z = 1.28;
+
+class SpendingForecaster {
+  // ===================================================================
+  // MAIN FORECAST FUNCTION
+  // ===================================================================
+  // Needs the analysis' current budget period (analysis.budget) and the
+  // timeline. The "as of" day is options.asOf if given, otherwise today
+  // when today falls inside the period, otherwise the last day with
+  // spending (so older data sets still get a meaningful forecast).
+
+  static forecast(budget, timeline, options = {}) {
+    const { periodStart, periodEnd } = budget;
+    const totalDays = this.daysBetween(periodStart, periodEnd) + 1;
+
+    // Only look at spending inside the current period
+    const periodDays = timeline.dailySpending.filter(d => d.date >= periodStart && d.date <= periodEnd);
+    const asOf = this.resolveAsOf(periodStart, periodEnd, periodDays, options.asOf);
+
+    const daysElapsed = Math.min(Math.max(this.daysBetween(periodStart, asOf) + 1, 1), totalDays);
+    const daysRemaining = totalDays - daysElapsed;
+
+    // Build one amount per calendar day so days without spending count as $0.
+    // Like budget.spent, this only counts spending up to the "as of" day.
+    const dailyAmounts = this.fillDailyAmounts(periodStart, daysElapsed, periodDays);
+    const spentSoFar = dailyAmounts.reduce((sum, amount) => sum + amount, 0);
+
+    // Method 1: linear pace over the whole period so far
+    const linearRate = spentSoFar / daysElapsed;
+    // Method 2: recent days weighted more heavily (1, 2, ... N)
+    const weightedRate = this.weightedRecentRate(dailyAmounts);
+
+    const linearTotal = spentSoFar + linearRate * daysRemaining;
+    const weightedTotal = spentSoFar + weightedRate * daysRemaining;
+    const projectedTotal = (linearTotal + weightedTotal) / 2;
+
+    // Confidence range grows with day-to-day variation and days left
+    const margin = CONFIDENCE_Z * this.standardDeviation(dailyAmounts) * Math.sqrt(daysRemaining);
+    const low = Math.max(spentSoFar, Math.min(linearTotal, weightedTotal, projectedTotal - margin));
+    const high = Math.max(linearTotal, weightedTotal, projectedTotal + margin);
+
+    const remaining = budget.allocated - spentSoFar;
+    const projectedUtilization = budget.allocated > 0 ? (projectedTotal / budget.allocated) * 100 : 0;
+
+    return {
+      asOf,
+      periodStart,
+      periodEnd,
+      daysElapsed,
+      daysRemaining,
+      totalDays,
+      spentSoFar: this.round(spentSoFar),
+      allocated: budget.allocated,
+      methods: {
+        linear: { dailyRate: this.round(linearRate), projectedTotal: this.round(linearTotal) },
+        weightedRecent: {
+          dailyRate: this.round(weightedRate),
+          projectedTotal: this.round(weightedTotal),
+          windowDays: Math.min(RECENT_WINDOW_DAYS, dailyAmounts.length)
+        }
+      },
+      projectedTotal: this.round(projectedTotal),
+      range: { low: this.round(low), high: this.round(high), confidence: 0.8 },
+      // Few days of data make any projection shaky
+      reliability: daysElapsed < 7 ? 'low' : daysElapsed < 14 ? 'medium' : 'high',
+      projectedUtilization: parseFloat(projectedUtilization.toFixed(1)),
+      willStayWithinBudget: projectedTotal <= budget.allocated,
+      projectedOverage: this.round(Math.max(projectedTotal - budget.allocated, 0)),
+      // What the student can spend per day for the rest of the period
+      safeDailyAllowance: daysRemaining > 0 && remaining > 0 ? this.round(remaining / daysRemaining) : 0
+    };
+  }
+
+  // ===================================================================
+  // CALCULATION HELPERS
+  // ===================================================================
+
+  // Pick the date the forecast is made "as of" (see forecast() above)
+  static resolveAsOf(periodStart, periodEnd, periodDays, asOf) {
+    if (asOf) {
+      return asOf.slice(0, 10);
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    if (today >= periodStart && today <= periodEnd) {
+      return today;
+    }
+
+    return periodDays.length > 0 ? periodDays[periodDays.length - 1].date : periodStart;
+  }
+
+  // One spending amount per day from periodStart for the given number of days
+  static fillDailyAmounts(periodStart, days, periodDays) {
+    const amounts = new Array(days).fill(0);
+    periodDays.forEach(d => {
+      const day = this.daysBetween(periodStart, d.date);
+      if (day < days) amounts[day] = d.amount;
+    });
+    return amounts;
+  }
+
+  // Daily rate where the most recent day has the largest weight
+  static weightedRecentRate(dailyAmounts) {
+    const recent = dailyAmounts.slice(-RECENT_WINDOW_DAYS);
+    let weightedSum = 0;
+    let weightTotal = 0;
+
+    recent.forEach((amount, index) => {
+      const weight = index + 1;
+      weightedSum += amount * weight;
+      weightTotal += weight;
+    });
+
+    return weightTotal > 0 ? weightedSum / weightTotal : 0;
+  }
+
+  static standardDeviation(values) {
+    if (values.length < 2) return 0;
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+    return Math.sqrt(variance);
+  }
+
+  // Whole days between two YYYY-MM-DD dates
+  static daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+  }
+
+  static round(value) {
+    return parseFloat(value.toFixed(2));
+  }
+}
+
+export default SpendingForecaster;
@@ -0,0 +1,92 @@
+// ===================================================================
+// SAVINGS GOAL TRACKER - Progress and on-track checks for savings goals
+// ===================================================================
+// Students can list what they're saving toward in their record:
+//
+//   "savingsGoals": [
+//     { "id": "laptop", "name": "New laptop", "targetAmount": 1200,
+//       "currentAmount": 300, "deadline": "2025-05-01", "category": "Savings" }
+//   ]
+//
+// - currentAmount: what was already saved when the goal was set up
+// - category (optional): transactions in this category count as
+//   contributions (e.g. transfers to a savings account)
+// Without a category the goal is funded from the budget surplus.
+//
+// For each goal we work out how much is saved, what has to be put aside
+// every month to hit the deadline, and whether this period's surplus
+// (budget.remaining) covers it. Goals with earlier deadlines get the
+// surplus first.
+
+// Average month length in days, for "months left" calculations
+const DAYS_PER_MONTH = 30.44;
+
+class SavingsGoalTracker {
+  // ===================================================================
+  // MAIN TRACKING FUNCTION
+  // ===================================================================
+  // goals: the student's savingsGoals
+  // transactions: the student's transactions (for category-linked contributions)
+  // budget: the current budget period (analysis.budget)
+  // asOf: YYYY-MM-DD date to measure from
+
+  static track(goals = [], transactions, budget, asOf) {
+    let surplusLeft = Math.max(budget.remaining, 0);
+
+    return [...goals]
+      .sort((a, b) => a.deadline.localeCompare(b.deadline))
+      .map(goal => {
+        const contributions = goal.category
+          ? transactions.filter(t => t.category === goal.category).reduce((sum, t) => sum + t.amount, 0)
+          : 0;
+        const saved = (goal.currentAmount || 0) + contributions;
+        const stillNeeded = Math.max(goal.targetAmount - saved, 0);
+
+        const daysLeft = this.daysBetween(asOf, goal.deadline);
+        const monthsLeft = Math.max(daysLeft / DAYS_PER_MONTH, 0);
+        // With less than a month to go, the whole remainder is due now
+        const requiredMonthly = stillNeeded > 0 ? stillNeeded / Math.max(monthsLeft, 1) : 0;
+
+        // Earlier goals use up the surplus first
+        const surplusAvailable = surplusLeft;
+        surplusLeft = Math.max(surplusLeft - requiredMonthly, 0);
+
+        return {
+          id: goal.id || goal.name,
+          name: goal.name,
+          targetAmount: goal.targetAmount,
+          deadline: goal.deadline,
+          fundedFrom: goal.category ? `category:${goal.category}` : 'surplus',
+          saved: this.round(saved),
+          stillNeeded: this.round(stillNeeded),
+          progress: goal.targetAmount > 0 ? parseFloat(Math.min((saved / goal.targetAmount) * 100, 100).toFixed(1)) : 100,
+          monthsLeft: parseFloat(monthsLeft.toFixed(1)),
+          requiredMonthly: this.round(requiredMonthly),
+          surplusAvailable: this.round(surplusAvailable),
+          onTrack: stillNeeded === 0 || (daysLeft >= 0 && surplusAvailable >= requiredMonthly),
+          status: this.getGoalStatus(stillNeeded, daysLeft, surplusAvailable, requiredMonthly)
+        };
+      });
+  }
+
+  // ===================================================================
+  // HELPER FUNCTIONS
+  // ===================================================================
+
+  static getGoalStatus(stillNeeded, daysLeft, surplusAvailable, requiredMonthly) {
+    if (stillNeeded === 0) return 'Achieved';
+    if (daysLeft < 0) return 'Overdue';
+    if (surplusAvailable >= requiredMonthly) return 'On Track';
+    return 'At Risk';
+  }
+
+  static daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+  }
+
+  static round(value) {
+    return parseFloat(value.toFixed(2));
+  }
+}
+
+export default SavingsGoalTracker;
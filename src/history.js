@@ -0,0 +1,215 @@
+// ===================================================================
+// REPORT HISTORY - Timestamped snapshots of every run, and diffs between them
+// ===================================================================
+// The reports in reports/ are overwritten on every run. This module also
+// keeps a copy of each run's reports under reports/history/<runId>/:
+//
+//   reports/history/2024-09-06T18-30-00-000Z/
+//     run.json                        When the run happened and who was in it
+//     STU001_financial_report.json
+//     class_summary.json
+//
+// Run IDs are timestamps, so sorting them sorts runs by time. diff()
+// compares one student's reports from two runs. Old runs are pruned by
+// count (maxRuns) and/or age (maxAgeDays).
+
+import fs from 'fs/promises';
+import path from 'path';
+
+class ReportHistory {
+  // Options:
+  // - reportsDir: where reports are saved (history goes in reportsDir/history)
+  // - maxRuns: how many runs to keep (0 = no limit)
+  // - maxAgeDays: delete runs older than this (0 = no limit)
+  constructor(options = {}) {
+    this.historyDir = path.join(options.reportsDir || './reports', 'history');
+    this.maxRuns = options.maxRuns ?? 30;
+    this.maxAgeDays = options.maxAgeDays ?? 0;
+    // Manifest updates in progress, per run (students can be saved in parallel)
+    this.manifestWrites = new Map();
+  }
+
+  // A new, sortable run ID such as 2024-09-06T18-30-00-000Z
+  static createRunId(date = new Date()) {
+    return date.toISOString().replace(/[:.]/g, '-');
+  }
+
+  // ===================================================================
+  // SAVING SNAPSHOTS
+  // ===================================================================
+
+  // Store one report file for a run (e.g. a student report or the class summary)
+  async saveSnapshot(runId, fileName, report) {
+    const runDir = path.join(this.historyDir, runId);
+    await fs.mkdir(runDir, { recursive: true });
+    await fs.writeFile(path.join(runDir, fileName), JSON.stringify(report, null, 2));
+
+    // Keep the run's index up to date. Updates for the same run wait for each
+    // other, so two students saved at once can't overwrite each other's entry.
+    const previous = this.manifestWrites.get(runId) || Promise.resolve();
+    const update = previous.catch(() => {}).then(async () => {
+      const manifest = await this.readRun(runId) || { runId, createdAt: new Date().toISOString(), files: [] };
+      if (!manifest.files.includes(fileName)) {
+        manifest.files.push(fileName);
+      }
+      await fs.writeFile(path.join(runDir, 'run.json'), JSON.stringify(manifest, null, 2));
+    });
+    this.manifestWrites.set(runId, update);
+    try {
+      await update;
+    } finally {
+      if (this.manifestWrites.get(runId) === update) this.manifestWrites.delete(runId);
+    }
+  }
+
+  // Delete runs beyond maxRuns or older than maxAgeDays. Returns the deleted run IDs.
+  async prune(now = new Date()) {
+    const runs = await this.listRuns();
+    const cutoff = this.maxAgeDays > 0 ? now.getTime() - this.maxAgeDays * 86400000 : null;
+
+    const toDelete = runs.filter((run, index) => {
+      const tooMany = this.maxRuns > 0 && index < runs.length - this.maxRuns;
+      const tooOld = cutoff !== null && Date.parse(run.createdAt) < cutoff;
+      return tooMany || tooOld;
+    });
+
+    for (const run of toDelete) {
+      await fs.rm(path.join(this.historyDir, run.runId), { recursive: true, force: true });
+    }
+    return toDelete.map(run => run.runId);
+  }
+
+  // ===================================================================
+  // READING HISTORY
+  // ===================================================================
+
+  // All runs, oldest first (optionally only those with a report for studentId)
+  async listRuns(studentId) {
+    let entries;
+    try {
+      entries = await fs.readdir(this.historyDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const runs = [];
+    for (const entry of entries.filter(e => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+      const manifest = await this.readRun(entry.name);
+      if (!manifest) continue;
+      if (studentId && !manifest.files.includes(this.reportFileName(studentId))) continue;
+      runs.push(manifest);
+    }
+    return runs;
+  }
+
+  // The run's manifest, with its file list taken from the folder itself, so
+  // a report is found even if the manifest missed it (e.g. another process
+  // saving into the same run)
+  async readRun(runId) {
+    const runDir = path.join(this.historyDir, runId);
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(path.join(runDir, 'run.json'), 'utf8'));
+    } catch {
+      return null;
+    }
+
+    const files = (await fs.readdir(runDir)).filter(name => name.endsWith('.json') && name !== 'run.json');
+    return { ...manifest, files: [...new Set([...manifest.files, ...files])].sort() };
+  }
+
+  async loadReport(runId, studentId) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.historyDir, runId, this.reportFileName(studentId)), 'utf8'));
+    } catch {
+      throw new Error(`No report for ${studentId} in run ${runId}`);
+    }
+  }
+
+  reportFileName(studentId) {
+    return `${studentId}_financial_report.json`;
+  }
+
+  // ===================================================================
+  // DIFFS - What changed for a student between two runs
+  // ===================================================================
+  // Without run IDs the two most recent runs for the student are compared.
+
+  async diff(studentId, fromRunId, toRunId) {
+    if (!fromRunId || !toRunId) {
+      const runs = await this.listRuns(studentId);
+      toRunId = toRunId || runs[runs.length - 1]?.runId;
+      // The run just before the "to" run
+      fromRunId = fromRunId || runs.filter(run => run.runId < toRunId).pop()?.runId;
+      if (!fromRunId || !toRunId) {
+        throw new Error(`Need at least two runs with ${studentId} to compare`);
+      }
+    }
+
+    const before = await this.loadReport(fromRunId, studentId);
+    const after = await this.loadReport(toRunId, studentId);
+    return { studentId, fromRunId, toRunId, ...ReportHistory.compareReports(before, after) };
+  }
+
+  // Compare two saved student reports
+  static compareReports(before, after) {
+    const budgetBefore = before.financialAnalysis.budget;
+    const budgetAfter = after.financialAnalysis.budget;
+
+    const categoriesBefore = Object.fromEntries(before.financialAnalysis.categories.map(c => [c.name, c.amount]));
+    const categoriesAfter = Object.fromEntries(after.financialAnalysis.categories.map(c => [c.name, c.amount]));
+    const allCategories = [...new Set([...Object.keys(categoriesBefore), ...Object.keys(categoriesAfter)])];
+
+    // Alerts are matched by rule (and item), since their wording contains changing numbers
+    const alertKey = alert => `${alert.ruleId || alert.message}|${alert.subject || ''}`;
+    const alertsBefore = new Map((before.alerts || []).map(a => [alertKey(a), a]));
+    const alertsAfter = new Map((after.alerts || []).map(a => [alertKey(a), a]));
+
+    return {
+      generatedAt: { from: before.metadata.generatedAt, to: after.metadata.generatedAt },
+      // Reports from before multi-currency support are in dollars
+      currency: after.studentInfo?.currency || 'USD',
+      // Different prompt revisions can explain differences in the AI text
+      promptVersions: {
+        before: before.metadata.promptVersions || null,
+        after: after.metadata.promptVersions || null,
+        changed: JSON.stringify(before.metadata.promptVersions || null) !== JSON.stringify(after.metadata.promptVersions || null)
+      },
+      spending: {
+        totalBefore: before.financialAnalysis.spending.total,
+        totalAfter: after.financialAnalysis.spending.total,
+        change: this.round(after.financialAnalysis.spending.total - before.financialAnalysis.spending.total),
+        transactionsAdded: after.financialAnalysis.spending.transactionCount - before.financialAnalysis.spending.transactionCount
+      },
+      budget: {
+        period: { from: budgetBefore.periodStart, to: budgetAfter.periodStart },
+        spentChange: this.round(budgetAfter.spent - budgetBefore.spent),
+        utilizationChange: parseFloat((budgetAfter.utilization - budgetBefore.utilization).toFixed(1)),
+        statusBefore: budgetBefore.status,
+        statusAfter: budgetAfter.status,
+        statusChanged: budgetBefore.status !== budgetAfter.status
+      },
+      categories: allCategories
+        .map(name => ({
+          name,
+          before: categoriesBefore[name] ?? 0,
+          after: categoriesAfter[name] ?? 0,
+          change: this.round((categoriesAfter[name] ?? 0) - (categoriesBefore[name] ?? 0))
+        }))
+        .filter(c => c.change !== 0),
+      newCategories: allCategories.filter(name => !(name in categoriesBefore)),
+      removedCategories: allCategories.filter(name => !(name in categoriesAfter)),
+      alerts: {
+        new: [...alertsAfter.entries()].filter(([key]) => !alertsBefore.has(key)).map(([, alert]) => alert),
+        resolved: [...alertsBefore.entries()].filter(([key]) => !alertsAfter.has(key)).map(([, alert]) => alert)
+      }
+    };
+  }
+
+  static round(value) {
+    return parseFloat(value.toFixed(2));
+  }
+}
+
+export default ReportHistory;
@@ -0,0 +1,399 @@
+// ===================================================================
+// STATEMENT IMPORTER - Bank Export Parsing Module
+// ===================================================================
+// This module turns bank statement exports into the transaction shape
+// the analyzer understands: { date, category, amount, description }
+// Supported formats:
+// - CSV (with configurable column mapping)
+// - OFX / QFX (Open Financial Exchange, used by most banks and Quicken)
+// - QIF (Quicken Interchange Format)
+//
+// Dates are normalized to YYYY-MM-DD and amounts to positive numbers for
+// money spent. Rows that can't be parsed are reported instead of dropped.
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Header names we recognise when no CSV column mapping is given
+const DEFAULT_CSV_COLUMNS = {
+  date: ['date', 'transaction date', 'posted date', 'posting date'],
+  amount: ['amount', 'transaction amount'],
+  debit: ['debit', 'withdrawal', 'withdrawals', 'money out'],
+  credit: ['credit', 'deposit', 'deposits', 'money in'],
+  description: ['description', 'payee', 'merchant', 'name', 'memo', 'details'],
+  category: ['category']
+};
+
+class StatementImporter {
+  // ===================================================================
+  // MAIN ENTRY POINT
+  // ===================================================================
+  // Read a statement file, detect its format from the extension (unless
+  // options.format is given) and parse it for the given student.
+  //
+  // Options:
+  // - format: 'csv', 'ofx', 'qfx' or 'qif'
+  // - dateFormat: 'YYYY-MM-DD', 'MM/DD/YYYY' or 'DD/MM/YYYY' (CSV and QIF)
+  // - columns: CSV column mapping, e.g. { date: 'Posted', amount: 'Amount' }
+  // - delimiter: CSV field separator (default ',')
+  // - debitsArePositive: true if the export shows spending as positive numbers
+  // - includeCredits: keep deposits/refunds as negative spending (default false)
+  // - defaultCategory: category for rows without one (default 'Uncategorized')
+
+  static async importFile(filePath, studentId, options = {}) {
+    if (!studentId) {
+      throw new Error('A studentId is required to import transactions');
+    }
+
+    let rawText;
+    try {
+      rawText = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to read statement: ${error.message}`);
+    }
+
+    const format = (options.format || path.extname(filePath).slice(1)).toLowerCase();
+    const result = this.parse(rawText, format, options);
+
+    console.log(`📥 Imported ${result.transactions.length} transactions for ${studentId} from ${filePath}`);
+    if (result.errors.length > 0) {
+      console.log(`⚠️  ${result.errors.length} rows could not be parsed`);
+    }
+
+    return { studentId, source: filePath, format, ...result };
+  }
+
+  // Parse statement text that is already in memory
+  static parse(rawText, format, options = {}) {
+    switch (format) {
+      case 'csv':
+        return this.parseCSV(rawText, options);
+      case 'ofx':
+      case 'qfx':
+        return this.parseOFX(rawText, options);
+      case 'qif':
+        return this.parseQIF(rawText, options);
+      default:
+        throw new Error(`Unsupported statement format: ${format || 'unknown'}`);
+    }
+  }
+
+  // ===================================================================
+  // CSV PARSING
+  // ===================================================================
+
+  static parseCSV(rawText, options = {}) {
+    const rows = this.splitCSV(rawText, options.delimiter || ',');
+    const transactions = [];
+    const errors = [];
+    let skipped = 0;
+
+    if (rows.length === 0) {
+      return { transactions, errors, skipped };
+    }
+
+    // Work out which column holds which field
+    const headers = rows[0].map(h => h.trim());
+    const columns = this.resolveColumns(headers, options.columns || {});
+
+    if (columns.date === -1 || (columns.amount === -1 && columns.debit === -1)) {
+      throw new Error('CSV is missing a date or amount column; pass options.columns to map them');
+    }
+
+    rows.slice(1).forEach((row, index) => {
+      const line = index + 2; // +1 for the header, +1 for 1-based line numbers
+      const field = name => (columns[name] === -1 ? '' : (row[columns[name]] || '').trim());
+
+      // Skip blank lines silently
+      if (row.every(value => value.trim() === '')) return;
+
+      const date = this.normalizeDate(field('date'), options.dateFormat);
+      if (!date) {
+        errors.push({ line, reason: `Unrecognised date "${field('date')}"`, raw: row.join(',') });
+        return;
+      }
+
+      // Amount comes from a single signed column or separate debit/credit columns
+      let signedAmount;
+      if (columns.amount !== -1) {
+        signedAmount = this.parseAmount(field('amount'));
+        if (signedAmount !== null && options.debitsArePositive) {
+          signedAmount = -signedAmount;
+        }
+      } else {
+        const debit = this.parseAmount(field('debit'));
+        const credit = this.parseAmount(field('credit'));
+        signedAmount = debit !== null ? -Math.abs(debit) : credit !== null ? Math.abs(credit) : null;
+      }
+
+      if (signedAmount === null) {
+        errors.push({ line, reason: 'Missing or invalid amount', raw: row.join(',') });
+        return;
+      }
+
+      const transaction = this.buildTransaction(date, signedAmount, field('description'), field('category'), options);
+      if (transaction) {
+        transactions.push(transaction);
+      } else {
+        skipped++;
+      }
+    });
+
+    return { transactions, errors, skipped };
+  }
+
+  // Split CSV text into rows of fields, handling quoted values with commas,
+  // escaped quotes ("") and line breaks inside quotes
+  static splitCSV(rawText, delimiter) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let inQuotes = false;
+    const text = rawText.replace(/^\uFEFF/, ''); // Drop a byte-order mark from Excel exports
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+
+    // Don't forget the last row if the file doesn't end with a newline
+    if (value !== '' || row.length > 0) {
+      row.push(value);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  // Map each field to a column index (-1 when the column isn't present)
+  static resolveColumns(headers, mapping) {
+    const lowerHeaders = headers.map(h => h.toLowerCase());
+    const columns = {};
+
+    Object.keys(DEFAULT_CSV_COLUMNS).forEach(field => {
+      if (mapping[field] !== undefined) {
+        // Mapping can be a header name or a zero-based column number
+        columns[field] = typeof mapping[field] === 'number'
+          ? mapping[field]
+          : lowerHeaders.indexOf(String(mapping[field]).toLowerCase());
+      } else {
+        columns[field] = lowerHeaders.findIndex(h => DEFAULT_CSV_COLUMNS[field].includes(h));
+      }
+    });
+
+    return columns;
+  }
+
+  // ===================================================================
+  // OFX / QFX PARSING
+  // ===================================================================
+  // OFX files may be SGML (no closing tags) or XML, so we read each
+  // <STMTTRN> block and pull values out tag by tag.
+
+  static parseOFX(rawText, options = {}) {
+    const transactions = [];
+    const errors = [];
+    let skipped = 0;
+
+    const blocks = rawText.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+    blocks.forEach((block, index) => {
+      const tag = name => {
+        const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+        return match ? match[1].trim() : '';
+      };
+
+      const date = this.normalizeDate(tag('DTPOSTED').slice(0, 8), 'YYYYMMDD');
+      const signedAmount = this.parseAmount(tag('TRNAMT'));
+      const raw = block.replace(/\s+/g, ' ').trim();
+
+      if (!date) {
+        errors.push({ line: index + 1, reason: `Unrecognised date "${tag('DTPOSTED')}"`, raw });
+        return;
+      }
+      if (signedAmount === null) {
+        errors.push({ line: index + 1, reason: 'Missing or invalid TRNAMT', raw });
+        return;
+      }
+
+      const description = [tag('NAME'), tag('MEMO')].filter(Boolean).join(' - ');
+      const transaction = this.buildTransaction(date, signedAmount, description, '', options);
+      if (transaction) {
+        transactions.push(transaction);
+      } else {
+        skipped++;
+      }
+    });
+
+    return { transactions, errors, skipped };
+  }
+
+  // ===================================================================
+  // QIF PARSING
+  // ===================================================================
+  // QIF records are groups of lines, each starting with a one-letter code
+  // (D = date, T = amount, P = payee, M = memo, L = category), ended by "^".
+
+  static parseQIF(rawText, options = {}) {
+    const transactions = [];
+    const errors = [];
+    let skipped = 0;
+
+    let record = {};
+    let recordStartLine = 1;
+
+    rawText.split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (line === '' || line.startsWith('!')) {
+        recordStartLine = index + 2;
+        return;
+      }
+
+      if (line !== '^') {
+        record[line[0]] = line.slice(1).trim();
+        return;
+      }
+
+      // End of record: convert it into a transaction
+      const raw = Object.entries(record).map(([code, value]) => `${code}${value}`).join(' | ');
+      const date = this.normalizeDate(record.D || '', options.dateFormat || 'MM/DD/YYYY');
+      const signedAmount = this.parseAmount(record.T || record.U || '');
+
+      if (!date) {
+        errors.push({ line: recordStartLine, reason: `Unrecognised date "${record.D || ''}"`, raw });
+      } else if (signedAmount === null) {
+        errors.push({ line: recordStartLine, reason: 'Missing or invalid amount', raw });
+      } else {
+        const description = [record.P, record.M].filter(Boolean).join(' - ');
+        // QIF categories can include a subcategory ("Food:Groceries"); keep the top level
+        const category = (record.L || '').split(':')[0];
+        const transaction = this.buildTransaction(date, signedAmount, description, category, options);
+        if (transaction) {
+          transactions.push(transaction);
+        } else {
+          skipped++;
+        }
+      }
+
+      record = {};
+      recordStartLine = index + 2;
+    });
+
+    return { transactions, errors, skipped };
+  }
+
+  // ===================================================================
+  // NORMALIZATION HELPERS
+  // ===================================================================
+
+  // Turn a signed bank amount (negative = money out) into our transaction
+  // shape, where spending is positive. Credits are skipped unless
+  // options.includeCredits is set, in which case they become negative spending.
+  static buildTransaction(date, signedAmount, description, category, options) {
+    if (signedAmount > 0 && !options.includeCredits) {
+      return null;
+    }
+
+    return {
+      date,
+      category: category || options.defaultCategory || 'Uncategorized',
+      amount: parseFloat((-signedAmount).toFixed(2)),
+      description: description || ''
+    };
+  }
+
+  // Parse amounts like "-12.50", "$1,234.00", "(45.00)", "12,50", "1.234,56"
+  // or "45,00-" (trailing minus, common in European exports) into numbers
+  static parseAmount(value) {
+    if (value === undefined || value === null) return null;
+    let text = String(value).trim();
+    if (text === '') return null;
+
+    // Accounting style: (45.00) means -45.00
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+      negative = true;
+      text = text.slice(1, -1);
+    }
+
+    text = text.replace(/[^\d.,+-]/g, '');
+    if (text.endsWith('-')) {
+      negative = true;
+      text = text.slice(0, -1);
+    }
+
+    const lastDot = text.lastIndexOf('.');
+    const lastComma = text.lastIndexOf(',');
+    if (lastDot >= 0 && lastComma >= 0) {
+      // Both: the last one is the decimal separator ("1.234,56" or "1,234.56")
+      const [thousands, decimal] = lastComma > lastDot ? ['.', ','] : [',', '.'];
+      text = text.split(thousands).join('').replace(decimal, '.');
+    } else if (lastComma >= 0) {
+      // Only commas: "12,50" has a decimal comma, "1,234" groups thousands
+      text = /^[^,]*,\d{1,2}$/.test(text) ? text.replace(',', '.') : text.replace(/,/g, '');
+    } else if (text.indexOf('.') !== lastDot) {
+      // More than one dot: "1.234.567" groups thousands
+      text = text.replace(/\./g, '');
+    }
+
+    const amount = parseFloat(text);
+    if (!Number.isFinite(amount)) return null;
+    return negative ? -Math.abs(amount) : amount;
+  }
+
+  // Convert a date string into YYYY-MM-DD, or null if it isn't a real date.
+  // ISO dates are always accepted (many exports mix them in); other dates
+  // are read with the given format, falling back to MM/DD/YYYY.
+  static normalizeDate(value, format) {
+    const text = String(value || '').trim();
+    let year, month, day;
+
+    if (format === 'YYYYMMDD') {
+      const match = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+      if (!match) return null;
+      [, year, month, day] = match;
+    } else if (/^\d{4}-\d{1,2}-\d{1,2}/.test(text)) {
+      [year, month, day] = text.slice(0, 10).split('-');
+    } else {
+      // Slash, dash or dot separated, with QIF's "9/ 1'24" style two-digit years
+      const match = text.match(/^(\d{1,2})\s*[/.-]\s*(\d{1,2})\s*(?:[/.-]|')\s*(\d{2}|\d{4})$/);
+      if (!match) return null;
+      const [, first, second, rawYear] = match;
+      [month, day] = format === 'DD/MM/YYYY' ? [second, first] : [first, second];
+      year = rawYear.length === 2 ? `20${rawYear}` : rawYear;
+    }
+
+    const normalized = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    // Reject impossible dates like 2024-02-31 (Date would silently roll them over)
+    const check = new Date(`${normalized}T00:00:00Z`);
+    if (Number.isNaN(check.getTime()) || check.toISOString().slice(0, 10) !== normalized) {
+      return null;
+    }
+    return normalized;
+  }
+}
+
+export default StatementImporter;
@@ -0,0 +1,242 @@
+// ===================================================================
+// TRANSACTION LEDGER - Append-only local store for students and transactions
+// ===================================================================
+// Instead of one big JSON file that is rewritten every time, the ledger
+// is a JSONL file (one JSON object per line) that only ever grows:
+//
+//   {"type":"student","at":"...","student":{"studentId":"STU001","name":"Alice Johnson",...}}
+//   {"type":"transaction","at":"...","studentId":"STU001","transaction":{"id":"3f2a...","date":"2024-09-01",...}}
+//   {"type":"envelopeTransfer","at":"...","studentId":"STU001","transfer":{"date":"2024-09-10","from":"Food",...}}
+//
+// - A later "student" line replaces the earlier one (e.g. a new budget)
+// - Envelope transfers are added to the student's envelopeTransfers
+// - Every transaction has a stable ID; adding one whose ID is already in
+//   the ledger does nothing, so importing the same file twice is safe
+// - Batches added with appendTransactions (statements, API calls) are
+//   remembered, so the same batch twice is skipped, while a new batch with
+//   another coffee identical to one already stored is kept
+// - fingerprint() changes whenever a student's record or transactions
+//   change, which lets the app re-analyze only those students
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+class TransactionLedger {
+  constructor(filePath = './data/ledger.jsonl') {
+    this.filePath = filePath;
+    // studentId → latest student record (without transactions)
+    this.students = new Map();
+    // studentId → Map(transaction id → transaction)
+    this.transactions = new Map();
+    // Keys of the batches added with appendTransactions
+    this.batches = new Set();
+    // studentId → envelope transfers made through the app
+    this.envelopeTransfers = new Map();
+  }
+
+  // ===================================================================
+  // LOADING
+  // ===================================================================
+
+  // Replay the ledger file. A missing file is an empty ledger.
+  async load() {
+    let text;
+    try {
+      text = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return this;
+      throw new Error(`Failed to read ledger: ${error.message}`);
+    }
+
+    text.split('\n').forEach((line, index) => {
+      if (line.trim() === '') return;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        throw new Error(`Ledger line ${index + 1} is not valid JSON`);
+      }
+      this.apply(entry);
+    });
+
+    return this;
+  }
+
+  // Update the in-memory state with one ledger entry
+  apply(entry) {
+    if (entry.type === 'student') {
+      this.students.set(entry.student.studentId, entry.student);
+      if (!this.transactions.has(entry.student.studentId)) {
+        this.transactions.set(entry.student.studentId, new Map());
+      }
+    } else if (entry.type === 'transaction') {
+      if (!this.transactions.has(entry.studentId)) {
+        this.transactions.set(entry.studentId, new Map());
+      }
+      this.transactions.get(entry.studentId).set(entry.transaction.id, entry.transaction);
+      if (entry.batch) this.batches.add(entry.batch);
+    } else if (entry.type === 'envelopeTransfer') {
+      this.envelopeTransfers.set(entry.studentId, [...(this.envelopeTransfers.get(entry.studentId) || []), entry.transfer]);
+    }
+  }
+
+  isEmpty() {
+    return this.students.size === 0;
+  }
+
+  // ===================================================================
+  // ADDING DATA
+  // ===================================================================
+
+  // Add (or update) students and their transactions from data in the
+  // { students: [...] } JSON format. Returns what was actually written.
+  async importData(data) {
+    const entries = [];
+    let transactionsAdded = 0;
+    let duplicates = 0;
+
+    for (const student of data.students) {
+      const { transactions = [], ...record } = student;
+
+      // Only write the student again if something about them changed
+      if (JSON.stringify(this.students.get(record.studentId)) !== JSON.stringify(record)) {
+        entries.push({ type: 'student', at: new Date().toISOString(), student: record });
+        this.apply(entries[entries.length - 1]);
+      }
+
+      const result = this.prepareTransactions(record.studentId, transactions);
+      entries.push(...result.entries);
+      transactionsAdded += result.entries.length;
+      duplicates += result.duplicates;
+    }
+
+    await this.write(entries);
+    return { entriesWritten: entries.length, transactionsAdded, duplicates };
+  }
+
+  // Add new transactions for one existing student. Unlike importData (the
+  // whole data file each time), these are additions: identical purchases
+  // are numbered after the ones already stored, unless this exact batch was
+  // added before (e.g. the same statement imported twice).
+  async appendTransactions(studentId, transactions) {
+    if (!this.students.has(studentId)) {
+      throw new Error(`Student ${studentId} is not in the ledger`);
+    }
+
+    const batch = this.batchKey(studentId, transactions);
+    if (this.batches.has(batch)) {
+      return { transactionsAdded: 0, duplicates: transactions.length, transactions: [] };
+    }
+
+    const result = this.prepareTransactions(studentId, transactions, { batch });
+    await this.write(result.entries);
+    return {
+      transactionsAdded: result.entries.length,
+      duplicates: result.duplicates,
+      // The new transactions, with their IDs
+      transactions: result.entries.map(entry => ({ ...entry.transaction }))
+    };
+  }
+
+  // Record a transfer between two of a student's category budgets
+  async appendEnvelopeTransfer(studentId, transfer) {
+    if (!this.students.has(studentId)) {
+      throw new Error(`Student ${studentId} is not in the ledger`);
+    }
+
+    const entry = { type: 'envelopeTransfer', at: new Date().toISOString(), studentId, transfer };
+    await this.write([entry]);
+    this.apply(entry);
+    return transfer;
+  }
+
+  // Give each transaction its stable ID and drop the ones already stored.
+  // With a batch key, numbering of identical purchases continues after the stored ones.
+  prepareTransactions(studentId, transactions, { batch = null } = {}) {
+    const existing = this.transactions.get(studentId) || new Map();
+    const entries = [];
+    let duplicates = 0;
+
+    this.assignIds(studentId, transactions, batch ? [...existing.keys()] : []).forEach(transaction => {
+      if (existing.has(transaction.id)) {
+        duplicates++;
+        return;
+      }
+      const entry = { type: 'transaction', at: new Date().toISOString(), studentId, transaction, ...(batch ? { batch } : {}) };
+      entries.push(entry);
+      this.apply(entry);
+    });
+
+    return { entries, duplicates };
+  }
+
+  // Transactions keep an "id" they already have. Otherwise the ID is a hash
+  // of the student, date, amount and description; identical purchases in
+  // the same batch (two coffees on one day) get #2, #3 ... so they stay apart.
+  // storedIds: IDs already taken (a coffee identical to a stored one gets #2)
+  assignIds(studentId, transactions, storedIds = []) {
+    const taken = new Set(storedIds);
+    const seen = {};
+    return transactions.map(transaction => {
+      if (transaction.id) return { ...transaction, id: String(transaction.id) };
+
+      const base = crypto.createHash('sha256')
+        .update([studentId, transaction.date, transaction.amount, transaction.description || ''].join('|'))
+        .digest('hex')
+        .slice(0, 16);
+      let id;
+      do {
+        seen[base] = (seen[base] || 0) + 1;
+        id = seen[base] > 1 ? `${base}#${seen[base]}` : base;
+      } while (taken.has(id));
+      return { ...transaction, id };
+    });
+  }
+
+  // Identifies a batch of transactions by its contents
+  batchKey(studentId, transactions) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([studentId, transactions.map(t => [t.id ?? null, t.date, t.amount, t.description || ''])]))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  async write(entries) {
+    if (entries.length === 0) return;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+  }
+
+  // ===================================================================
+  // READING DATA
+  // ===================================================================
+
+  // The ledger in the same { students: [...] } shape as the JSON data file
+  toData() {
+    return {
+      students: [...this.students.values()].map(student => ({
+        ...structuredClone(student),
+        ...(this.envelopeTransfers.has(student.studentId)
+          ? { envelopeTransfers: [...(student.envelopeTransfers || []), ...structuredClone(this.envelopeTransfers.get(student.studentId))] }
+          : {}),
+        transactions: [...(this.transactions.get(student.studentId) || new Map()).values()]
+          .map(t => ({ ...t }))
+          .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+      }))
+    };
+  }
+
+  // Short hash of a student's record, transaction IDs and envelope transfers;
+  // changes whenever any of them does
+  fingerprint(studentId) {
+    const ids = [...(this.transactions.get(studentId) || new Map()).keys()].sort();
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([this.students.get(studentId), ids, this.envelopeTransfers.get(studentId) || []]))
+      .digest('hex')
+      .slice(0, 16);
+  }
+}
+
+export default TransactionLedger;
@@ -0,0 +1,225 @@
+// ===================================================================
+// LLM PROVIDERS - Pluggable Language Model Backends
+// ===================================================================
+// AIInsightsGenerator talks to a "provider" instead of a specific API,
+// so the same pipeline can run against:
+// - openai:            OpenAI's hosted API
+// - openai-compatible: any server with an OpenAI-style API at a custom
+//                      base URL (e.g. a local Ollama or llama.cpp server)
+// - mock:              canned, deterministic responses for offline runs and tests
+//
+// Every provider has the same interface:
+//   provider.name, provider.model
+//   provider.requestsPerMinute  (pacing for parallel requests, 0 = none; see rate-limiter.js)
+//   await provider.complete({ messages, temperature, maxTokens, responseFormat, signal })
+//     → { content, model, usage: { promptTokens, completionTokens, totalTokens } }
+//   await provider.checkConnection()   (throws if the provider can't be reached; free)
+// responseFormat 'json' asks for a reply that is a single JSON object, and
+// an aborted signal (optional) cancels the request.
+
+import OpenAI from 'openai';
+
+// ===================================================================
+// OPENAI PROVIDER
+// ===================================================================
+
+class OpenAIProvider {
+  constructor(config = {}) {
+    // Ensure we have an API key to connect to OpenAI
+    if (!config.apiKey) {
+      throw new Error('OpenAI API key is required');
+    }
+
+    this.name = 'openai';
+    this.model = config.model || 'gpt-3.5-turbo';
+    // OpenAI's lowest paid tier allows 500 requests a minute for most chat models
+    this.requestsPerMinute = config.requestsPerMinute ?? 500;
+    // baseURL is only set by OpenAI-compatible servers; undefined means api.openai.com.
+    // Retries are left to the generator's RateLimiter so they aren't done twice.
+    this.client = new OpenAI({
+      apiKey: config.apiKey,
+      baseURL: config.baseURL,
+      maxRetries: 0,
+      timeout: config.timeoutMs || 60000
+    });
+  }
+
+  async complete({ messages, temperature, maxTokens, responseFormat, signal }) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      // JSON mode: the API guarantees the reply parses as JSON
+      ...(responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {})
+    }, { signal });
+
+    // A refusal, a content filter or a misbehaving local server can leave the
+    // reply without any text; callers fall back to non-AI text on this error
+    const choice = completion.choices?.[0];
+    const content = choice?.message?.content;
+    if (typeof content !== 'string' || content.trim() === '') {
+      const reason = !choice ? 'no choices'
+        : choice.message?.refusal ? `refused: ${choice.message.refusal}`
+          : `finish reason: ${choice.finish_reason || 'unknown'}`;
+      throw new Error(`${this.name} returned an empty reply for ${this.model} (${reason})`);
+    }
+
+    return {
+      content: content.trim(),
+      model: completion.model || this.model,
+      usage: {
+        promptTokens: completion.usage?.prompt_tokens || 0,
+        completionTokens: completion.usage?.completion_tokens || 0,
+        totalTokens: completion.usage?.total_tokens || 0
+      }
+    };
+  }
+
+  // Looking up the model checks the key and the model name without spending tokens
+  async checkConnection() {
+    await this.client.models.retrieve(this.model);
+  }
+}
+
+// ===================================================================
+// OPENAI-COMPATIBLE PROVIDER
+// ===================================================================
+// Local servers (Ollama: http://localhost:11434/v1, llama.cpp:
+// http://localhost:8080/v1) speak the same protocol, so we reuse the
+// OpenAI client with a different base URL. Most don't need a real key.
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(config = {}) {
+    if (!config.baseURL) {
+      throw new Error('A base URL is required for an OpenAI-compatible provider');
+    }
+
+    super({
+      ...config,
+      model: config.model || 'llama3',
+      apiKey: config.apiKey || 'not-needed',
+      // A local server has no rate limit; the number of parallel students is what matters
+      requestsPerMinute: config.requestsPerMinute ?? 0
+    });
+    this.name = 'openai-compatible';
+  }
+
+  // Not every local server can look up a single model, but they all list them
+  async checkConnection() {
+    await this.client.models.list();
+  }
+}
+
+// ===================================================================
+// MOCK PROVIDER
+// ===================================================================
+// Returns the same answer for the same prompt every time, without any
+// network access. Pass `responses` (a function or a list) to script
+// specific answers in tests.
+
+class MockProvider {
+  constructor(config = {}) {
+    this.name = 'mock';
+    this.model = config.model || 'mock-model';
+    this.requestsPerMinute = config.requestsPerMinute ?? 0;
+    this.responses = config.responses || null;
+    // Keep every request so tests can check what would have been sent
+    this.calls = [];
+  }
+
+  // Always reachable
+  async checkConnection() {}
+
+  async complete({ messages, temperature, maxTokens, responseFormat }) {
+    this.calls.push({ messages, temperature, maxTokens, responseFormat });
+
+    const prompt = messages.map(m => m.content).join('\n');
+    let content;
+
+    if (typeof this.responses === 'function') {
+      content = await this.responses(messages, this.calls.length - 1);
+    } else if (Array.isArray(this.responses)) {
+      content = this.responses[(this.calls.length - 1) % this.responses.length];
+    } else if (responseFormat === 'json') {
+      content = JSON.stringify(this.jsonResponse(this.hash(prompt)));
+    } else {
+      content = `Mock response ${this.hash(prompt)}: review your largest spending categories and stick to your daily allowance.`;
+    }
+
+    // Rough token estimate (about 4 characters per token)
+    const promptTokens = Math.ceil(prompt.length / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return {
+      content: content.trim(),
+      model: this.model,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+
+  // Canned structured insights (matching INSIGHTS_SCHEMA in structured-output.js)
+  jsonResponse(hash) {
+    return {
+      overview: `Mock response ${hash}: spending is being tracked against the budget.`,
+      patterns: ['Most money goes to the largest spending category'],
+      assessment: 'Budget use looks manageable; keep an eye on the daily allowance.',
+      recommendations: [
+        { action: 'Review your largest spending categories', priority: 'high', estimatedMonthlySavings: 20 },
+        { action: 'Stick to your daily allowance', priority: 'medium', estimatedMonthlySavings: 0 }
+      ],
+      alerts: []
+    };
+  }
+
+  // Small stable hash so different prompts get different (but repeatable) answers
+  hash(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }
+}
+
+// ===================================================================
+// PROVIDER FACTORY
+// ===================================================================
+
+const PROVIDERS = {
+  'openai': OpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  'mock': MockProvider
+};
+
+// Create a provider from a config object: { provider, model, apiKey, baseURL, ... }
+function createProvider(config = {}) {
+  const name = config.provider || 'openai';
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return new Provider(config);
+}
+
+// Build provider settings from environment variables (see .env.example)
+function providerConfigFromEnv(env = process.env) {
+  const maxTokens = parseInt(env.OPENAI_MAX_TOKENS, 10);
+  const requestsPerMinute = parseInt(env.AI_REQUESTS_PER_MINUTE, 10);
+  const timeoutMs = parseInt(env.AI_REQUEST_TIMEOUT_MS, 10);
+
+  return {
+    provider: env.LLM_PROVIDER || 'openai',
+    model: env.OPENAI_MODEL || undefined,
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+    baseURL: env.LLM_BASE_URL || undefined,
+    maxTokens: Number.isFinite(maxTokens) ? maxTokens : undefined,
+    // Unset means the provider's own default
+    requestsPerMinute: Number.isFinite(requestsPerMinute) ? requestsPerMinute : undefined,
+    timeoutMs: Number.isFinite(timeoutMs) ? timeoutMs : undefined
+  };
+}
+
+export { OpenAIProvider, OpenAICompatibleProvider, MockProvider, createProvider, providerConfigFromEnv };
@@ -0,0 +1,275 @@
+// ===================================================================
+// ALERT NOTIFIER - Emails budget alerts to students
+// ===================================================================
+// Sends the alerts from BudgetAlerts by email:
+// - Addresses come from a contact directory (data/contacts.json)
+// - Messages are rendered from HTML and plain-text templates
+//   (data/email-templates/), where {{value}} is escaped and {{{value}}} isn't
+// - Mail goes out through any SMTP server (nodemailer), so it can be
+//   pointed at a local SMTP sink while testing
+// - Students can get alerts immediately or as a daily/weekly digest
+// - Every sent alert is recorded, so the same alert (same rule, same
+//   budget period) is never emailed twice
+// - An email that can't be sent (SMTP error) is recorded as failed and
+//   tried again next time; the other students still get theirs
+
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import CurrencyConverter from './currency.js';
+
+// Lower index = more serious
+const SEVERITY_ORDER = ['CRITICAL', 'WARNING', 'CAUTION', 'INFO'];
+
+// How long to collect alerts before sending a digest
+const DIGEST_INTERVALS_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+class AlertNotifier {
+  // Options:
+  // - transport: nodemailer transport options, e.g. { host, port, secure, auth }
+  // - transporter: a ready-made nodemailer transporter (instead of transport)
+  // - from: sender address
+  // - contactsPath, templatesDir, statePath: file locations
+  // - minSeverity: least serious alert type to email (default 'WARNING')
+  // - defaultDigest: 'immediate', 'daily' or 'weekly' for contacts without a preference
+  constructor(options = {}) {
+    this.from = options.from || 'Financial Wellness Team <wellness@example.edu>';
+    this.contactsPath = options.contactsPath || './data/contacts.json';
+    this.templatesDir = options.templatesDir || './data/email-templates';
+    this.statePath = options.statePath || './reports/notification-log.json';
+    this.minSeverity = SEVERITY_ORDER.includes(options.minSeverity) ? options.minSeverity : 'WARNING';
+    this.defaultDigest = options.defaultDigest || 'immediate';
+    this.transporter = options.transporter || nodemailer.createTransport(options.transport || {});
+
+    this.contacts = {};
+    this.templates = {};
+    // sent: alert key → when/where it was sent; pending: alerts waiting for a digest;
+    // failed: studentId → the last email that couldn't be sent
+    this.state = { sent: {}, pending: [], lastDigest: {}, failed: {} };
+    // Emails that failed in this run
+    this.failures = [];
+  }
+
+  // ===================================================================
+  // SETUP - Contacts, templates and the sent-alert log
+  // ===================================================================
+
+  async load() {
+    try {
+      const rawContacts = JSON.parse(await fs.readFile(this.contactsPath, 'utf8'));
+      this.contacts = rawContacts.contacts || {};
+    } catch (error) {
+      throw new Error(`Failed to load contacts: ${error.message}`);
+    }
+
+    for (const name of ['alert', 'digest']) {
+      for (const format of ['html', 'txt']) {
+        try {
+          this.templates[`${name}.${format}`] = await fs.readFile(path.join(this.templatesDir, `${name}.${format}`), 'utf8');
+        } catch (error) {
+          throw new Error(`Failed to load email template ${name}.${format}: ${error.message}`);
+        }
+      }
+    }
+
+    // The log doesn't exist before the first email is sent
+    try {
+      this.state = { ...this.state, ...JSON.parse(await fs.readFile(this.statePath, 'utf8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read notification log: ${error.message}`);
+      }
+    }
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+    await fs.writeFile(this.statePath, JSON.stringify(this.state, null, 2));
+  }
+
+  // ===================================================================
+  // NOTIFYING - Send now or queue for a digest
+  // ===================================================================
+  // Returns counts of what happened: { sent, queued, skipped, failed, noContact }
+
+  async notify(analysis, alerts, now = new Date()) {
+    const studentId = analysis.studentInfo.id;
+    const result = { sent: 0, queued: 0, skipped: 0, failed: 0, noContact: false };
+
+    // Only serious enough alerts that haven't been sent or queued yet
+    const pendingKeys = new Set(this.state.pending.map(p => p.key));
+    const fresh = alerts
+      .filter(alert => this.isSevereEnough(alert.type))
+      .map(alert => ({ ...alert, key: this.alertKey(analysis, alert) }))
+      .filter(alert => !this.state.sent[alert.key] && !pendingKeys.has(alert.key));
+
+    result.skipped = alerts.length - fresh.length;
+    if (fresh.length === 0) return result;
+
+    const contact = this.contacts[studentId];
+    if (!contact?.email) {
+      console.log(`⚠️  No email address for ${studentId}, alerts not sent`);
+      result.noContact = true;
+      return result;
+    }
+
+    const frequency = contact.digest || this.defaultDigest;
+    if (frequency === 'immediate') {
+      try {
+        await this.sendAlertEmail(contact, analysis, fresh, now);
+        this.clearFailure(studentId);
+        result.sent = fresh.length;
+      } catch (error) {
+        // Not recorded as sent, so these alerts are tried again next time
+        this.recordFailure(studentId, contact.email, 'alert', error, now);
+        result.failed = fresh.length;
+      }
+    } else {
+      fresh.forEach(alert => {
+        this.state.pending.push({
+          key: alert.key,
+          studentId,
+          name: analysis.studentInfo.name,
+          queuedAt: now.toISOString(),
+          alert: { type: alert.type, message: alert.message, action: alert.action }
+        });
+      });
+      result.queued = fresh.length;
+    }
+
+    return result;
+  }
+
+  // Send digests whose daily/weekly window has passed (or all of them with force)
+  // Returns the number of digest emails sent
+  async flushDigests(now = new Date(), { force = false } = {}) {
+    const byStudent = {};
+    this.state.pending.forEach(item => {
+      (byStudent[item.studentId] = byStudent[item.studentId] || []).push(item);
+    });
+
+    let digestsSent = 0;
+
+    for (const [studentId, items] of Object.entries(byStudent)) {
+      const contact = this.contacts[studentId];
+      if (!contact?.email) continue;
+
+      const frequency = contact.digest || this.defaultDigest;
+      // The window starts at the last digest, or at the oldest queued alert
+      const windowStart = this.state.lastDigest[studentId] || items[0].queuedAt;
+      const interval = DIGEST_INTERVALS_MS[frequency] || 0;
+      if (!force && now - new Date(windowStart) < interval) continue;
+
+      try {
+        await this.sendDigestEmail(contact, items, frequency, now);
+      } catch (error) {
+        // The alerts stay queued for the next digest
+        this.recordFailure(studentId, contact.email, 'digest', error, now);
+        continue;
+      }
+      this.clearFailure(studentId);
+      this.state.pending = this.state.pending.filter(item => item.studentId !== studentId);
+      this.state.lastDigest[studentId] = now.toISOString();
+      digestsSent++;
+    }
+
+    return digestsSent;
+  }
+
+  // ===================================================================
+  // EMAIL BUILDING AND SENDING
+  // ===================================================================
+
+  async sendAlertEmail(contact, analysis, alerts, now) {
+    const budget = analysis.budget;
+    const values = {
+      name: analysis.studentInfo.name,
+      budgetStatus: budget.status,
+      utilization: budget.utilization,
+      // Money in the student's currency, like the alert messages
+      remaining: CurrencyConverter.format(budget.remaining, analysis.studentInfo.currency || 'USD'),
+      periodStart: budget.periodStart,
+      periodEnd: budget.periodEnd
+    };
+
+    const hasCritical = alerts.some(a => a.type === 'CRITICAL');
+    await this.send(contact.email, hasCritical ? 'Budget Alert: Immediate Action Required' : 'Budget Alert', 'alert', values, alerts);
+    alerts.forEach(alert => this.recordSent(alert.key, contact.email, now));
+  }
+
+  async sendDigestEmail(contact, items, frequency, now) {
+    const values = { name: items[0].name, frequency, count: items.length };
+    const alerts = items.map(item => item.alert);
+
+    await this.send(contact.email, `Your ${frequency} budget alert digest`, 'digest', values, alerts);
+    items.forEach(item => this.recordSent(item.key, contact.email, now));
+  }
+
+  async send(to, subject, templateName, values, alerts) {
+    const text = this.render(this.templates[`${templateName}.txt`], {
+      ...values,
+      alertList: alerts.map(a => `- ${a.type}: ${a.message}\n  Action: ${a.action}`).join('\n')
+    }, false);
+
+    const html = this.render(this.templates[`${templateName}.html`], {
+      ...values,
+      alertList: alerts.map(a =>
+        `    <li><strong>${this.escapeHtml(a.type)}</strong>: ${this.escapeHtml(a.message)}<br><em>${this.escapeHtml(a.action)}</em></li>`
+      ).join('\n')
+    }, true);
+
+    await this.transporter.sendMail({ from: this.from, to, subject, text, html });
+    console.log(`📧 Sent "${subject}" to ${to}`);
+  }
+
+  // Fill {{value}} (escaped in HTML) and {{{value}}} (inserted as-is) placeholders
+  render(template, values, isHtml) {
+    return template
+      .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (match, key) => String(values[key] ?? ''))
+      .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+        const value = String(values[key] ?? '');
+        return isHtml ? this.escapeHtml(value) : value;
+      });
+  }
+
+  // ===================================================================
+  // HELPER FUNCTIONS
+  // ===================================================================
+
+  // An alert counts as "the same" for one student, rule (and item) and budget period
+  alertKey(analysis, alert) {
+    const rule = alert.subject ? `${alert.ruleId}:${alert.subject}` : alert.ruleId || alert.message;
+    return [analysis.studentInfo.id, analysis.budget.periodStart, rule].join('|');
+  }
+
+  recordSent(key, email, now) {
+    this.state.sent[key] = { sentAt: now.toISOString(), to: email };
+  }
+
+  recordFailure(studentId, email, kind, error, now) {
+    console.log(`❌ Could not send ${kind} email to ${email}: ${error.message}`);
+    const failure = { at: now.toISOString(), to: email, kind, error: error.message };
+    this.state.failed = { ...this.state.failed, [studentId]: failure };
+    this.failures.push({ studentId, ...failure });
+  }
+
+  clearFailure(studentId) {
+    if (this.state.failed?.[studentId]) delete this.state.failed[studentId];
+  }
+
+  isSevereEnough(type) {
+    const index = SEVERITY_ORDER.indexOf(type);
+    return index !== -1 && index <= SEVERITY_ORDER.indexOf(this.minSeverity);
+  }
+
+  escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+  }
+}
+
+export default AlertNotifier;
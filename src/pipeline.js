@@ -0,0 +1,85 @@
+// ===================================================================
+// JOB PIPELINE - Run many jobs at once, with a time limit for each
+// ===================================================================
+// Analyzing students one after another means a class of several hundred
+// waits on every AI request in turn. The pipeline keeps `concurrency`
+// jobs running at the same time instead:
+//
+//   const pipeline = new JobPipeline({ concurrency: 4, timeoutMs: 120000 });
+//   const jobs = await pipeline.run(studentIds, (studentId, signal) => analyze(studentId, signal));
+//
+// Each job comes back as { item, status, value, error, durationMs } in the
+// same order as the items, with status:
+// - 'ok':      the worker finished
+// - 'failed':  the worker threw an error
+// - 'timeout': the worker took longer than timeoutMs
+//
+// A job that times out is not stopped (JavaScript can't cancel a promise),
+// but its AbortSignal is aborted so the worker can give up before doing
+// anything else: the app passes it on to every AI request, so a timed-out
+// student makes no more requests (and spends nothing more) after that.
+
+class JobPipeline {
+  // Options:
+  // - concurrency: how many jobs run at the same time
+  // - timeoutMs: time limit for each job (0 = none)
+  // - onProgress: called after each job with { done, total, job }
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, parseInt(options.concurrency, 10) || 1);
+    this.timeoutMs = options.timeoutMs || 0;
+    this.onProgress = options.onProgress || null;
+  }
+
+  async run(items, worker) {
+    const jobs = new Array(items.length);
+    let next = 0;
+    let done = 0;
+
+    // Each lane takes the next waiting item until none are left
+    const lane = async () => {
+      while (next < items.length) {
+        const index = next++;
+        jobs[index] = await this.runJob(items[index], worker);
+        done++;
+        this.onProgress?.({ done, total: items.length, job: jobs[index] });
+      }
+    };
+
+    const lanes = Math.min(this.concurrency, items.length);
+    await Promise.all(Array.from({ length: lanes }, lane));
+    return jobs;
+  }
+
+  // Run one job and turn whatever happens into a result
+  async runJob(item, worker) {
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    let timer = null;
+
+    const timeout = new Promise((resolve, reject) => {
+      if (this.timeoutMs > 0) {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(Object.assign(new Error(`Timed out after ${this.timeoutMs / 1000}s`), { timedOut: true }));
+        }, this.timeoutMs);
+      }
+    });
+
+    try {
+      const value = await Promise.race([worker(item, controller.signal), timeout]);
+      return { item, status: 'ok', value, error: null, durationMs: Date.now() - startedAt };
+    } catch (error) {
+      return {
+        item,
+        status: error.timedOut ? 'timeout' : 'failed',
+        value: null,
+        error: error.message,
+        durationMs: Date.now() - startedAt
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+export default JobPipeline;
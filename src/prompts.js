@@ -0,0 +1,325 @@
+// ===================================================================
+// PROMPT TEMPLATE REGISTRY - Named, versioned prompts for the AI
+// ===================================================================
+// Every prompt AIInsightsGenerator sends comes from a template here
+// instead of a string hard-coded in a method. A template looks like:
+//
+//   {
+//     name: 'insights',                  // what the prompt is for
+//     version: 2,                        // bump when the wording changes
+//     system: 'You are a helpful ...',   // system message
+//     user: 'Analyze ... {{summary}} ... {{guidance}}',
+//     variables: { guidance: '...' },    // defaults for {{...}} placeholders
+//     options: { temperature: 0.4, maxTokens: 200 },
+//     format: 'json',                    // optional: the reply must be JSON
+//     variants: {                        // per student type overrides
+//       graduate: { variables: { guidance: '...' } }
+//     }
+//   }
+//
+// - Placeholders are filled from the analysis object, e.g. {{budget.status}},
+//   plus a few extra values the generator adds ({{summary}}, {{budgetStatus}}).
+//   Add |json, |money, |lower or |upper to format a value.
+// - The variant is picked from a student attribute (studentInfo.studentType
+//   by default): 'freshman', 'graduate', 'international', ...
+// - The newest version of each template is used unless a version is pinned,
+//   and every rendered prompt has an ID like "insights@2:graduate" that is
+//   saved in reports, so results can be compared across prompt revisions.
+//
+// More templates (or new versions) can be loaded from a JSON file:
+//   { "templates": [ { "name": "insights", "version": 4, ... } ] }
+
+import fs from 'fs/promises';
+import CurrencyConverter from './currency.js';
+
+const INSIGHTS_SYSTEM = "You are a helpful financial advisor specializing in student budgeting and spending analysis. Provide practical, actionable advice that's relevant to college students.";
+
+const INSIGHTS_SECTIONS = `Please provide a structured analysis with the following sections:
+
+1. **SPENDING OVERVIEW**: Brief summary of overall financial health
+
+2. **KEY PATTERNS**: Identify 2-3 important spending trends or behaviors
+
+3. **BUDGET ASSESSMENT**: Evaluate budget utilization and financial discipline
+
+4. **RECOMMENDATIONS**: Provide 3-4 specific, actionable recommendations for improvement
+
+5. **ALERTS**: Highlight any concerning patterns that need immediate attention
+
+If the student has savings goals, say whether they are on track and what would keep them there.`;
+
+// Extra guidance for each type of student (insights version 2 onwards)
+const INSIGHTS_GUIDANCE = {
+  guidance: 'Provide balanced advice suitable for typical college students.'
+};
+
+const INSIGHTS_VARIANTS = {
+  freshman: {
+    variables: { guidance: 'This is a first-year student: focus on building good financial habits and basic budgeting skills.' }
+  },
+  graduate: {
+    variables: { guidance: 'This is a graduate student: emphasize longer-term financial planning, such as an emergency fund, paying down debt and saving for after graduation.' }
+  },
+  international: {
+    variables: { guidance: 'This is an international student: consider currency exchange costs, international transfer fees and banking options for students from abroad.' }
+  }
+};
+
+// Built-in templates. Older versions stay here so they can still be pinned.
+const DEFAULT_PROMPT_TEMPLATES = [
+  {
+    name: 'insights',
+    version: 1,
+    description: 'Full spending analysis (original prompt)',
+    system: INSIGHTS_SYSTEM,
+    user: `
+Analyze this student's financial data and provide insights:
+
+{{summary}}
+
+${INSIGHTS_SECTIONS}
+
+Keep advice practical and student-friendly. Focus on actionable steps they can take immediately.
+    `
+  },
+  {
+    name: 'insights',
+    version: 2,
+    description: 'Full spending analysis with guidance for the type of student',
+    system: INSIGHTS_SYSTEM,
+    user: `
+Analyze this student's financial data and provide insights:
+
+{{summary}}
+
+${INSIGHTS_SECTIONS}
+
+{{guidance}}
+
+Keep advice practical and student-friendly. Focus on actionable steps they can take immediately.
+    `,
+    variables: INSIGHTS_GUIDANCE,
+    variants: INSIGHTS_VARIANTS
+  },
+  {
+    name: 'insights',
+    version: 3,
+    description: 'Full spending analysis as JSON (see INSIGHTS_SCHEMA in src/structured-output.js)',
+    format: 'json',
+    system: `${INSIGHTS_SYSTEM} Always reply with a single JSON object and nothing else.`,
+    user: `
+Analyze this student's financial data and provide insights:
+
+{{summary}}
+
+{{guidance}}
+
+Reply with ONLY a JSON object in exactly this shape (no markdown, no other text):
+{
+  "overview": "Brief summary of overall financial health",
+  "patterns": ["2-3 important spending trends or behaviors"],
+  "assessment": "Evaluation of budget utilization and financial discipline",
+  "recommendations": [
+    { "action": "A specific, actionable step", "priority": "high", "estimatedMonthlySavings": 25 }
+  ],
+  "alerts": ["Concerning patterns that need immediate attention"]
+}
+
+- Give 3-4 recommendations. priority is "high", "medium" or "low".
+- estimatedMonthlySavings is a plain number in the student's currency (0 if the step doesn't save money).
+- alerts is an empty list when nothing needs immediate attention.
+- If the student has savings goals, say in the assessment whether they are on track and what would keep them there.
+
+Keep advice practical and student-friendly. Focus on actionable steps they can take immediately.
+    `,
+    variables: INSIGHTS_GUIDANCE,
+    variants: INSIGHTS_VARIANTS
+  },
+  {
+    name: 'tips',
+    version: 1,
+    description: 'Three quick money-saving tips',
+    system: 'You are a financial advisor. Give brief, practical money-saving tips for college students.',
+    user: `
+Based on spending categories: {{categories|json}}
+Budget status: {{budgetStatus}}
+
+Provide 3 quick, specific money-saving tips for this student.
+Make them practical and directly related to their spending patterns.
+Format as a simple numbered list.
+    `,
+    options: {
+      temperature: 0.4,   // Slightly more creative for varied tips
+      maxTokens: 200      // Shorter response for quick tips
+    }
+  },
+  {
+    name: 'predictions',
+    version: 1,
+    description: 'Plain-language explanation of the calculated forecast',
+    system: 'You are a financial analyst. Explain pre-calculated spending forecasts clearly without changing the numbers.',
+    user: `
+Here is a calculated spending forecast for a student's current budget period:
+
+Day {{forecast.daysElapsed}} of {{forecast.totalDays}} ({{forecast.daysRemaining}} days remaining)
+Spent so far: {{forecast.spentSoFar|money}} of {{forecast.allocated|money}}
+Projected period spending: {{forecast.projectedTotal|money}}
+Likely range (80% confidence): {{forecast.range.low|money}} - {{forecast.range.high|money}}
+Projected budget utilization: {{forecast.projectedUtilization}}%
+Stays within budget: {{withinBudget}}
+Safe daily allowance for the rest of the period: {{forecast.safeDailyAllowance|money}}
+Forecast reliability: {{forecast.reliability}}
+
+Explain what this forecast means for the student and give practical guidance.
+Use ONLY the numbers above - do not calculate or invent any new figures.
+Keep the response brief.
+    `,
+    options: {
+      temperature: 0.2,   // Very low for consistent mathematical analysis
+      maxTokens: 300
+    }
+  }
+];
+
+class PromptRegistry {
+  // Options:
+  // - templates: templates to start with (default: the built-in ones)
+  // - versions: pinned versions, e.g. { insights: 1 } (default: newest)
+  // - typeField: path in the analysis that holds the student type
+  constructor(options = {}) {
+    this.templates = [];
+    this.versions = options.versions || {};
+    this.typeField = options.typeField || 'studentInfo.studentType';
+
+    (options.templates || DEFAULT_PROMPT_TEMPLATES).forEach(template => this.register(template));
+  }
+
+  // ===================================================================
+  // REGISTERING TEMPLATES
+  // ===================================================================
+
+  register(template) {
+    if (!template || typeof template.name !== 'string' || template.name === '') {
+      throw new Error('Prompt template needs a name');
+    }
+    if (!Number.isInteger(template.version) || template.version < 1) {
+      throw new Error(`Prompt template "${template.name}" needs a whole-number version`);
+    }
+    if (typeof template.user !== 'string') {
+      throw new Error(`Prompt template ${template.name}@${template.version} needs a "user" prompt`);
+    }
+    if (this.templates.some(t => t.name === template.name && t.version === template.version)) {
+      throw new Error(`Prompt template ${template.name}@${template.version} is already registered`);
+    }
+
+    this.templates.push(template);
+  }
+
+  // Add the templates from a JSON file ({ "templates": [...] })
+  async loadTemplates(filePath) {
+    let file;
+    try {
+      file = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load prompt templates: ${error.message}`);
+    }
+    if (!Array.isArray(file.templates)) {
+      throw new Error('Prompt template file must contain a "templates" array');
+    }
+
+    file.templates.forEach(template => this.register(template));
+    return file.templates.length;
+  }
+
+  // ===================================================================
+  // LOOKING UP TEMPLATES
+  // ===================================================================
+
+  // The pinned version of a template, or else the newest one
+  get(name, version = this.versions[name]) {
+    const candidates = this.templates.filter(t => t.name === name);
+    const template = version !== undefined
+      ? candidates.find(t => t.version === Number(version))
+      : candidates.sort((a, b) => b.version - a.version)[0];
+
+    if (!template) {
+      throw new Error(`No prompt template "${name}"${version !== undefined ? ` version ${version}` : ''}`);
+    }
+    return template;
+  }
+
+  // Every registered template, for listing
+  list() {
+    return this.templates.map(t => ({
+      name: t.name,
+      version: t.version,
+      description: t.description || '',
+      variants: Object.keys(t.variants || {})
+    }));
+  }
+
+  // Which template, version and variant would be used for this context
+  describe(name, context = {}) {
+    const template = this.get(name);
+    const type = PromptRegistry.getValue(context, this.typeField);
+    const variant = template.variants && type in template.variants ? type : null;
+
+    return {
+      id: `${template.name}@${template.version}${variant ? `:${variant}` : ''}`,
+      name: template.name,
+      version: template.version,
+      variant
+    };
+  }
+
+  // ===================================================================
+  // RENDERING
+  // ===================================================================
+  // Returns the chat messages plus the template's temperature/maxTokens
+  // (undefined means "use the generator's defaults"), reply format and ID.
+
+  render(name, context = {}) {
+    const selected = this.describe(name, context);
+    const template = this.get(name);
+    const variant = selected.variant ? template.variants[selected.variant] : {};
+
+    const variables = { ...template.variables, ...variant.variables };
+    const options = { ...template.options, ...variant.options };
+    // Template variables first, so real analysis values win on a name clash
+    const values = { ...variables, ...context };
+    const system = variant.system ?? template.system;
+    const user = variant.user ?? template.user;
+
+    return {
+      ...selected,
+      messages: [
+        ...(system ? [{ role: 'system', content: PromptRegistry.fill(system, values) }] : []),
+        { role: 'user', content: PromptRegistry.fill(user, values) }
+      ],
+      temperature: options.temperature,
+      maxTokens: options.maxTokens,
+      format: template.format || 'text'
+    };
+  }
+
+  // Fill {{path}} and {{path|filter}} placeholders
+  static fill(text, values) {
+    return text.replace(/\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g, (match, path, filter) => {
+      const value = this.getValue(values, path);
+      if (value === undefined || value === null) return '';
+      if (filter === 'json') return JSON.stringify(value);
+      if (filter === 'money') return CurrencyConverter.format(value, values.currency || values.studentInfo?.currency || 'USD');
+      if (filter === 'lower') return String(value).toLowerCase();
+      if (filter === 'upper') return String(value).toUpperCase();
+      return String(value);
+    });
+  }
+
+  // Read a dotted path such as "studentInfo.studentType" from an object
+  static getValue(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+  }
+}
+
+export { DEFAULT_PROMPT_TEMPLATES };
+export default PromptRegistry;
@@ -0,0 +1,116 @@
+// ===================================================================
+// RATE LIMITER - Pace AI requests and retry the ones that fail briefly
+// ===================================================================
+// When several students are analyzed at once, their AI requests all go
+// through one RateLimiter so together they stay under the provider's
+// requests-per-minute limit:
+//
+//   requestsPerMinute: 60  →  at most one request every second
+//   requestsPerMinute: 0   →  no pacing (local servers and the mock)
+//
+// Errors that usually go away on their own (429 rate limits, 5xx server
+// errors, timeouts, dropped connections) are retried with exponential
+// backoff: 1s, 2s, 4s, ... up to maxDelayMs, plus a little random jitter
+// so parallel requests don't all retry at the same moment. A Retry-After
+// header from the provider is used instead when there is one, and a 429
+// pauses every request, not just the one that got it.
+
+class RateLimiter {
+  // Options:
+  // - requestsPerMinute: pacing limit (0 = none)
+  // - maxRetries: extra attempts after a retryable error
+  // - baseDelayMs: wait before the first retry (doubled for each one after)
+  // - maxDelayMs: longest wait between attempts
+  constructor(options = {}) {
+    this.requestsPerMinute = options.requestsPerMinute || 0;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 30000;
+    // Earliest time (ms) the next request may start
+    this.nextSlot = 0;
+  }
+
+  // ===================================================================
+  // PACING
+  // ===================================================================
+
+  // Wait for this request's turn
+  async acquire() {
+    const now = Date.now();
+    const start = Math.max(now, this.nextSlot);
+    // Reserve the slot before waiting, so parallel callers line up behind it
+    this.nextSlot = start + (this.requestsPerMinute > 0 ? 60000 / this.requestsPerMinute : 0);
+    if (start > now) {
+      await sleep(start - now);
+    }
+  }
+
+  // Hold back every request for a while (after the provider said "too many")
+  pause(ms) {
+    this.nextSlot = Math.max(this.nextSlot, Date.now() + ms);
+  }
+
+  // ===================================================================
+  // RETRIES
+  // ===================================================================
+  // Runs task() in turn, retrying retryable errors. onRetry({ error,
+  // attempt, delayMs }) is called before each wait, e.g. to log it.
+  // Once signal is aborted no further attempt is started.
+
+  async run(task, { onRetry, signal } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      await this.acquire();
+      signal?.throwIfAborted();
+      try {
+        return await task();
+      } catch (error) {
+        if (attempt > this.maxRetries || !RateLimiter.isRetryable(error) || signal?.aborted) {
+          throw error;
+        }
+
+        const delayMs = this.retryDelay(error, attempt);
+        if (error.status === 429) {
+          this.pause(delayMs);
+        }
+        onRetry?.({ error, attempt, delayMs });
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  // Wait before retry number `attempt` (1, 2, ...)
+  retryDelay(error, attempt) {
+    const retryAfter = RateLimiter.getRetryAfter(error);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxDelayMs);
+    }
+    const backoff = Math.min(this.baseDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+    return Math.round(backoff + Math.random() * backoff * 0.1);
+  }
+
+  // Errors worth trying again: rate limits, server errors, timeouts and
+  // network hiccups. Bad requests or a wrong API key will fail every time.
+  static isRetryable(error) {
+    if (!error) return false;
+    if ([408, 409, 429].includes(error.status) || error.status >= 500) return true;
+    if (['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'].includes(error.code)) return true;
+    // The OpenAI client's names for timeouts and dropped connections
+    return ['APIConnectionError', 'APIConnectionTimeoutError'].includes(error.constructor?.name);
+  }
+
+  // The provider's Retry-After header in ms, or null if it didn't send one
+  static getRetryAfter(error) {
+    const headers = error?.headers;
+    if (!headers) return null;
+
+    const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+    const seconds = parseFloat(value);
+    return Number.isFinite(seconds) && seconds >= 0 ? Math.round(seconds * 1000) : null;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default RateLimiter;
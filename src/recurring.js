@@ -0,0 +1,142 @@
+// ===================================================================
+// RECURRING CHARGE DETECTOR - Finds subscriptions and regular payments
+// ===================================================================
+// Looks for transactions that repeat:
+// - same merchant (descriptions are normalized, so "NETFLIX.COM 0923"
+//   and "Netflix.com 1023" match)
+// - similar amount (within a tolerance of the typical amount)
+// - at a regular weekly, every-two-weeks or monthly interval
+// Each recurring charge comes with its cadence, the next date it's
+// expected and what it costs over a whole year.
+
+const CADENCES = [
+  { name: 'weekly', days: 7, tolerance: 2, perYear: 52 },
+  { name: 'biweekly', days: 14, tolerance: 3, perYear: 26 },
+  { name: 'monthly', days: 30, tolerance: 4, perYear: 12 }
+];
+
+// Words that appear in bank descriptions but don't identify the merchant
+const NOISE_WORDS = new Set(['pos', 'debit', 'credit', 'card', 'purchase', 'payment', 'recurring', 'autopay', 'www', 'com', 'inc', 'ltd']);
+
+const DEFAULT_OPTIONS = {
+  minOccurrences: 3,      // Charges needed before something counts as recurring
+  amountTolerance: 0.15,  // Allowed difference from the typical amount (15%)
+  minIntervalMatch: 0.75  // Share of the gaps that must fit the cadence
+};
+
+class RecurringDetector {
+  // ===================================================================
+  // MAIN DETECTION FUNCTION
+  // ===================================================================
+  // Returns the recurring charges, most expensive per year first
+
+  static detect(transactions, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const recurring = [];
+
+    Object.entries(this.groupByMerchant(transactions)).forEach(([merchant, group]) => {
+      if (group.length < settings.minOccurrences) return;
+
+      // Keep only charges close to the typical amount (e.g. skip a one-off order)
+      const typical = this.median(group.map(t => t.amount));
+      const similar = group
+        .filter(t => Math.abs(t.amount - typical) <= typical * settings.amountTolerance)
+        .sort((a, b) => a.date.localeCompare(b.date));
+      if (similar.length < settings.minOccurrences) return;
+
+      const cadence = this.findCadence(similar.map(t => t.date), settings);
+      if (!cadence) return;
+
+      const averageAmount = similar.reduce((sum, t) => sum + t.amount, 0) / similar.length;
+      const lastDate = similar[similar.length - 1].date;
+
+      recurring.push({
+        merchant,
+        description: similar[similar.length - 1].description,
+        category: similar[similar.length - 1].category,
+        cadence: cadence.name,
+        occurrences: similar.length,
+        averageAmount: this.round(averageAmount),
+        firstDate: similar[0].date,
+        lastDate,
+        nextExpectedDate: this.nextDate(lastDate, cadence),
+        annualizedCost: this.round(averageAmount * cadence.perYear)
+      });
+    });
+
+    return recurring.sort((a, b) => b.annualizedCost - a.annualizedCost);
+  }
+
+  // ===================================================================
+  // HELPER FUNCTIONS
+  // ===================================================================
+
+  // Group transactions by a simplified merchant name
+  static groupByMerchant(transactions) {
+    const groups = {};
+    transactions.forEach(transaction => {
+      const merchant = this.normalizeMerchant(transaction.description);
+      if (!merchant) return;
+      (groups[merchant] = groups[merchant] || []).push(transaction);
+    });
+    return groups;
+  }
+
+  // "POS NETFLIX.COM #4821" → "netflix"
+  static normalizeMerchant(description = '') {
+    return description
+      .toLowerCase()
+      .replace(/[^a-z\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 1 && !NOISE_WORDS.has(word))
+      .slice(0, 3)
+      .join(' ');
+  }
+
+  // The cadence most of the gaps between charges fit, if any
+  static findCadence(dates, settings) {
+    const gaps = [];
+    for (let i = 1; i < dates.length; i++) {
+      gaps.push(this.daysBetween(dates[i - 1], dates[i]));
+    }
+
+    return CADENCES.find(cadence => {
+      const matching = gaps.filter(gap => Math.abs(gap - cadence.days) <= cadence.tolerance);
+      return matching.length / gaps.length >= settings.minIntervalMatch;
+    }) || null;
+  }
+
+  // Monthly charges come back on the same day of the month, others after a fixed number of days
+  static nextDate(lastDate, cadence) {
+    const date = new Date(`${lastDate}T00:00:00Z`);
+
+    if (cadence.name === 'monthly') {
+      const day = date.getUTCDate();
+      date.setUTCDate(1);
+      date.setUTCMonth(date.getUTCMonth() + 1);
+      // Clamp to the end of shorter months (e.g. Jan 31 → Feb 28)
+      const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+      date.setUTCDate(Math.min(day, daysInMonth));
+    } else {
+      date.setUTCDate(date.getUTCDate() + cadence.days);
+    }
+
+    return date.toISOString().slice(0, 10);
+  }
+
+  static daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+  }
+
+  static median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  static round(value) {
+    return parseFloat(value.toFixed(2));
+  }
+}
+
+export default RecurringDetector;
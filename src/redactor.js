@@ -0,0 +1,280 @@
+// ===================================================================
+// PII REDACTOR - Keep personal details out of what the AI sees
+// ===================================================================
+// Every prompt passes through here on its way to the language model
+// (see AIInsightsGenerator.complete). Before it leaves:
+//
+//   "Name: Alice Johnson, Student ID: STU001"  →  "Name: Student 3F9A2C, Student ID: ID-3F9A2C"
+//   "Venmo to Mark Lee"                        →  "Venmo to [NAME]"
+//   "Refund to jane@mail.com / 555-123-4567"   →  "Refund to [EMAIL] / [PHONE]"
+//   "Card ending 4421"                         →  "[CARD]"
+//
+// - The student's name (and each part of it) and ID become a pseudonym.
+//   It's the same every run (a hash of the ID and a secret salt), so cached
+//   answers still match. Without PII_PSEUDONYM_SALT a random salt is created
+//   once and kept in a local file (see loadSalt).
+// - Name parts on their own only count when capitalized as in the name,
+//   so "Will Park" doesn't turn "you will" or "park fees" into [NAME].
+// - Other students' names and IDs, emails, phone numbers, card numbers,
+//   long account numbers and people paid by Venmo/Zelle/... are replaced
+//   with placeholders.
+// - The reply comes back with the pseudonym, and the real name and ID are
+//   put back in locally.
+//
+// Policies:
+// - off:    send prompts as they are
+// - redact: replace personal details as above
+// - strict: redact (other students' first and last names on their own
+//           too), then check the prompt once more and refuse to send it if
+//           anything identifiable is left (the caller uses fallback text)
+//
+// Each request is written to an audit log (JSONL) with the number of
+// redactions of each type. The audit never contains the redacted values.
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const REDACTION_POLICIES = ['off', 'redact', 'strict'];
+
+// Personal details found by their shape, in the order they're replaced
+// (card numbers before phone numbers, so a card isn't read as a phone)
+const PII_PATTERNS = [
+  { type: 'email', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, placeholder: '[EMAIL]' },
+  { type: 'card', pattern: /\b(?:\d[ -]?){12,18}\d\b/g, placeholder: '[CARD]' },
+  { type: 'card', pattern: /\b(?:card|acct|account|ending(?: in)?)\s*(?:no\.?|number|#)?\s*[:#]?\s*(?:[x*]+\s*)?\d{4}\b|[x*]{4,}[ -]?\d{4}\b/gi, placeholder: '[CARD]' },
+  { type: 'phone', pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/g, placeholder: '[PHONE]' },
+  { type: 'number', pattern: /\b\d{8,}\b/g, placeholder: '[NUMBER]' },
+  // "Venmo to Mark Lee", "Zelle from Sarah": capitalized words after a payment app
+  {
+    type: 'person',
+    pattern: /\b((?:venmo|zelle|paypal|cash ?app|transfer|payment|paid|sent|from|to)\s+(?:to\s+|from\s+)?)([A-Z][a-z]+(?:\s+[A-Z][a-z]+){0,2})\b/g,
+    placeholder: '$1[NAME]',
+    // Only after payment apps and transfers, so "Bus fare to Campus" is left alone
+    context: /\b(?:venmo|zelle|paypal|cash ?app|transfer)\b/i
+  }
+];
+
+class PIIRedactor {
+  // Options:
+  // - policy: 'off', 'redact' or 'strict' (see above)
+  // - salt: secret mixed into pseudonyms (otherwise read by loadSalt)
+  // - saltPath: where loadSalt keeps a generated salt
+  // - auditPath: the audit log (JSONL); null to keep it in memory only
+  // - runId: the run the requests belong to
+  // - people: everyone who may appear in a prompt, [{ id, name }]
+  constructor(options = {}) {
+    this.policy = options.policy || 'strict';
+    if (!REDACTION_POLICIES.includes(this.policy)) {
+      throw new Error(`Unknown PII policy "${this.policy}" (expected one of: ${REDACTION_POLICIES.join(', ')})`);
+    }
+    this.salt = options.salt || null;
+    this.saltPath = options.saltPath || './data/pii-salt';
+    this.auditPath = options.auditPath === undefined ? './reports/redaction-audit.jsonl' : options.auditPath;
+    this.runId = options.runId || null;
+    this.people = options.people || [];
+    // This run's audit records
+    this.entries = [];
+  }
+
+  // Everyone in the data set, so other students' names are caught too
+  setPeople(students) {
+    this.people = students.map(s => ({ id: s.studentId ?? s.id, name: s.name }));
+  }
+
+  // ===================================================================
+  // PSEUDONYMS
+  // ===================================================================
+
+  // Use the salt file, creating it with a random salt the first time. A
+  // fixed, public salt would let anyone hash the (sequential) student IDs
+  // and match them to pseudonyms.
+  async loadSalt() {
+    if (this.salt) return this.salt;
+
+    try {
+      this.salt = (await fs.readFile(this.saltPath, 'utf8')).trim();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new Error(`Failed to read PII salt: ${error.message}`);
+    }
+
+    if (!this.salt) {
+      this.salt = crypto.randomBytes(32).toString('hex');
+      await fs.mkdir(path.dirname(this.saltPath), { recursive: true });
+      await fs.writeFile(this.saltPath, `${this.salt}\n`, { mode: 0o600 });
+      console.log(`🔑 Created a pseudonym salt in ${this.saltPath}`);
+    }
+    return this.salt;
+  }
+
+  pseudonym(studentId) {
+    if (!this.salt) {
+      throw new Error('No pseudonym salt: set PII_PSEUDONYM_SALT or call loadSalt() first');
+    }
+    const code = crypto.createHash('sha256').update(`${this.salt}:${studentId}`).digest('hex').slice(0, 6).toUpperCase();
+    return { name: `Student ${code}`, id: `ID-${code}` };
+  }
+
+  // ===================================================================
+  // REDACTING A REQUEST
+  // ===================================================================
+  // student: the studentInfo of the student the request is about ({ id, name })
+  // Returns { messages, restore(text), redactions: { type: count }, blocked, leaks }
+
+  redact(messages, student = {}) {
+    if (this.policy === 'off') {
+      return { messages, restore: text => text, redactions: {}, blocked: false, leaks: [] };
+    }
+
+    const redactions = {};
+    const count = (type, n) => {
+      if (n > 0) redactions[type] = (redactions[type] || 0) + n;
+    };
+    const alias = student.id !== undefined && student.id !== null ? this.pseudonym(student.id) : null;
+
+    const redacted = messages.map(message => ({
+      ...message,
+      content: this.redactText(message.content, student, alias, count)
+    }));
+
+    // strict: one last look for anything identifiable before it's sent
+    const leaks = this.policy === 'strict' ? this.findLeaks(redacted, student) : [];
+
+    return {
+      messages: redacted,
+      // Put the real name and ID back into the model's reply
+      restore: text => (alias && typeof text === 'string'
+        ? text.split(alias.name).join(student.name ?? alias.name).split(alias.id).join(String(student.id))
+        : text),
+      redactions,
+      blocked: leaks.length > 0,
+      leaks
+    };
+  }
+
+  redactText(text, student, alias, count) {
+    if (typeof text !== 'string') return text;
+    let result = text;
+
+    // Details recognizable by their shape (first, so "alice.j@..." goes as one email)
+    PII_PATTERNS.forEach(({ type, pattern, placeholder, context }) => {
+      result = result.split('\n').map(line => {
+        if (context && !context.test(line)) return line;
+        const matches = line.match(pattern);
+        count(type, matches ? matches.length : 0);
+        return line.replace(pattern, placeholder);
+      }).join('\n');
+    });
+
+    // The student themselves: full name, then each part of it, then the ID
+    if (alias) {
+      result = this.replaceTerms(result, this.namePatterns(student.name), alias.name, n => count('name', n));
+      result = this.replaceTerms(result, [this.termPattern(String(student.id))], alias.id, n => count('studentId', n));
+    }
+
+    // Anyone else we know about (strict also catches "Bob" on its own, not just "Bob Wilson")
+    this.people.filter(person => person.id !== student.id).forEach(person => {
+      const patterns = this.policy === 'strict' ? this.namePatterns(person.name) : this.namePatterns(person.name).slice(0, 1);
+      result = this.replaceTerms(result, patterns, '[NAME]', n => count('otherName', n));
+      result = this.replaceTerms(result, person.id !== undefined ? [this.termPattern(String(person.id))] : [], '[STUDENT_ID]', n => count('otherStudentId', n));
+    });
+
+    return result;
+  }
+
+  // Full name first (in any case), then its capitalized parts exactly as
+  // written ("Alice Johnson", "Alice", "Johnson"). Lowercase parts ("van")
+  // and other spellings ("will", "park") are ordinary words.
+  namePatterns(name) {
+    if (typeof name !== 'string' || name.trim() === '') return [];
+    const parts = name.trim().split(/\s+/).filter(part => part.length >= 2);
+    const capitalized = parts.length > 1 ? parts.filter(part => /^\p{Lu}/u.test(part)) : [];
+    return [this.termPattern(name.trim()), ...capitalized.map(part => this.termPattern(part, 'gu'))];
+  }
+
+  // Replace every match of each pattern
+  replaceTerms(text, patterns, replacement, onCount) {
+    return patterns.reduce((result, pattern) => {
+      const matches = result.match(pattern);
+      if (!matches) return result;
+      onCount(matches.length);
+      return result.replace(pattern, replacement);
+    }, text);
+  }
+
+  // Whole-word matches of a term (case-insensitive unless flags say otherwise)
+  termPattern(term, flags = 'giu') {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, flags);
+  }
+
+  // Identifiable things still in redacted messages (types only, never values)
+  findLeaks(messages, student) {
+    const text = messages.map(m => m.content).join('\n');
+    const leaks = new Set();
+
+    const identifiers = [
+      ...this.namePatterns(student.name).map(pattern => ['name', pattern]),
+      ...(student.id !== undefined && student.id !== null ? [['studentId', this.termPattern(String(student.id))]] : []),
+      ...this.people.filter(person => person.id !== student.id).flatMap(person => [
+        ...this.namePatterns(person.name).map(pattern => ['otherName', pattern]),
+        ...(person.id !== undefined ? [['otherStudentId', this.termPattern(String(person.id))]] : [])
+      ])
+    ];
+    identifiers.forEach(([type, pattern]) => {
+      if (pattern.test(text)) leaks.add(type);
+    });
+
+    PII_PATTERNS.filter(p => !p.context).forEach(({ type, pattern }) => {
+      if (text.match(pattern)) leaks.add(type);
+    });
+
+    return [...leaks];
+  }
+
+  // ===================================================================
+  // AUDIT LOG
+  // ===================================================================
+
+  // request: { studentId, method, redactions, blocked, leaks }
+  async record({ studentId = null, method = null, redactions = {}, blocked = false, leaks = [] }) {
+    const entry = {
+      at: new Date().toISOString(),
+      runId: this.runId,
+      studentId,
+      method,
+      policy: this.policy,
+      redactions,
+      blocked,
+      ...(leaks.length > 0 ? { leaks } : {})
+    };
+
+    this.entries.push(entry);
+    if (this.auditPath) {
+      await fs.mkdir(path.dirname(this.auditPath), { recursive: true });
+      await fs.appendFile(this.auditPath, `${JSON.stringify(entry)}\n`);
+    }
+    return entry;
+  }
+
+  // What was redacted in this run, optionally for one student
+  summarize({ studentId } = {}) {
+    const entries = studentId ? this.entries.filter(e => e.studentId === studentId) : this.entries;
+    const redactions = {};
+    entries.forEach(entry => {
+      Object.entries(entry.redactions).forEach(([type, n]) => {
+        redactions[type] = (redactions[type] || 0) + n;
+      });
+    });
+
+    return {
+      policy: this.policy,
+      requests: entries.length,
+      blocked: entries.filter(e => e.blocked).length,
+      redactions
+    };
+  }
+}
+
+export { REDACTION_POLICIES };
+export default PIIRedactor;
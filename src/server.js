@@ -0,0 +1,296 @@
+// ===================================================================
+// API SERVER - Local REST API for analyses, summaries and alerts
+// ===================================================================
+// Wraps a loaded SpendAnalysisApp in a small HTTP server (no framework
+// needed) and serves the dashboard from public/:
+//
+//   GET  /                              Dashboard (public/index.html)
+//   GET  /reports/<file>                Student reports (STU001_financial_report.json) and class_summary.json
+//   GET  /students                      List students
+//   GET  /students/:id/analysis         Full analysis (?insights=true adds AI insights)
+//   GET  /students/:id/alerts           Budget alerts
+//   GET  /students/:id/history          Saved report runs for the student
+//   GET  /students/:id/diff             Changes between two runs (?from=<runId>&to=<runId>)
+//   GET  /class/summary                 Class-wide summary
+//   POST /students/:id/transactions     Add one transaction or an array of them
+//   POST /students/:id/envelopes/transfers  Move money between category budgets
+//
+// Every response is JSON; errors look like:
+//   { "error": { "code": "NOT_FOUND", "message": "...", "details": [...] } }
+
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'public');
+
+// The only files in the reports directory the dashboard may read (logs such as
+// notification-log.json or redaction-audit.jsonl stay private)
+const PUBLIC_REPORT_FILE = /^\/(?:[^/]+_financial_report|class_summary)\.json$/;
+
+// Largest request body we accept (transactions are small)
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png'
+};
+
+// ===================================================================
+// ROUTES
+// ===================================================================
+// Each route handler gets (app, params, request) and returns
+// { status, body }; throwing an ApiError sends a structured error.
+
+const ROUTES = [
+  {
+    method: 'GET',
+    pattern: /^\/students$/,
+    handler: app => ({
+      status: 200,
+      body: app.analyzer.data.students.map(student => ({
+        studentId: student.studentId,
+        name: student.name,
+        semester: student.semester,
+        monthlyBudget: student.monthlyBudget,
+        transactionCount: student.transactions.length
+      }))
+    })
+  },
+  {
+    method: 'GET',
+    pattern: /^\/students\/([^/]+)\/analysis$/,
+    handler: async (app, [studentId], request) => {
+      requireStudent(app, studentId);
+      const analysis = app.analyzer.analyzeStudent(studentId);
+
+      // AI insights are slow and cost money, so they're opt-in
+      let insights = null;
+      if (request.query.get('insights') === 'true' && app.aiInsights) {
+        insights = await app.aiInsights.generateInsights(app.analyzer.generateSummaryForAI(analysis), analysis);
+      }
+
+      return { status: 200, body: { ...analysis, insights } };
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/students\/([^/]+)\/alerts$/,
+    handler: (app, [studentId]) => {
+      requireStudent(app, studentId);
+      const analysis = app.analyzer.analyzeStudent(studentId);
+      return { status: 200, body: { studentId, alerts: app.evaluateAlerts(analysis) } };
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/students\/([^/]+)\/history$/,
+    handler: async (app, [studentId]) => {
+      requireStudent(app, studentId);
+      return { status: 200, body: { studentId, runs: await app.history.listRuns(studentId) } };
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/students\/([^/]+)\/diff$/,
+    handler: async (app, [studentId], request) => {
+      requireStudent(app, studentId);
+      try {
+        const diff = await app.history.diff(studentId, request.query.get('from'), request.query.get('to'));
+        return { status: 200, body: diff };
+      } catch (error) {
+        throw new ApiError(404, 'HISTORY_NOT_FOUND', error.message);
+      }
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/class\/summary$/,
+    handler: app => ({ status: 200, body: app.buildSummaryReport() })
+  },
+  {
+    method: 'POST',
+    pattern: /^\/students\/([^/]+)\/transactions$/,
+    handler: async (app, [studentId], request) => {
+      requireStudent(app, studentId);
+      const body = await readJsonBody(request);
+      const transactions = Array.isArray(body) ? body : [body];
+
+      const result = await app.addTransactions(studentId, transactions);
+      if (result.errors.length > 0) {
+        throw new ApiError(400, 'INVALID_TRANSACTION', 'One or more transactions are invalid', result.errors);
+      }
+
+      return { status: 201, body: result };
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/students\/([^/]+)\/envelopes\/transfers$/,
+    handler: async (app, [studentId], request) => {
+      requireStudent(app, studentId);
+      const transfer = await readJsonBody(request);
+
+      // Checked, applied and saved to the ledger or data file, so it's still there next run
+      const result = await app.addEnvelopeTransfer(studentId, transfer);
+      if (result.error) {
+        throw new ApiError(400, 'INVALID_TRANSFER', result.error);
+      }
+
+      return { status: 201, body: { studentId, ...result } };
+    }
+  }
+];
+
+// Error with an HTTP status and a machine-readable code
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// ===================================================================
+// SERVER SETUP
+// ===================================================================
+
+// Create (but don't start) an HTTP server for a loaded app
+function createApiServer(app) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    req.query = url.searchParams;
+
+    try {
+      const response = await handleRequest(app, req, url.pathname, res);
+      if (response) {
+        sendJson(res, response.status, response.body);
+      }
+    } catch (error) {
+      if (error instanceof ApiError) {
+        sendJson(res, error.status, { error: { code: error.code, message: error.message, details: error.details } });
+      } else {
+        console.error(`❌ ${req.method} ${url.pathname} failed:`, error.message);
+        sendJson(res, 500, { error: { code: 'INTERNAL_ERROR', message: error.message } });
+      }
+    }
+
+    console.log(`🌐 ${req.method} ${url.pathname} → ${res.statusCode}`);
+  });
+}
+
+// Start the server and resolve once it is listening
+function startApiServer(app, port = 3000, host = '127.0.0.1') {
+  const server = createApiServer(app);
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      console.log(`🌐 API server running at http://${host}:${server.address().port}`);
+      resolve(server);
+    });
+  });
+}
+
+// Find the matching API route, or fall back to static dashboard files
+async function handleRequest(app, req, pathname, res) {
+  const pathMatches = ROUTES.filter(route => route.pattern.test(pathname));
+
+  if (pathMatches.length > 0) {
+    const route = pathMatches.find(r => r.method === req.method);
+    if (!route) {
+      throw new ApiError(405, 'METHOD_NOT_ALLOWED', `${req.method} is not allowed on ${pathname}`);
+    }
+    const params = pathname.match(route.pattern).slice(1).map(decodePath);
+    return route.handler(app, params, req);
+  }
+
+  if (req.method === 'GET') {
+    // Saved reports come from the app's reports directory, everything else from public/
+    if (pathname.startsWith('/reports/')) {
+      const reportPath = pathname.slice('/reports'.length);
+      if (!PUBLIC_REPORT_FILE.test(decodePath(reportPath))) {
+        throw new ApiError(404, 'NOT_FOUND', `No route for GET ${pathname}`);
+      }
+      await serveStatic(path.resolve(app.reportsDir), reportPath, res);
+    } else {
+      await serveStatic(PUBLIC_DIR, pathname, res);
+    }
+    return null;
+  }
+
+  throw new ApiError(404, 'NOT_FOUND', `No route for ${req.method} ${pathname}`);
+}
+
+// ===================================================================
+// HELPER FUNCTIONS
+// ===================================================================
+
+function requireStudent(app, studentId) {
+  if (!app.analyzer.getStudentIds().includes(studentId)) {
+    throw new ApiError(404, 'STUDENT_NOT_FOUND', `Student ${studentId} not found`);
+  }
+}
+
+// Decode %-escapes in a URL path; a malformed one (e.g. "%E0%A4%A") is the client's mistake
+function decodePath(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    throw new ApiError(400, 'INVALID_PATH', `Malformed URL escape in ${text}`);
+  }
+}
+
+// Read and parse a JSON request body
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw new ApiError(400, 'INVALID_JSON', 'Request body must be valid JSON');
+  }
+}
+
+// Serve a file from baseDir ("/" serves index.html)
+async function serveStatic(baseDir, pathname, res) {
+  const relativePath = pathname === '/' ? 'index.html' : decodePath(pathname).replace(/^\/+/, '');
+  const filePath = path.resolve(baseDir, relativePath);
+
+  // Never serve anything outside baseDir (e.g. /../.env)
+  if (!filePath.startsWith(baseDir + path.sep)) {
+    throw new ApiError(404, 'NOT_FOUND', `No route for GET ${pathname}`);
+  }
+
+  let content;
+  try {
+    content = await fs.readFile(filePath);
+  } catch {
+    throw new ApiError(404, 'NOT_FOUND', `No route for GET ${pathname}`);
+  }
+
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+  res.end(content);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+export { createApiServer, startApiServer, ApiError };
@@ -0,0 +1,195 @@
+// ===================================================================
+// STRUCTURED OUTPUT - Parse and check JSON replies from the AI
+// ===================================================================
+// Free-text insights are fine to read but useless to a dashboard. The
+// insights prompt asks the model for JSON instead, and this module turns
+// its reply into a checked object:
+//
+// 1. Extract the JSON (models like to wrap it in ```json fences or add a
+//    sentence before it)
+// 2. Parse it, fixing small slips such as trailing commas
+// 3. Validate it against a JSON schema, repairing safe mistakes on the way
+//    ("25" where a number belongs, "HIGH" for "high", a single string
+//    where a list belongs)
+//
+// Whatever can't be repaired comes back as errors with paths such as
+// $.recommendations[0].priority, which the generator sends back to the
+// model when it retries.
+//
+// Only the schema keywords we use are supported: type, required,
+// properties, items, enum, minimum and minLength.
+
+// Shape of the AI insights (see the "insights" prompt template)
+const INSIGHTS_SCHEMA = {
+  type: 'object',
+  required: ['overview', 'patterns', 'assessment', 'recommendations', 'alerts'],
+  properties: {
+    overview: { type: 'string', minLength: 1 },
+    patterns: { type: 'array', items: { type: 'string', minLength: 1 } },
+    assessment: { type: 'string', minLength: 1 },
+    recommendations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['action', 'priority', 'estimatedMonthlySavings'],
+        properties: {
+          action: { type: 'string', minLength: 1 },
+          priority: { type: 'string', enum: ['high', 'medium', 'low'] },
+          estimatedMonthlySavings: { type: 'number', minimum: 0 }
+        }
+      }
+    },
+    alerts: { type: 'array', items: { type: 'string', minLength: 1 } }
+  }
+};
+
+class StructuredOutput {
+  // ===================================================================
+  // MAIN PARSE FUNCTION
+  // ===================================================================
+  // Returns { value, errors, repaired }: value is null unless the reply
+  // (after repairs) matches the schema.
+
+  static parse(text, schema) {
+    const json = this.extractJson(text);
+    if (json === null) {
+      return { value: null, errors: ['$: reply does not contain a JSON object'], repaired: false };
+    }
+
+    let value;
+    let repaired = false;
+    try {
+      value = JSON.parse(json);
+    } catch {
+      // Trailing commas are the most common slip
+      try {
+        value = JSON.parse(json.replace(/,\s*([}\]])/g, '$1'));
+        repaired = true;
+      } catch (error) {
+        return { value: null, errors: [`$: invalid JSON (${error.message})`], repaired: false };
+      }
+    }
+
+    const errors = [];
+    const result = this.validate(value, schema, '$', errors);
+    return {
+      value: errors.length === 0 ? result.value : null,
+      errors,
+      repaired: repaired || result.repaired
+    };
+  }
+
+  // The text between the first "{" and the last "}" (fences and chatter removed)
+  static extractJson(text) {
+    if (typeof text !== 'string') return null;
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    return start !== -1 && end > start ? text.slice(start, end + 1) : null;
+  }
+
+  // ===================================================================
+  // SCHEMA VALIDATION
+  // ===================================================================
+  // Checks value against schema, adding "path: problem" strings to errors.
+  // Returns { value, repaired } with safe repairs applied to a copy.
+
+  static validate(value, schema, path, errors) {
+    let repaired = false;
+
+    switch (schema.type) {
+      case 'object': {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          errors.push(`${path}: expected an object`);
+          return { value, repaired };
+        }
+        const copy = { ...value };
+        (schema.required || []).forEach(key => {
+          if (copy[key] === undefined || copy[key] === null) {
+            errors.push(`${path}.${key}: is required`);
+          }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+          if (copy[key] === undefined || copy[key] === null) return;
+          const result = this.validate(copy[key], propertySchema, `${path}.${key}`, errors);
+          copy[key] = result.value;
+          repaired = repaired || result.repaired;
+        });
+        return { value: copy, repaired };
+      }
+
+      case 'array': {
+        // A single item where a list belongs
+        if (!Array.isArray(value)) {
+          if (schema.items && this.matchesType(value, schema.items.type)) {
+            value = [value];
+            repaired = true;
+          } else {
+            errors.push(`${path}: expected an array`);
+            return { value, repaired };
+          }
+        }
+        const items = value.map((item, index) => {
+          const result = schema.items ? this.validate(item, schema.items, `${path}[${index}]`, errors) : { value: item };
+          repaired = repaired || result.repaired;
+          return result.value;
+        });
+        return { value: items, repaired };
+      }
+
+      case 'number':
+      case 'integer': {
+        // "25" or "$25" where a number belongs
+        if (typeof value === 'string' && /^\s*\$?\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+          value = Number(value.replace(/[$\s]/g, ''));
+          repaired = true;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+          errors.push(`${path}: expected ${schema.type === 'integer' ? 'an integer' : 'a number'}`);
+          return { value, repaired };
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+          errors.push(`${path}: must be at least ${schema.minimum}`);
+        }
+        return { value, repaired };
+      }
+
+      case 'string': {
+        if (typeof value !== 'string') {
+          errors.push(`${path}: expected a string`);
+          return { value, repaired };
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+          // "High" or " high " for "high"
+          const match = schema.enum.find(option => option.toLowerCase() === value.trim().toLowerCase());
+          if (match) {
+            return { value: match, repaired: true };
+          }
+          errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+          return { value, repaired };
+        }
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+          errors.push(`${path}: must not be empty`);
+        }
+        return { value, repaired };
+      }
+
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          errors.push(`${path}: expected true or false`);
+        }
+        return { value, repaired };
+
+      default:
+        return { value, repaired };
+    }
+  }
+
+  static matchesType(value, type) {
+    if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (type === 'integer') return Number.isInteger(value);
+    return typeof value === type;
+  }
+}
+
+export { INSIGHTS_SCHEMA };
+export default StructuredOutput;
@@ -0,0 +1,169 @@
+// ===================================================================
+// AI USAGE TRACKER - Tokens and estimated cost of every AI request
+// ===================================================================
+// Every request the insights generator makes is written to an
+// append-only JSONL ledger (one JSON object per line):
+//
+//   {"at":"...","runId":"...","studentId":"STU001","method":"insights","provider":"openai",
+//    "model":"gpt-3.5-turbo","promptTokens":812,"completionTokens":301,"totalTokens":1113,
+//    "cached":false,"estimatedCost":0.000858}
+//
+// Cached answers are recorded too (with cost 0) so the ledger shows how
+// much the cache saved. Costs are estimates from the price table below.
+//
+// maxRunCost is an optional spending cap for one run: once the run's
+// estimated cost reaches it, the generator stops calling the model and
+// the remaining students get the fallback (non-AI) text. A model missing
+// from the price table would always cost 0, so with a cap set the
+// generator refuses to call it until AI_PRICE_INPUT_PER_1M and
+// AI_PRICE_OUTPUT_PER_1M give it a price.
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// USD per 1 million tokens: [input, output]. A model uses its family's
+// price when its name is the family name plus an optional date or
+// "-preview" ("gpt-4o-mini-2024-07-18" → "gpt-4o-mini"), so "gpt-4.1"
+// is never billed as "gpt-4".
+const MODEL_PRICES = {
+  'gpt-3.5-turbo': [0.5, 1.5],
+  'gpt-4.1-nano': [0.1, 0.4],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1': [2, 8],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4-turbo': [10, 30],
+  'gpt-4': [30, 60]
+};
+
+// What may follow a family name: "-0613", "-2024-07-18", "-preview", "-1106-preview"
+const MODEL_VERSION_SUFFIX = /^(?:-\d{4}(?:-\d{2}-\d{2})?)?(?:-preview)?$/;
+
+// Providers that don't charge per token
+const FREE_PROVIDERS = ['mock', 'openai-compatible'];
+
+class UsageTracker {
+  // Options:
+  // - filePath: the usage ledger (JSONL)
+  // - runId: the run the requests belong to
+  // - maxRunCost: spending cap in USD for one run (0 = no cap)
+  // - price: { input, output } USD per 1M tokens, overriding the price table
+  constructor(options = {}) {
+    this.filePath = options.filePath || './reports/ai-usage.jsonl';
+    this.runId = options.runId || null;
+    this.maxRunCost = options.maxRunCost || 0;
+    this.price = options.price || null;
+    // This run's requests
+    this.entries = [];
+    // Models we had no price for (warned about once each)
+    this.unpricedModels = new Set();
+  }
+
+  // ===================================================================
+  // RECORDING
+  // ===================================================================
+
+  // request: { studentId, method, provider, model, usage, cached }
+  async record({ studentId = null, method = null, provider, model, usage = {}, cached = false }) {
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+
+    const entry = {
+      at: new Date().toISOString(),
+      runId: this.runId,
+      studentId,
+      method,
+      provider,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.totalTokens || promptTokens + completionTokens,
+      cached,
+      // Cached answers cost nothing
+      estimatedCost: cached ? 0 : this.estimateCost(provider, model, promptTokens, completionTokens)
+    };
+
+    if (!cached && !this.hasPrice(provider, model) && !this.unpricedModels.has(model)) {
+      this.unpricedModels.add(model);
+      console.log(`⚠️  No price for model "${model}", so its cost counts as 0 ` +
+        '(set AI_PRICE_INPUT_PER_1M and AI_PRICE_OUTPUT_PER_1M)');
+    }
+
+    this.entries.push(entry);
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+    return entry;
+  }
+
+  // Estimated cost in USD of one request
+  estimateCost(provider, model, promptTokens, completionTokens) {
+    const prices = this.priceFor(provider, model);
+    if (!prices) return 0;
+
+    return parseFloat(((promptTokens * prices[0] + completionTokens * prices[1]) / 1000000).toFixed(6));
+  }
+
+  // [input, output] USD per 1M tokens, or null when the model has no known price
+  priceFor(provider, model) {
+    if (this.price) return [this.price.input || 0, this.price.output || 0];
+    if (FREE_PROVIDERS.includes(provider)) return [0, 0];
+
+    const family = Object.keys(MODEL_PRICES).find(name =>
+      String(model).startsWith(name) && MODEL_VERSION_SUFFIX.test(String(model).slice(name.length)));
+    return family ? MODEL_PRICES[family] : null;
+  }
+
+  hasPrice(provider, model) {
+    return this.priceFor(provider, model) !== null;
+  }
+
+  // ===================================================================
+  // SPENDING CAP
+  // ===================================================================
+
+  runCost() {
+    return this.entries.reduce((sum, entry) => sum + entry.estimatedCost, 0);
+  }
+
+  isCapReached() {
+    return this.maxRunCost > 0 && this.runCost() >= this.maxRunCost;
+  }
+
+  // ===================================================================
+  // SUMMARIES
+  // ===================================================================
+
+  // Totals for this run, optionally for one student, broken down by method
+  summarize({ studentId } = {}) {
+    const entries = studentId ? this.entries.filter(e => e.studentId === studentId) : this.entries;
+
+    const byMethod = {};
+    entries.forEach(entry => {
+      const key = entry.method || 'other';
+      byMethod[key] = this.addUp(byMethod[key], entry);
+    });
+
+    return {
+      ...entries.reduce((totals, entry) => this.addUp(totals, entry), this.addUp()),
+      byMethod,
+      capReached: this.isCapReached(),
+      // Models whose cost could not be estimated (counted as 0)
+      unpricedModels: [...this.unpricedModels]
+    };
+  }
+
+  // Add one entry to a running total (or start a new one)
+  addUp(totals = { requests: 0, cachedRequests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedCost: 0 }, entry) {
+    if (!entry) return totals;
+    return {
+      requests: totals.requests + 1,
+      cachedRequests: totals.cachedRequests + (entry.cached ? 1 : 0),
+      promptTokens: totals.promptTokens + entry.promptTokens,
+      completionTokens: totals.completionTokens + entry.completionTokens,
+      totalTokens: totals.totalTokens + entry.totalTokens,
+      estimatedCost: parseFloat((totals.estimatedCost + entry.estimatedCost).toFixed(6))
+    };
+  }
+}
+
+export default UsageTracker;
@@ -0,0 +1,385 @@
+// ===================================================================
+// DATA VALIDATOR - Student Data Quality Checks
+// ===================================================================
+// This module checks loaded student data and reports every problem it
+// finds instead of stopping at the first one. Each issue records:
+// - path: where the problem is, e.g. $.students[0].transactions[3].amount
+// - severity: 'error' (record is dropped) or 'warning' (record is kept)
+// - message: what is wrong
+// - repaired: true when auto-repair fixed the value
+//
+// With { repair: true } safe issues are fixed automatically:
+// trimming whitespace, turning numeric strings into numbers and
+// converting dates like 09/01/2024 into 2024-09-01.
+//
+// With { currencies: [...] } (the codes the exchange-rate table has),
+// currency codes missing from that list are errors too, since their
+// amounts could never be converted.
+
+import StatementImporter from './importer.js';
+import CurrencyConverter from './currency.js';
+
+class DataValidator {
+  // ===================================================================
+  // MAIN VALIDATION FUNCTION
+  // ===================================================================
+  // Returns a report object; report.data holds a copy of the input with
+  // only the valid students and transactions (and repairs applied).
+
+  static validate(data, options = {}) {
+    const repair = options.repair === true;
+    const currencies = options.currencies ? new Set(options.currencies) : null;
+    const issues = [];
+
+    const addIssue = (path, severity, message, repaired = false) => {
+      issues.push({ path, severity, message, repaired });
+    };
+
+    // Without a students array there is nothing we can salvage
+    if (!data || !Array.isArray(data.students)) {
+      addIssue('$.students', 'error', 'Missing students array');
+      return this.buildReport(issues, null, 0);
+    }
+
+    // Work on a copy so the caller's data is never changed behind their back
+    const cleaned = { ...structuredClone(data), students: [] };
+    const seenIds = new Set();
+
+    data.students.forEach((originalStudent, index) => {
+      const path = `$.students[${index}]`;
+      const student = structuredClone(originalStudent);
+
+      if (!student || typeof student !== 'object' || Array.isArray(student)) {
+        addIssue(path, 'error', 'Student record must be an object');
+        return;
+      }
+
+      const before = issues.filter(i => i.severity === 'error').length;
+
+      // Required text fields
+      this.checkText(student, 'studentId', `${path}.studentId`, repair, addIssue, true);
+      this.checkText(student, 'name', `${path}.name`, repair, addIssue, true);
+      this.checkText(student, 'semester', `${path}.semester`, repair, addIssue, false);
+
+      // Student IDs must be unique or reports overwrite each other
+      if (typeof student.studentId === 'string' && student.studentId !== '') {
+        if (seenIds.has(student.studentId)) {
+          addIssue(`${path}.studentId`, 'error', `Duplicate studentId "${student.studentId}"`);
+        }
+        seenIds.add(student.studentId);
+      }
+
+      // Budget must be present and a usable number (0 is allowed but flagged)
+      if (this.checkNumber(student, 'monthlyBudget', `${path}.monthlyBudget`, repair, addIssue)) {
+        if (student.monthlyBudget < 0) {
+          addIssue(`${path}.monthlyBudget`, 'error', 'monthlyBudget cannot be negative');
+        } else if (student.monthlyBudget === 0) {
+          addIssue(`${path}.monthlyBudget`, 'warning', 'monthlyBudget is 0, so utilization cannot be calculated');
+        }
+      }
+
+      // Optional currency the budget is in (defaults to the app's base currency)
+      this.checkCurrency(student, 'baseCurrency', `${path}.baseCurrency`, repair, addIssue, currencies);
+
+      if (!Array.isArray(student.transactions)) {
+        addIssue(`${path}.transactions`, 'error', 'Missing or invalid transactions array');
+      }
+
+      // Drop the whole student if any of their own fields had errors
+      if (issues.filter(i => i.severity === 'error').length > before) {
+        return;
+      }
+
+      // Keep only the transactions that pass validation
+      student.transactions = student.transactions.filter((transaction, tIndex) =>
+        this.validateTransaction(transaction, `${path}.transactions[${tIndex}]`, repair, addIssue, currencies)
+      );
+
+      // Optional per-category envelope budgets and transfers between them
+      this.validateEnvelopes(student, path, repair, addIssue);
+      // Optional savings goals
+      this.validateGoals(student, path, repair, addIssue);
+
+      cleaned.students.push(student);
+    });
+
+    return this.buildReport(issues, cleaned, data.students.length);
+  }
+
+  // Check one transaction, repairing it in place when allowed.
+  // Returns true if the transaction is usable.
+  // currencies: optional Set of the codes that have exchange rates
+  static validateTransaction(transaction, path, repair, addIssue, currencies = null) {
+    if (!transaction || typeof transaction !== 'object' || Array.isArray(transaction)) {
+      addIssue(path, 'error', 'Transaction must be an object');
+      return false;
+    }
+
+    let valid = true;
+
+    // Dates must be real calendar dates in YYYY-MM-DD form
+    if (typeof transaction.date !== 'string' || transaction.date.trim() === '') {
+      addIssue(`${path}.date`, 'error', 'Missing date');
+      valid = false;
+    } else {
+      const normalized = StatementImporter.normalizeDate(transaction.date);
+      if (!normalized) {
+        addIssue(`${path}.date`, 'error', `Unparseable date "${transaction.date}"`);
+        valid = false;
+      } else if (normalized !== transaction.date) {
+        if (repair) {
+          addIssue(`${path}.date`, 'warning', `Normalized date "${transaction.date}" to ${normalized}`, true);
+          transaction.date = normalized;
+        } else {
+          addIssue(`${path}.date`, 'error', `Date "${transaction.date}" is not in YYYY-MM-DD format`);
+          valid = false;
+        }
+      }
+    }
+
+    if (!this.checkText(transaction, 'category', `${path}.category`, repair, addIssue, true)) {
+      valid = false;
+    }
+    if (!this.checkNumber(transaction, 'amount', `${path}.amount`, repair, addIssue)) {
+      valid = false;
+    }
+    this.checkText(transaction, 'description', `${path}.description`, repair, addIssue, false);
+    // Optional currency the purchase was made in
+    if (!this.checkCurrency(transaction, 'currency', `${path}.currency`, repair, addIssue, currencies)) {
+      valid = false;
+    }
+
+    return valid;
+  }
+
+  // Check categoryBudgets ({ "Food": 300, ... }) and envelopeTransfers.
+  // Invalid entries are dropped; the rest of the student is kept.
+  static validateEnvelopes(student, path, repair, addIssue) {
+    if (student.categoryBudgets === undefined) {
+      if (student.envelopeTransfers !== undefined) {
+        addIssue(`${path}.envelopeTransfers`, 'error', 'envelopeTransfers needs categoryBudgets');
+        delete student.envelopeTransfers;
+      }
+      return;
+    }
+
+    if (!student.categoryBudgets || typeof student.categoryBudgets !== 'object' || Array.isArray(student.categoryBudgets)) {
+      addIssue(`${path}.categoryBudgets`, 'error', 'categoryBudgets must be an object of category amounts');
+      delete student.categoryBudgets;
+      delete student.envelopeTransfers;
+      return;
+    }
+
+    Object.keys(student.categoryBudgets).forEach(category => {
+      const envelopePath = `${path}.categoryBudgets.${category}`;
+      if (!this.checkNumber(student.categoryBudgets, category, envelopePath, repair, addIssue)) {
+        delete student.categoryBudgets[category];
+      } else if (student.categoryBudgets[category] < 0) {
+        addIssue(envelopePath, 'error', 'Category budget cannot be negative');
+        delete student.categoryBudgets[category];
+      }
+    });
+
+    // Envelopes adding up to more than the whole budget are probably a typo
+    const envelopeTotal = Object.values(student.categoryBudgets).reduce((sum, amount) => sum + amount, 0);
+    if (typeof student.monthlyBudget === 'number' && envelopeTotal > student.monthlyBudget) {
+      addIssue(`${path}.categoryBudgets`, 'warning', `Category budgets add up to ${envelopeTotal}, more than monthlyBudget ${student.monthlyBudget}`);
+    }
+
+    if (student.envelopeTransfers === undefined) return;
+    if (!Array.isArray(student.envelopeTransfers)) {
+      addIssue(`${path}.envelopeTransfers`, 'error', 'envelopeTransfers must be an array');
+      delete student.envelopeTransfers;
+      return;
+    }
+
+    student.envelopeTransfers = student.envelopeTransfers.filter((transfer, index) => {
+      const transferPath = `${path}.envelopeTransfers[${index}]`;
+      if (!transfer || typeof transfer !== 'object') {
+        addIssue(transferPath, 'error', 'Transfer must be an object');
+        return false;
+      }
+
+      let valid = true;
+      ['from', 'to'].forEach(field => {
+        if (!Object.hasOwn(student.categoryBudgets, transfer[field])) {
+          addIssue(`${transferPath}.${field}`, 'error', `No category budget for "${transfer[field]}"`);
+          valid = false;
+        }
+      });
+      if (this.checkNumber(transfer, 'amount', `${transferPath}.amount`, repair, addIssue)) {
+        if (transfer.amount <= 0) {
+          addIssue(`${transferPath}.amount`, 'error', 'Transfer amount must be positive');
+          valid = false;
+        }
+      } else {
+        valid = false;
+      }
+      if (typeof transfer.date !== 'string' || StatementImporter.normalizeDate(transfer.date) !== transfer.date) {
+        addIssue(`${transferPath}.date`, 'error', 'Transfer date must be in YYYY-MM-DD format');
+        valid = false;
+      }
+
+      return valid;
+    });
+  }
+
+  // Check savingsGoals; invalid goals are dropped
+  static validateGoals(student, path, repair, addIssue) {
+    if (student.savingsGoals === undefined) return;
+    if (!Array.isArray(student.savingsGoals)) {
+      addIssue(`${path}.savingsGoals`, 'error', 'savingsGoals must be an array');
+      delete student.savingsGoals;
+      return;
+    }
+
+    student.savingsGoals = student.savingsGoals.filter((goal, index) => {
+      const goalPath = `${path}.savingsGoals[${index}]`;
+      if (!goal || typeof goal !== 'object' || Array.isArray(goal)) {
+        addIssue(goalPath, 'error', 'Savings goal must be an object');
+        return false;
+      }
+
+      let valid = this.checkText(goal, 'name', `${goalPath}.name`, repair, addIssue, true);
+      this.checkText(goal, 'category', `${goalPath}.category`, repair, addIssue, false);
+
+      if (this.checkNumber(goal, 'targetAmount', `${goalPath}.targetAmount`, repair, addIssue)) {
+        if (goal.targetAmount <= 0) {
+          addIssue(`${goalPath}.targetAmount`, 'error', 'targetAmount must be positive');
+          valid = false;
+        }
+      } else {
+        valid = false;
+      }
+
+      if (goal.currentAmount !== undefined && !this.checkNumber(goal, 'currentAmount', `${goalPath}.currentAmount`, repair, addIssue)) {
+        valid = false;
+      }
+
+      if (typeof goal.deadline !== 'string' || StatementImporter.normalizeDate(goal.deadline) !== goal.deadline) {
+        addIssue(`${goalPath}.deadline`, 'error', 'deadline must be in YYYY-MM-DD format');
+        valid = false;
+      }
+
+      return valid;
+    });
+  }
+
+  // ===================================================================
+  // FIELD CHECKS
+  // ===================================================================
+
+  // Check a text field. Returns true if the field is usable.
+  static checkText(record, field, path, repair, addIssue, required) {
+    const value = record[field];
+
+    if (value === undefined || value === null || value === '') {
+      if (required) {
+        addIssue(path, 'error', `Missing ${field}`);
+        return false;
+      }
+      return true;
+    }
+
+    if (typeof value !== 'string') {
+      addIssue(path, required ? 'error' : 'warning', `${field} must be a string`);
+      return !required;
+    }
+
+    if (value.trim() !== value) {
+      if (value.trim() === '' && required) {
+        addIssue(path, 'error', `Missing ${field}`);
+        return false;
+      }
+      if (repair) {
+        record[field] = value.trim();
+        addIssue(path, 'warning', `Trimmed whitespace from ${field}`, true);
+      } else {
+        addIssue(path, 'warning', `${field} has leading or trailing whitespace`);
+      }
+    }
+
+    return true;
+  }
+
+  // Check a numeric field. Returns true if the field holds a finite number
+  // (after repair, if allowed).
+  static checkNumber(record, field, path, repair, addIssue) {
+    const value = record[field];
+
+    if (value === undefined || value === null || value === '') {
+      addIssue(path, 'error', `Missing ${field}`);
+      return false;
+    }
+
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) {
+        addIssue(path, 'error', `${field} must be a finite number`);
+        return false;
+      }
+      return true;
+    }
+
+    // Numeric strings such as "12.50" or " 800 " can be coerced safely
+    const coerced = typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value) ? Number(value) : NaN;
+    if (Number.isFinite(coerced) && repair) {
+      record[field] = coerced;
+      addIssue(path, 'warning', `Converted ${field} "${value}" to a number`, true);
+      return true;
+    }
+
+    addIssue(path, 'error', `${field} must be a number (got ${JSON.stringify(value)})`);
+    return false;
+  }
+
+  // Check an optional currency code such as "EUR". Lowercase or padded
+  // codes (" eur") are repaired. With a currencies Set, codes that have no
+  // exchange rate are errors. Returns true if the field is usable.
+  static checkCurrency(record, field, path, repair, addIssue, currencies = null) {
+    const value = record[field];
+    if (value === undefined) return true;
+
+    let code = value;
+    if (!(typeof value === 'string' && CurrencyConverter.isValidCode(value))) {
+      const normalized = typeof value === 'string' ? value.trim().toUpperCase() : null;
+      if (!CurrencyConverter.isValidCode(normalized) || !repair) {
+        addIssue(path, 'error', `${field} must be a three-letter currency code like "USD" (got ${JSON.stringify(value)})`);
+        return false;
+      }
+      code = normalized;
+    }
+
+    if (currencies && !currencies.has(code)) {
+      addIssue(path, 'error', `No exchange rate for ${field} ${code} (add it to the exchange-rate table)`);
+      return false;
+    }
+
+    if (code !== value) {
+      record[field] = code;
+      addIssue(path, 'warning', `Normalized ${field} "${value}" to ${code}`, true);
+    }
+    return true;
+  }
+
+  // ===================================================================
+  // REPORT BUILDING
+  // ===================================================================
+
+  static buildReport(issues, cleaned, totalStudents) {
+    const errors = issues.filter(i => i.severity === 'error').length;
+    return {
+      valid: errors === 0,
+      summary: {
+        totalStudents,
+        validStudents: cleaned ? cleaned.students.length : 0,
+        errors,
+        warnings: issues.length - errors,
+        repaired: issues.filter(i => i.repaired).length
+      },
+      issues,
+      data: cleaned
+    };
+  }
+}
+
+export default DataValidator;
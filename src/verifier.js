@@ -0,0 +1,173 @@
+// ===================================================================
+// INSIGHT VERIFIER - Check the AI's numbers against the real analysis
+// ===================================================================
+// Language models sometimes quote a budget, percentage or projection
+// that isn't in the data they were given. Every AI reply is checked here
+// before it is shown or saved:
+//
+// 1. Split the text into sentences
+// 2. Pull out money amounts ($327.75, €1,200, CA$45), percentages (32.8%)
+//    and category names (from every category in the data set, written as
+//    the data writes them, so "savings goal" or "the other hand" aren't
+//    read as the Savings or Other categories)
+// 3. Compare them with the numbers in the calculated analysis
+//
+// A reply is 'verified' when everything matches and 'flagged' otherwise,
+// with one issue per figure that doesn't:
+//
+//   { type: 'amount', value: 450, text: 'You have spent $450 so far.', message: '...' }
+//
+// Rounding is allowed ("about $330" for $327.75 is fine, "$300" is not),
+// and sentences giving advice ("try to save $20 a week") are skipped,
+// because suggested amounts aren't claims about the data. Plain numbers
+// without a currency symbol or % sign aren't checked.
+
+// Money amounts as CurrencyConverter.format writes them, or with a currency code
+const AMOUNT_PATTERN = /(?:[A-Z]{2})?[$€£¥₹]\s?(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)|\b(?:USD|EUR|GBP|CAD|INR|CNY|JPY|MXN)\s?(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)/g;
+const PERCENT_PATTERN = /(\d+(?:\.\d+)?)\s?%/g;
+
+// Sentences that suggest something rather than state a fact
+const ADVICE_PATTERN = /\b(?:save[sd]?|savings?|cut|limit|aim|try|consider|could|reduce|instead|set aside|per week|a week)\b/i;
+
+// Analysis fields that hold percentages
+const PERCENT_KEYS = /utilization|percentage|progress/i;
+
+// Analysis fields that hold money. Counts, days, IDs and scores aren't
+// amounts, so "$3" isn't accepted just because there were 3 transactions.
+const MONEY_KEYS = /amount|total|average|budget|allocat|spent|remaining|rollover|dailyRate|allowance|overage|saved|stillNeeded|requiredMonthly|surplus|cost|transfers|^(?:low|high|median)$/i;
+const NOT_MONEY_KEYS = /days|count/i;
+
+class InsightVerifier {
+  // Options:
+  // - categoryNames: every category in the data set (a mention of one the
+  //   student has no spending in is flagged)
+  // - amountTolerance: allowed difference as a share of the amount (default 1%)
+  // - percentTolerance: allowed difference in percentage points (default 1)
+  constructor(options = {}) {
+    this.categoryNames = options.categoryNames || [];
+    this.amountTolerance = options.amountTolerance ?? 0.01;
+    this.percentTolerance = options.percentTolerance ?? 1;
+  }
+
+  // Learn the category vocabulary from the students' transactions
+  setCategoryNames(students) {
+    const names = new Set();
+    students.forEach(student => (student.transactions || []).forEach(t => {
+      if (typeof t.category === 'string' && t.category.trim() !== '') names.add(t.category.trim());
+    }));
+    this.categoryNames = [...names];
+  }
+
+  // ===================================================================
+  // MAIN VERIFY FUNCTION
+  // ===================================================================
+  // Returns { status: 'verified' | 'flagged', checked: { amounts, percentages, categories }, issues }
+
+  verify(text, analysis) {
+    const facts = this.collectFacts(analysis);
+    const issues = [];
+    const checked = { amounts: 0, percentages: 0, categories: 0 };
+
+    this.splitSentences(typeof text === 'string' ? text : '').forEach(sentence => {
+      if (ADVICE_PATTERN.test(sentence)) return;
+
+      this.extractAmounts(sentence).forEach(value => {
+        checked.amounts++;
+        if (!facts.amounts.some(fact => this.amountMatches(value, fact))) {
+          issues.push({ type: 'amount', value, text: sentence, message: `${value} is not an amount in the analysis` });
+        }
+      });
+
+      this.extractPercentages(sentence).forEach(value => {
+        checked.percentages++;
+        if (!facts.percentages.some(fact => Math.abs(value - fact) <= this.percentTolerance)) {
+          issues.push({ type: 'percentage', value, text: sentence, message: `${value}% is not a percentage in the analysis` });
+        }
+      });
+
+      this.extractCategories(sentence).forEach(name => {
+        checked.categories++;
+        if (!facts.categories.includes(name.toLowerCase())) {
+          issues.push({ type: 'category', value: name, text: sentence, message: `The student has no ${name} spending` });
+        }
+      });
+    });
+
+    return { status: issues.length === 0 ? 'verified' : 'flagged', checked, issues };
+  }
+
+  // ===================================================================
+  // FACTS FROM THE ANALYSIS
+  // ===================================================================
+  // Numbers in money fields (MONEY_KEYS) are known amounts, and the
+  // percentage fields (utilization, percentage, progress) are known
+  // percentages together with 0%, 100% and the forecast's confidence.
+  // Other numbers (counts, days, scores) are neither.
+
+  collectFacts(analysis) {
+    const amounts = [];
+    const percentages = [0, 100];
+
+    const walk = (value, key = '') => {
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        if (PERCENT_KEYS.test(key)) {
+          percentages.push(value);
+        } else if (MONEY_KEYS.test(key) && !NOT_MONEY_KEYS.test(key)) {
+          amounts.push(value);
+        }
+      } else if (Array.isArray(value)) {
+        value.forEach(item => walk(item, key));
+      } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([childKey, child]) => walk(child, childKey));
+      }
+    };
+    walk(analysis);
+
+    if (analysis.forecast?.range?.confidence !== undefined) {
+      percentages.push(analysis.forecast.range.confidence * 100);
+    }
+    // Totals the summary adds up itself
+    if (Array.isArray(analysis.recurring) && analysis.recurring.length > 0) {
+      amounts.push(analysis.recurring.reduce((sum, r) => sum + r.annualizedCost, 0));
+    }
+
+    const categories = [
+      ...(analysis.categories || []).map(c => c.name),
+      ...(analysis.envelopes || []).map(e => e.category)
+    ].map(name => String(name).toLowerCase());
+
+    return { amounts: amounts.map(Math.abs), percentages, categories };
+  }
+
+  amountMatches(value, fact) {
+    // At least 50 cents either way, so "$13" for $12.50 counts as rounding
+    return Math.abs(value - fact) <= Math.max(this.amountTolerance * fact, 0.5);
+  }
+
+  // ===================================================================
+  // EXTRACTING FIGURES FROM TEXT
+  // ===================================================================
+
+  splitSentences(text) {
+    return text.split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(Boolean);
+  }
+
+  extractAmounts(text) {
+    return [...text.matchAll(AMOUNT_PATTERN)].map(match => parseFloat((match[1] || match[2]).replace(/,/g, '')));
+  }
+
+  extractPercentages(text) {
+    return [...text.matchAll(PERCENT_PATTERN)].map(match => parseFloat(match[1]));
+  }
+
+  // Category names from the data set mentioned in the text, in the same
+  // case as the data ("Food", not "food"; lowercase words are just words)
+  extractCategories(text) {
+    return this.categoryNames.filter(name => {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(?<![\\p{L}])${escaped}(?![\\p{L}])`, 'u').test(text);
+    });
+  }
+}
+
+export default InsightVerifier;
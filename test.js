@@ -1,9 +1,37 @@
 import StudentSpendAnalyzer from './src/analyzer.js';
+import StatementImporter from './src/importer.js';
+import DataValidator from './src/validator.js';
+import TransactionCategorizer from './src/categorizer.js';
+import AIInsightsGenerator from './src/ai-insights.js';
+import { MockProvider, OpenAIProvider } from './src/llm-providers.js';
+import { runCli, EXIT_CODES } from './src/cli.js';
+import { startApiServer } from './src/server.js';
+import SpendAnalysisApp from './index.js';
+import BudgetAlerts, { DEFAULT_RULE_SET } from './src/alerts.js';
+import AlertNotifier from './src/notifier.js';
+import AnomalyDetector from './src/anomalies.js';
+import RecurringDetector from './src/recurring.js';
+import SavingsGoalTracker from './src/goals.js';
+import PeerBenchmarker from './src/benchmarks.js';
+import ReportHistory from './src/history.js';
+import TransactionLedger from './src/ledger.js';
+import PromptRegistry from './src/prompts.js';
+import AIResponseCache from './src/ai-cache.js';
+import UsageTracker from './src/usage.js';
+import RateLimiter from './src/rate-limiter.js';
+import JobPipeline from './src/pipeline.js';
+import PIIRedactor from './src/redactor.js';
+import InsightVerifier from './src/verifier.js';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
 
 async function testApplication() {
   console.log('🧪 Testing Student Spend Analyzer...\n');
 
-  const analyzer = new StudentSpendAnalyzer();
+  // The sample data is from September 2024, so that's the current budget period
+  const analyzer = new StudentSpendAnalyzer({ asOf: '2024-09-30' });
 
   try {
     // Test 1: Load data
@@ -29,6 +57,998 @@ async function testApplication() {
     console.log('✅ AI summary generated');
     console.log(`   Summary length: ${summary.length} characters\n`);
 
+    // Test 5: Budget periods with rollover
+    console.log('Test 5: Splitting spending into budget periods...');
+    const periodAnalyzer = new StudentSpendAnalyzer({ rollover: 'both', asOf: '2024-11-15' });
+    periodAnalyzer.loadData({
+      students: [{
+        studentId: 'TEST001',
+        name: 'Test Student',
+        semester: 'Fall 2024',
+        monthlyBudget: 500,
+        transactions: [
+          { date: '2024-09-03', category: 'Food', amount: 300, description: 'Groceries' },
+          { date: '2024-11-10', category: 'Books', amount: 400, description: 'Textbooks' }
+        ]
+      }]
+    });
+    const periodAnalysis = periodAnalyzer.analyzeStudent('TEST001');
+    const history = periodAnalysis.budgetHistory;
+    if (history.length !== 3 || history[1].allocated !== 700 || periodAnalysis.budget.allocated !== 1200) {
+      throw new Error('Budget periods or rollover amounts are wrong');
+    }
+    // History stops at the asOf period (later spending isn't counted yet), and
+    // start days that some months don't have are refused
+    periodAnalyzer.asOf = '2024-10-05';
+    const earlierHistory = periodAnalyzer.analyzeStudent('TEST001').budgetHistory;
+    let badStartDay = null;
+    try {
+      new StudentSpendAnalyzer({ periodStartDay: 31 });
+    } catch (error) {
+      badStartDay = error;
+    }
+    if (earlierHistory.length !== 2 || earlierHistory[1].periodStart !== '2024-10-01' || earlierHistory[1].spent !== 0 ||
+        !badStartDay || new StudentSpendAnalyzer({ periodStartDay: '15' }).periodStartDay !== 15) {
+      throw new Error('Budget history did not stop at the asOf period');
+    }
+    console.log('✅ Budget periods calculated');
+    console.log(`   Periods: ${history.length}, current allocation: $${periodAnalysis.budget.allocated}\n`);
+
+    // Test 6: Import bank statements
+    console.log('Test 6: Parsing bank statement exports...');
+    const csv = StatementImporter.parse(
+      'Posted,Details,Amount\n09/01/2024,"Uber, ride",-15.00\n09/02/2024,Paycheck,500.00\nnot a date,Coffee,-3.50\n',
+      'csv',
+      { columns: { date: 'Posted' } }
+    );
+    const qif = StatementImporter.parse('!Type:Bank\nD9/ 3\'24\nT-42.10\nPCampus Bookstore\nLBooks:Textbooks\n^\n', 'qif');
+    const ofx = StatementImporter.parse(
+      '<OFX><BANKTRANLIST><STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240904120000<TRNAMT>-8.25<NAME>Cafe</STMTTRN></BANKTRANLIST></OFX>',
+      'ofx'
+    );
+    if (csv.transactions.length !== 1 || csv.transactions[0].amount !== 15 || csv.errors.length !== 1 || csv.skipped !== 1) {
+      throw new Error('CSV import produced unexpected results');
+    }
+    if (qif.transactions[0]?.date !== '2024-09-03' || qif.transactions[0].category !== 'Books') {
+      throw new Error('QIF import produced unexpected results');
+    }
+    if (ofx.transactions[0]?.amount !== 8.25 || ofx.transactions[0].date !== '2024-09-04') {
+      throw new Error('OFX import produced unexpected results');
+    }
+    if (StatementImporter.normalizeDate('2024-09-05', 'DD/MM/YYYY') !== '2024-09-05' ||
+        StatementImporter.normalizeDate('05/09/2024', 'DD/MM/YYYY') !== '2024-09-05') {
+      throw new Error('Statement dates were not normalized');
+    }
+    // European exports: "." groups thousands, "," is the decimal, and debits can end in "-"
+    const amounts = ['1.234,56', '45,00-', '1,234.56', '12,50', '1.234.567', '(1.234,56)']
+      .map(value => StatementImporter.parseAmount(value));
+    if (amounts.join('|') !== '1234.56|-45|1234.56|12.5|1234567|-1234.56') {
+      throw new Error(`Statement amounts were not parsed correctly: ${amounts.join(', ')}`);
+    }
+    console.log('✅ CSV, QIF and OFX statements parsed\n');
+
+    // Test 7: Validation report with auto-repair
+    console.log('Test 7: Building a validation report...');
+    const messyData = {
+      students: [
+        { studentId: ' BAD001 ', name: 'Zero Budget', monthlyBudget: 0, transactions: [
+          { date: '09/05/2024', category: 'Food', amount: '12.50' },
+          { date: 'yesterday', category: 'Food', amount: 5 }
+        ] },
+        { studentId: 'BAD001', name: 'Duplicate', monthlyBudget: 100, transactions: [] },
+        { studentId: 'BAD002', name: 'Negative', monthlyBudget: -5, transactions: [] }
+      ]
+    };
+    const validation = DataValidator.validate(messyData, { repair: true });
+    const repairedTx = validation.data.students[0]?.transactions;
+    if (validation.summary.validStudents !== 1 || repairedTx.length !== 1 ||
+        repairedTx[0].date !== '2024-09-05' || repairedTx[0].amount !== 12.5) {
+      throw new Error('Validation report did not keep and repair the right records');
+    }
+    if (!validation.issues.some(i => i.path === '$.students[1].studentId' && i.severity === 'error')) {
+      throw new Error('Duplicate studentId was not reported');
+    }
+    console.log('✅ Validation report generated');
+    console.log(`   ${validation.summary.errors} errors, ${validation.summary.warnings} warnings\n`);
+
+    // Test 8: Categorize transactions from descriptions
+    console.log('Test 8: Categorizing transactions...');
+    const categorizer = new TransactionCategorizer();
+    await categorizer.loadRules('./data/category-rules.json');
+    categorizer.learnFromStudents(analyzer.data.students);
+    const uncategorized = [
+      { date: '2024-09-07', amount: 18, description: 'Uber ride home' },
+      { date: '2024-09-07', amount: 60, description: 'Organic chemistry textbook' },
+      { date: '2024-09-07', amount: 9, description: 'XYZ*4417 PURCHASE' }
+    ];
+    const flagged = categorizer.categorizeTransactions(uncategorized);
+    if (uncategorized[0].category !== 'Transportation' || uncategorized[1].category !== 'Books') {
+      throw new Error('Descriptions were categorized incorrectly');
+    }
+    if (flagged.length !== 1 || uncategorized[2].category !== 'Uncategorized' || !uncategorized[2].needsReview) {
+      throw new Error('Low-confidence transaction was not flagged for review');
+    }
+    console.log('✅ Transactions categorized');
+    console.log(`   Uber ride home → ${uncategorized[0].category} (${uncategorized[0].categoryConfidence})\n`);
+
+    // Test 9: Deterministic month-end forecast
+    console.log('Test 9: Forecasting period spending...');
+    const forecastAnalyzer = new StudentSpendAnalyzer({ asOf: '2024-09-10' });
+    forecastAnalyzer.loadData({
+      students: [{
+        studentId: 'TEST002',
+        name: 'Forecast Student',
+        semester: 'Fall 2024',
+        monthlyBudget: 600,
+        transactions: [
+          { date: '2024-09-02', category: 'Food', amount: 100, description: 'Groceries' },
+          { date: '2024-09-09', category: 'Food', amount: 100, description: 'Groceries' },
+          // After the "as of" day, so neither the budget nor the forecast counts it yet
+          { date: '2024-09-25', category: 'Food', amount: 100, description: 'Groceries' }
+        ]
+      }]
+    });
+    const forecastAnalysis = forecastAnalyzer.analyzeStudent('TEST002');
+    const forecast = forecastAnalysis.forecast;
+    if (forecast.spentSoFar !== 200 || forecastAnalysis.budget.spent !== forecast.spentSoFar || forecast.daysElapsed !== 10 || forecast.daysRemaining !== 20 || forecast.methods.linear.projectedTotal !== 600 ||
+        forecast.safeDailyAllowance !== 20 || forecast.range.low > forecast.projectedTotal || forecast.range.high < forecast.projectedTotal) {
+      throw new Error('Forecast numbers are wrong');
+    }
+    console.log('✅ Forecast calculated');
+    console.log(`   Projected: $${forecast.projectedTotal} (range $${forecast.range.low} - $${forecast.range.high})\n`);
+
+    // Test 10: AI insights through the mock provider (no API key needed)
+    console.log('Test 10: Generating insights with the mock provider...');
+    const mockProvider = new MockProvider();
+    const aiInsights = new AIInsightsGenerator({ provider: mockProvider });
+    const mockInsights = await aiInsights.generateInsights(summary);
+    const repeatInsights = await aiInsights.generateInsights(summary);
+    if (!mockInsights.success || mockInsights.insights !== repeatInsights.insights || mockProvider.calls.length !== 2) {
+      throw new Error('Mock provider responses are not deterministic');
+    }
+    // A reply without text is a clear provider error, not a TypeError
+    const emptyReplies = [{ choices: [] }, { choices: [{ message: { content: null, refusal: 'No.' }, finish_reason: 'stop' }] }];
+    const emptyProvider = new OpenAIProvider({ apiKey: 'test-key' });
+    emptyProvider.client = { chat: { completions: { create: async () => emptyReplies.shift() } } };
+    const emptyErrors = [];
+    for (let i = 0; i < 2; i++) {
+      await emptyProvider.complete({ messages: [] }).catch(error => emptyErrors.push(error.message));
+    }
+    if (!emptyErrors[0]?.includes('empty reply for gpt-3.5-turbo (no choices)') || !emptyErrors[1]?.includes('refused: No.')) {
+      throw new Error('Empty provider replies were not reported clearly');
+    }
+    console.log('✅ Mock insights generated');
+    console.log(`   Tokens (estimated): ${mockInsights.tokensUsed}\n`);
+
+    // Test 11: Command-line exit codes
+    console.log('Test 11: Running CLI commands...');
+    const noApp = () => { throw new Error('validate should not create the app'); };
+    const validCode = await runCli(['validate', './data/student-data.json', '--quiet'], { createApp: noApp });
+    const missingCode = await runCli(['validate', './data/missing.json', '--quiet'], { createApp: noApp });
+    const usageCode = await runCli(['analyze', '--quiet'], { createApp: noApp });
+    // Names every object has are still unknown commands
+    const prototypeCodes = [await runCli(['constructor'], { createApp: noApp }), await runCli(['toString'], { createApp: noApp })];
+    if (validCode !== EXIT_CODES.OK || missingCode !== EXIT_CODES.DATA || usageCode !== EXIT_CODES.USAGE ||
+        prototypeCodes.some(code => code !== EXIT_CODES.USAGE)) {
+      throw new Error('CLI returned unexpected exit codes');
+    }
+    console.log('✅ CLI exit codes are correct\n');
+
+    // Test 12: REST API server
+    console.log('Test 12: Querying the REST API...');
+    // Reports the dashboard may read next to a log it may not, and a copy of
+    // the data file that POSTed transactions are saved to
+    const servedReportsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'served-reports-'));
+    const servedDataPath = path.join(servedReportsDir, 'student-data.json');
+    await fs.copyFile('./data/student-data.json', servedDataPath);
+    const app = new SpendAnalysisApp({ useAI: false, storage: 'json', dataPath: servedDataPath });
+    await app.loadData();
+    await fs.writeFile(path.join(servedReportsDir, 'class_summary.json'), '{}');
+    await fs.writeFile(path.join(servedReportsDir, 'notification-log.json'), '{}');
+    app.reportsDir = servedReportsDir;
+    const server = await startApiServer(app, 0);
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    try {
+      const students = await (await fetch(`${baseUrl}/students`)).json();
+      const missing = await fetch(`${baseUrl}/students/NOPE/analysis`);
+      const missingBody = await missing.json();
+      const posted = await fetch(`${baseUrl}/students/STU001/transactions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ date: '2024-09-07', amount: 9.5, description: 'Coffee shop' })
+      });
+      const rejected = await fetch(`${baseUrl}/students/STU001/transactions`, {
+        method: 'POST',
+        body: JSON.stringify({ date: 'someday', amount: 'lots', category: 'Food' })
+      });
+      const dashboard = await fetch(`${baseUrl}/`);
+      const classReport = await fetch(`${baseUrl}/reports/class_summary.json`);
+      const privateLog = await fetch(`${baseUrl}/reports/notification-log.json`);
+      const badEscape = await fetch(`${baseUrl}/students/%E0%A4%A/analysis`);
+      // After a restart the posted transaction is still there
+      const restarted = new SpendAnalysisApp({ useAI: false, storage: 'json', dataPath: servedDataPath });
+      await restarted.loadData();
+      const savedCoffee = restarted.analyzer.data.students[0].transactions.filter(t => t.description === 'Coffee shop');
+      if (savedCoffee.length !== 1 || savedCoffee[0].amount !== 9.5 ||
+          students.length !== 3 || missing.status !== 404 || missingBody.error.code !== 'STUDENT_NOT_FOUND' ||
+          posted.status !== 201 || rejected.status !== 400 || dashboard.status !== 200 ||
+          classReport.status !== 200 || privateLog.status !== 404 || badEscape.status !== 400) {
+        throw new Error('API responses were not as expected');
+      }
+      const summaryResponse = await (await fetch(`${baseUrl}/class/summary`)).json();
+      console.log('✅ API endpoints responded correctly');
+      console.log(`   Class summary for ${summaryResponse.totalStudents} students\n`);
+    } finally {
+      server.close();
+      await fs.rm(servedReportsDir, { recursive: true, force: true });
+    }
+
+    // Test 13: Alert rules from the rule file, with cohort overrides
+    console.log('Test 13: Evaluating alert rules...');
+    const alertRules = await BudgetAlerts.loadRules('./data/alert-rules.json');
+    const busyAnalysis = {
+      studentInfo: { id: 'TEST003', name: 'Busy Student', cohort: 'general' },
+      budget: { allocated: 500, spent: 520, remaining: -20, utilization: 104 },
+      spending: { transactionCount: 25, average: 20.8 },
+      categories: [{ name: 'Food', percentage: 60 }]
+    };
+    const generalAlerts = BudgetAlerts.generateAlerts(busyAnalysis, alertRules);
+    const graduateAlerts = BudgetAlerts.generateAlerts(
+      { ...busyAnalysis, studentInfo: { ...busyAnalysis.studentInfo, cohort: 'graduate' } },
+      alertRules
+    );
+    const generalIds = generalAlerts.map(a => a.ruleId);
+    // A broken cohort override is caught when the rules load, not per student
+    const badOverrides = [{ op: '=>', value: 40 }, { op: 'toString', value: 40 }].map(when => {
+      try {
+        BudgetAlerts.validateRules({ ...alertRules, cohorts: [{ name: 'Graduate students', match: { 'studentInfo.cohort': 'graduate' },
+          overrides: { 'high-transaction-frequency': { when: { metric: 'spending.transactionCount', ...when } } } }] });
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    });
+    if (generalIds.join(',') !== 'over-budget,category-concentration,high-transaction-frequency' ||
+        generalAlerts[0].message !== 'Over budget by $20.00' ||
+        BudgetAlerts.renderTemplate('{{budget.remaining|abs|money}}', { ...busyAnalysis, studentInfo: { currency: 'EUR' } }) !== '€20.00' ||
+        graduateAlerts.some(a => a.ruleId === 'high-transaction-frequency') ||
+        !badOverrides.every(message => message?.startsWith('Alert cohort Graduate students, rule high-transaction-frequency: unknown operator')) ||
+        // The built-in rules are the same as the rule file
+        JSON.stringify(DEFAULT_RULE_SET) !== JSON.stringify(alertRules)) {
+      throw new Error('Alert rules were not applied correctly');
+    }
+    console.log('✅ Alert rules evaluated');
+    console.log(`   ${generalAlerts.length} alerts, ${graduateAlerts.length} with graduate overrides\n`);
+
+    // Test 14: Alert emails through a local SMTP sink
+    console.log('Test 14: Emailing alerts...');
+    const smtpSink = await startSmtpSink();
+    const notifier = new AlertNotifier({
+      transport: { host: '127.0.0.1', port: smtpSink.port, ignoreTLS: true },
+      statePath: path.join(os.tmpdir(), `notification-log-${process.pid}.json`)
+    });
+    try {
+      await notifier.load();
+      const emailAlerts = [
+        { ruleId: 'over-budget', type: 'CRITICAL', message: 'Over budget by 20', action: 'Reduce spending' },
+        { ruleId: 'category-concentration', subject: 'Food', type: 'INFO', message: 'Food is 60%', action: 'Cook more' }
+      ];
+      const alice = analyzer.analyzeStudent('STU001');    // immediate delivery
+      const bob = analyzer.analyzeStudent('STU002');      // daily digest
+      const now = new Date('2024-09-10T08:00:00Z');
+
+      const first = await notifier.notify(alice, emailAlerts, now);
+      const repeat = await notifier.notify(alice, emailAlerts, now);
+      const queued = await notifier.notify(bob, emailAlerts, now);
+      const earlyDigests = await notifier.flushDigests(new Date('2024-09-10T20:00:00Z'));
+      const dueDigests = await notifier.flushDigests(new Date('2024-09-11T09:00:00Z'));
+
+      // A recipient the SMTP server rejects doesn't stop the others
+      const delivered = [];
+      const flakyNotifier = new AlertNotifier({
+        transporter: {
+          sendMail: async message => {
+            if (message.to === 'alice.johnson@example.edu') throw new Error('550 Mailbox unavailable');
+            delivered.push(message.to);
+          }
+        },
+        statePath: path.join(os.tmpdir(), `notification-log-flaky-${process.pid}.json`)
+      });
+      await flakyNotifier.load();
+      const rejected = await flakyNotifier.notify(alice, emailAlerts, now);
+      await flakyNotifier.notify(bob, emailAlerts, now);
+      const flakyDigests = await flakyNotifier.flushDigests(now, { force: true });
+      const retried = await flakyNotifier.notify(alice, emailAlerts, now);
+
+      // Money in the email body is formatted in the student's currency
+      const rendered = [];
+      const euroNotifier = new AlertNotifier({ transporter: { sendMail: async message => rendered.push(message) } });
+      await euroNotifier.load();
+      await euroNotifier.sendAlertEmail({ email: 'test@example.edu' }, {
+        ...alice,
+        studentInfo: { ...alice.studentInfo, currency: 'EUR' },
+        budget: { ...alice.budget, remaining: 123.4 }
+      }, emailAlerts, now);
+
+      if (first.sent !== 1 || repeat.sent !== 0 || queued.queued !== 1 ||
+          earlyDigests !== 0 || dueDigests !== 1 || smtpSink.messages.length !== 2 ||
+          !smtpSink.messages[0].includes('alice.johnson@example.edu') ||
+          rejected.failed !== 1 || rejected.sent !== 0 || flakyDigests !== 1 || delivered.join() !== 'bob.wilson@example.edu' ||
+          retried.failed !== 1 || flakyNotifier.state.failed.STU001?.kind !== 'alert' || flakyNotifier.failures.length !== 2 ||
+          !rendered[0].text.includes('Remaining This Period: €123.40') || !rendered[0].html.includes('<td>€123.40</td>')) {
+        throw new Error('Alert emails were not sent as expected');
+      }
+      console.log('✅ Alert emails sent once, digests batched');
+      console.log(`   ${smtpSink.messages.length} emails received by the SMTP sink\n`);
+    } finally {
+      smtpSink.server.close();
+    }
+
+    // Test 15: Anomalies against personal history, peers and the budget
+    console.log('Test 15: Detecting unusual transactions...');
+    const usualFood = [10, 12, 11, 9, 13].map((amount, i) => (
+      { date: `2024-09-0${i + 1}`, category: 'Food', amount, description: 'Cafeteria' }
+    ));
+    const peerFood = [8, 9, 10, 11, 12, 10, 9, 11].map(amount => ({ category: 'Food', amount }));
+    const anomalies = AnomalyDetector.detect([
+      ...usualFood,
+      { date: '2024-09-06', category: 'Food', amount: 60, description: 'Catering order' },
+      { date: '2024-09-07', category: 'Electronics', amount: 600, description: 'Laptop' }
+    ], { peerTransactions: peerFood, monthlyBudget: 1000 });
+    const catering = anomalies.find(a => a.description === 'Catering order');
+    const laptop = anomalies.find(a => a.description === 'Laptop');
+    const anomalyAlerts = BudgetAlerts.generateAlerts({ ...busyAnalysis, categories: [], anomalies }, alertRules);
+    if (anomalies.length !== 2 || !catering || catering.reasons.map(r => r.baseline).join(',') !== 'personal,cohort' ||
+        laptop.level !== 'high' || laptop.reasons[0].baseline !== 'budget' ||
+        !anomalyAlerts.some(a => a.ruleId === 'unusual-transaction-high' && a.subject === laptop.id)) {
+      throw new Error('Anomalies were not detected correctly');
+    }
+    console.log('✅ Unusual transactions flagged');
+    console.log(`   ${laptop.description}: ${laptop.explanation}\n`);
+
+    // Test 16: Recurring charges (subscriptions and weekly habits)
+    console.log('Test 16: Detecting recurring charges...');
+    const recurring = RecurringDetector.detect([
+      { date: '2024-07-15', category: 'Entertainment', amount: 15.49, description: 'NETFLIX.COM 0715' },
+      { date: '2024-08-15', category: 'Entertainment', amount: 15.49, description: 'Netflix.com 0815' },
+      { date: '2024-09-14', category: 'Entertainment', amount: 15.49, description: 'POS NETFLIX.COM' },
+      { date: '2024-09-02', category: 'Food', amount: 6.5, description: 'Campus coffee' },
+      { date: '2024-09-09', category: 'Food', amount: 6.75, description: 'Campus coffee' },
+      { date: '2024-09-16', category: 'Food', amount: 6.5, description: 'Campus coffee' },
+      { date: '2024-09-17', category: 'Food', amount: 40, description: 'Campus coffee' },
+      { date: '2024-09-03', category: 'Books', amount: 80, description: 'Bookstore' },
+      { date: '2024-09-20', category: 'Books', amount: 75, description: 'Bookstore' },
+      { date: '2024-09-21', category: 'Books', amount: 82, description: 'Bookstore' }
+    ]);
+    const netflix = recurring.find(r => r.merchant === 'netflix');
+    const coffee = recurring.find(r => r.merchant === 'campus coffee');
+    if (recurring.length !== 2 || netflix.cadence !== 'monthly' || netflix.nextExpectedDate !== '2024-10-14' ||
+        netflix.annualizedCost !== 185.88 || coffee.cadence !== 'weekly' || coffee.occurrences !== 3 ||
+        !analyzer.generateSummaryForAI(analyzer.analyzeStudent('STU001')).includes('RECURRING CHARGES:')) {
+      throw new Error('Recurring charges were not detected correctly');
+    }
+    console.log('✅ Recurring charges detected');
+    console.log(`   Netflix: $${netflix.annualizedCost}/year, next on ${netflix.nextExpectedDate}\n`);
+
+    // Test 17: Category envelopes, alerts and transfers between them
+    console.log('Test 17: Checking category envelopes...');
+    const envelopeAnalyzer = new StudentSpendAnalyzer({ asOf: '2024-09-20' });
+    envelopeAnalyzer.loadData({
+      students: [{
+        studentId: 'TEST004', name: 'Envelope Student', semester: 'Fall 2024', monthlyBudget: 500,
+        categoryBudgets: { Food: 200, Books: 100 },
+        transactions: [
+          { date: '2024-09-02', category: 'Books', amount: 130, description: 'Textbook' },
+          { date: '2024-09-03', category: 'Food', amount: 40, description: 'Groceries' }
+        ]
+      }]
+    });
+    const booksBefore = envelopeAnalyzer.analyzeStudent('TEST004').envelopes.find(e => e.category === 'Books');
+    const envelopeAlerts = BudgetAlerts.generateAlerts(envelopeAnalyzer.analyzeStudent('TEST004'), alertRules);
+    const afterTransfer = envelopeAnalyzer.transferBetweenEnvelopes('TEST004', { from: 'Food', to: 'Books', amount: 50 });
+    const booksAfter = afterTransfer.find(e => e.category === 'Books');
+    let overdrawRejected = false;
+    try {
+      envelopeAnalyzer.transferBetweenEnvelopes('TEST004', { from: 'Food', to: 'Books', amount: 500 });
+    } catch {
+      overdrawRejected = true;
+    }
+    if (booksBefore.status !== 'Over Budget' || !envelopeAlerts.some(a => a.ruleId === 'envelope-over-budget') ||
+        booksAfter.allocated !== 150 || booksAfter.status !== 'High' || !overdrawRejected) {
+      throw new Error('Category envelopes were not handled correctly');
+    }
+    console.log('✅ Category envelopes checked');
+    console.log(`   Books: ${booksBefore.utilization}% → ${booksAfter.utilization}% after a $50 transfer\n`);
+
+    // Test 18: Savings goals sharing the budget surplus
+    console.log('Test 18: Tracking savings goals...');
+    const goals = SavingsGoalTracker.track([
+      { name: 'Spring break', targetAmount: 600, currentAmount: 100, deadline: '2025-01-01' },
+      { name: 'Emergency fund', targetAmount: 500, deadline: '2024-10-01', category: 'Savings' },
+      { name: 'Concert', targetAmount: 80, currentAmount: 80, deadline: '2024-12-01' }
+    ], [
+      { date: '2024-09-05', category: 'Savings', amount: 250, description: 'Transfer to savings' }
+    ], { remaining: 300 }, '2024-09-01');
+    const [emergency, concert, springBreak] = goals;
+    if (emergency.saved !== 250 || emergency.requiredMonthly !== 250 || emergency.status !== 'On Track' ||
+        concert.status !== 'Achieved' || springBreak.surplusAvailable !== 50 || springBreak.status !== 'At Risk' ||
+        !analyzer.generateSummaryForAI(analyzer.analyzeStudent('STU001')).includes('New laptop')) {
+      throw new Error('Savings goals were not tracked correctly');
+    }
+    console.log('✅ Savings goals tracked');
+    console.log(`   ${springBreak.name}: needs $${springBreak.requiredMonthly}/month, ${springBreak.status}\n`);
+
+    // Test 19: Peer benchmarks within cohorts, with small cohorts suppressed
+    console.log('Test 19: Benchmarking students against their cohort...');
+    const peerEntry = (id, semester, food, total) => ({
+      student: { studentId: id, semester },
+      analysis: {
+        studentInfo: { id },
+        spending: { total, dailyAverage: total / 10, average: total / 5, transactionCount: 5 },
+        budget: { utilization: total / 10 },
+        categories: food > 0 ? [{ name: 'Food', amount: food }] : []
+      }
+    });
+    const benchmarks = PeerBenchmarker.benchmark([
+      peerEntry('P1', 'Fall 2024', 100, 300),
+      peerEntry('P2', 'Fall 2024', 200, 400),
+      peerEntry('P3', 'Fall 2024', 300, 500),
+      peerEntry('P4', 'Fall 2024', 0, 200),
+      peerEntry('P5', 'Spring 2025', 50, 100)
+    ], { groupBy: 'semester', minCohortSize: 3 });
+    const fall = benchmarks.cohorts.find(c => c.name === 'Fall 2024');
+    // A student budgeting in pounds is compared in dollars (1 GBP = 2 USD here)
+    const poundEntry = peerEntry('P6', 'Fall 2024', 100, 300);
+    poundEntry.analysis.studentInfo.currency = 'GBP';
+    const mixedBenchmarks = PeerBenchmarker.benchmark([...['P1', 'P2', 'P3'].map((id, i) => peerEntry(id, 'Fall 2024', 100, 300 + i * 100)), poundEntry], {
+      minCohortSize: 3,
+      currency: 'USD',
+      convert: (amount, analysis) => (analysis.studentInfo.currency === 'GBP' ? amount * 2 : amount)
+    });
+    const poundTotal = mixedBenchmarks.students.P6.placements.find(p => p.metric === 'Total spending');
+    const topFood = benchmarks.students.P3.placements.find(p => p.metric === 'Food spending');
+    if (fall.categories.Food.median !== 150 || fall.categories.Food.p25 !== 75 ||
+        topFood.percentile !== 88 || topFood.description !== 'Food spending is in the 88th percentile of Fall 2024 students' ||
+        !benchmarks.students.P5.suppressed || benchmarks.cohorts.find(c => c.name === 'Spring 2025').metrics ||
+        poundTotal.value !== 600 || poundTotal.percentile !== 88 || mixedBenchmarks.cohorts[0].categories.Food.p90 !== 170) {
+      throw new Error('Peer benchmarks were not calculated correctly');
+    }
+    console.log('✅ Peer benchmarks calculated');
+    console.log(`   ${topFood.description}\n`);
+
+    // Test 20: Report snapshots, diffs between runs and retention
+    console.log('Test 20: Comparing report history...');
+    const historyDir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-history-'));
+    const reportHistory = new ReportHistory({ reportsDir: historyDir, maxRuns: 2 });
+    const snapshot = (total, status, categories, alerts) => ({
+      metadata: { generatedAt: '2024-09-06T00:00:00.000Z' },
+      financialAnalysis: {
+        spending: { total, transactionCount: categories.length },
+        budget: { periodStart: '2024-09-01', spent: total, utilization: total / 10, status },
+        categories: Object.entries(Object.fromEntries(categories)).map(([name, amount]) => ({ name, amount }))
+      },
+      alerts
+    });
+    try {
+      await reportHistory.saveSnapshot('run-1', 'STU001_financial_report.json', snapshot(400, 'Conservative', [['Food', 400]], []));
+      await reportHistory.saveSnapshot('run-2', 'STU001_financial_report.json', snapshot(700, 'Moderate', [['Food', 450]], [
+        { ruleId: 'category-concentration', subject: 'Food', message: 'Food is 64%' }
+      ]));
+      await reportHistory.saveSnapshot('run-3', 'STU001_financial_report.json', snapshot(950, 'Near Limit', [['Food', 450], ['Books', 500]], [
+        { ruleId: 'approaching-limit', message: 'Approaching budget limit (95% used)' }
+      ]));
+      const runDiff = await reportHistory.diff('STU001');
+      const removedRuns = await reportHistory.prune();
+      const remainingRuns = await reportHistory.listRuns('STU001');
+      if (runDiff.fromRunId !== 'run-2' || runDiff.spending.change !== 250 || runDiff.budget.statusAfter !== 'Near Limit' ||
+          runDiff.newCategories.join() !== 'Books' || runDiff.alerts.new[0].ruleId !== 'approaching-limit' ||
+          runDiff.alerts.resolved[0].subject !== 'Food' || removedRuns.join() !== 'run-1' || remainingRuns.length !== 2) {
+        throw new Error('Report history diff was not correct');
+      }
+      console.log('✅ Report history compared');
+      console.log(`   ${runDiff.budget.statusBefore} → ${runDiff.budget.statusAfter}, ${runDiff.alerts.new.length} new alert\n`);
+    } finally {
+      await fs.rm(historyDir, { recursive: true, force: true });
+    }
+
+    // Test 21: Append-only ledger with stable IDs and change fingerprints
+    console.log('Test 21: Storing transactions in the ledger...');
+    const ledgerPath = path.join(os.tmpdir(), `ledger-${process.pid}.jsonl`);
+    try {
+      const ledgerData = {
+        students: [{
+          studentId: 'TEST005', name: 'Ledger Student', semester: 'Fall 2024', monthlyBudget: 400,
+          transactions: [
+            { date: '2024-09-01', category: 'Food', amount: 4.5, description: 'Coffee' },
+            { date: '2024-09-01', category: 'Food', amount: 4.5, description: 'Coffee' },
+            { date: '2024-09-02', category: 'Books', amount: 60, description: 'Workbook' }
+          ]
+        }]
+      };
+      const ledger = new TransactionLedger(ledgerPath);
+      const firstImport = await ledger.importData(ledgerData);
+      const fingerprintBefore = ledger.fingerprint('TEST005');
+      const secondImport = await ledger.importData(ledgerData);
+      const unchangedFingerprint = ledger.fingerprint('TEST005');
+      await ledger.appendTransactions('TEST005', [{ date: '2024-09-03', category: 'Food', amount: 12, description: 'Lunch' }]);
+      // A third identical coffee added later is kept; the same batch again is not
+      const laterCoffee = [{ date: '2024-09-01', category: 'Food', amount: 4.5, description: 'Coffee' }];
+      const thirdCoffee = await ledger.appendTransactions('TEST005', laterCoffee);
+      const repeatedCoffee = await ledger.appendTransactions('TEST005', laterCoffee);
+      const reloadedLedger = await new TransactionLedger(ledgerPath).load();
+      const repeatedAfterReload = await reloadedLedger.appendTransactions('TEST005', laterCoffee);
+
+      // A new budget period (or new alert rules) makes unchanged students stale
+      const ledgerApp = new SpendAnalysisApp({ useAI: false, storage: 'ledger', ledgerPath });
+      await ledgerApp.ledger.load();
+      ledgerApp.analyzer.asOf = '2024-09-20';
+      const septemberFingerprint = ledgerApp.analysisFingerprint('TEST005');
+      ledgerApp.analyzer.asOf = '2024-10-02';
+      const octoberFingerprint = ledgerApp.analysisFingerprint('TEST005');
+      ledgerApp.alertRules = { ...ledgerApp.alertRules, rules: [] };
+      const newRulesFingerprint = ledgerApp.analysisFingerprint('TEST005');
+
+      const ledgerAnalyzer = new StudentSpendAnalyzer();
+      await ledgerAnalyzer.loadDataFromLedger(ledgerPath);
+      const ledgerAnalysis = ledgerAnalyzer.analyzeStudent('TEST005');
+      if (firstImport.transactionsAdded !== 3 || secondImport.entriesWritten !== 0 || secondImport.duplicates !== 3 ||
+          fingerprintBefore !== unchangedFingerprint || ledger.fingerprint('TEST005') === fingerprintBefore ||
+          ledgerAnalysis.spending.transactionCount !== 5 || ledgerAnalysis.spending.total !== 85.5 ||
+          thirdCoffee.transactionsAdded !== 1 || repeatedCoffee.transactionsAdded !== 0 || repeatedAfterReload.transactionsAdded !== 0 ||
+          septemberFingerprint === octoberFingerprint || octoberFingerprint === newRulesFingerprint) {
+        throw new Error('Ledger did not store transactions correctly');
+      }
+      console.log('✅ Ledger deduplicated and reloaded transactions');
+      console.log(`   ${firstImport.transactionsAdded} added, ${secondImport.duplicates} duplicates skipped on re-import\n`);
+    } finally {
+      await fs.rm(ledgerPath, { force: true });
+    }
+
+    // Test 22: Transactions in other currencies are converted before analysis
+    console.log('Test 22: Converting foreign-currency transactions...');
+    const currencyAnalyzer = new StudentSpendAnalyzer({ asOf: '2024-09-30' });
+    currencyAnalyzer.converter.setRates({
+      base: 'USD',
+      rates: { '2024-09-01': { EUR: 0.9 }, '2024-09-05': { EUR: 0.92 } }
+    });
+    const currencyReport = DataValidator.validate({
+      students: [{
+        studentId: 'TEST006', name: 'Exchange Student', semester: 'Fall 2024', monthlyBudget: 500, baseCurrency: ' eur',
+        transactions: [
+          { date: '2024-09-02', category: 'Food', amount: 50, description: 'Groceries' },
+          { date: '2024-09-03', category: 'Books', amount: 20, currency: 'USD', description: 'E-book' },
+          { date: '2024-09-04', category: 'Food', amount: 10, currency: 'Euro', description: 'Bad currency' }
+        ]
+      }]
+    }, { repair: true });
+    currencyAnalyzer.loadData(currencyReport.data);
+    const currencyAnalysis = currencyAnalyzer.analyzeStudent('TEST006');
+    const converted = currencyAnalysis.currency.convertedTransactions;
+    const currencySummary = currencyAnalyzer.generateSummaryForAI(currencyAnalysis);
+    if (currencyAnalysis.studentInfo.currency !== 'EUR' || currencyAnalysis.budget.spent !== 68 ||
+        converted.length !== 1 || converted[0].originalAmount !== 20 || converted[0].originalCurrency !== 'USD' ||
+        converted[0].amount !== 18 || !currencySummary.includes('Total Spent: €68.00') ||
+        currencyReport.summary.errors !== 1) {
+      throw new Error('Foreign-currency transactions were not converted correctly');
+    }
+
+    // Codes missing from the rate table are rejected when the data loads, and a
+    // student who gets past that only fails their own alerts, export row and emails
+    const unratedReport = DataValidator.validate({
+      students: [
+        { studentId: 'TEST007', name: 'Yen Student', semester: 'Fall 2024', monthlyBudget: 500, baseCurrency: 'JPY', transactions: [] },
+        { studentId: 'TEST008', name: 'Rand Student', semester: 'Fall 2024', monthlyBudget: 500, transactions: [
+          { date: '2024-09-02', category: 'Food', amount: 50, currency: 'ZAR', description: 'Groceries' },
+          { date: '2024-09-03', category: 'Food', amount: 5, currency: 'EUR', description: 'Snack' }
+        ] }
+      ]
+    }, { currencies: currencyAnalyzer.getCurrencies() });
+    const unratedDir = await fs.mkdtemp(path.join(os.tmpdir(), 'unrated-'));
+    try {
+      const unratedApp = new SpendAnalysisApp({ useAI: false, storage: 'json', reportsDir: unratedDir });
+      await unratedApp.loadData();
+      unratedApp.analyzer.data.students.push({
+        studentId: 'TEST009', name: 'Unrated Student', semester: 'Fall 2024', monthlyBudget: 100,
+        transactions: [{ date: '2024-09-02', category: 'Food', amount: 5, currency: 'ZAR', description: 'Snack' }]
+      });
+      const unratedAlerts = unratedApp.checkAlerts();
+      const unratedExport = await unratedApp.exportResults('csv', path.join(unratedDir, 'students.csv'));
+      const unratedEmails = await unratedApp.sendAlertNotifications({
+        notifier: new AlertNotifier({ transporter: { sendMail: async () => {} }, statePath: path.join(unratedDir, 'log.json') })
+      });
+      if (unratedReport.summary.validStudents !== 1 || unratedReport.summary.errors !== 2 ||
+          unratedReport.data.students[0].transactions.length !== 1 ||
+          unratedAlerts.length !== 4 || !unratedAlerts[3].error?.includes('No exchange rate for ZAR') || unratedAlerts[0].error ||
+          unratedExport.students !== 3 || unratedExport.failed.join(',') !== 'TEST009' ||
+          !unratedEmails.failed.includes('TEST009')) {
+        throw new Error('Currencies without exchange rates were not handled');
+      }
+    } finally {
+      await fs.rm(unratedDir, { recursive: true, force: true });
+    }
+    console.log('✅ Foreign-currency transactions converted');
+    console.log(`   ${converted[0].description}: $${converted[0].originalAmount} → €${converted[0].amount}\n`);
+
+    // Test 23: Versioned prompt templates with student-type variants
+    console.log('Test 23: Rendering prompt templates...');
+    const graduateAnalysis = { ...analysis, studentInfo: { ...analysis.studentInfo, studentType: 'graduate' } };
+    const promptProvider = new MockProvider();
+    const promptInsights = new AIInsightsGenerator({ provider: promptProvider });
+    const graduateResult = await promptInsights.generateInsights(summary, graduateAnalysis);
+    await promptInsights.generatePredictions(analysis.forecast, 'EUR', analysis);
+    const pinnedPrompt = new PromptRegistry({ versions: { insights: 1 } }).render('insights', { ...graduateAnalysis, summary });
+    let duplicateRejected = false;
+    try {
+      promptInsights.prompts.register({ name: 'tips', version: 1, user: 'Tips' });
+    } catch {
+      duplicateRejected = true;
+    }
+    const versions = promptInsights.getPromptVersions(analysis);
+    if (graduateResult.promptVersion !== 'insights@3:graduate' ||
+        !promptProvider.calls[0].messages[1].content.includes('graduate student') ||
+        !promptProvider.calls[1].messages[1].content.includes(`Spent so far: €${analysis.forecast.spentSoFar}`) ||
+        promptProvider.calls[1].temperature !== 0.2 ||
+        pinnedPrompt.id !== 'insights@1' || pinnedPrompt.messages[1].content.includes('graduate student') ||
+        !duplicateRejected || versions.insights !== 'insights@3' || versions.tips !== 'tips@1') {
+      throw new Error('Prompt templates were not rendered correctly');
+    }
+    console.log('✅ Prompt templates rendered');
+    console.log(`   ${graduateResult.promptVersion}, pinned ${pinnedPrompt.id}\n`);
+
+    // Test 24: Structured insights are validated, repaired and retried
+    console.log('Test 24: Validating structured AI insights...');
+    const structuredProvider = new MockProvider({
+      responses: [
+        // Missing alerts, so it has to be sent back
+        '```json\n{"overview": "Fine", "patterns": ["Food first"], "assessment": "OK", "recommendations": []}\n```',
+        // Fixable locally: trailing comma, "High", "15" and a single pattern string
+        'Here you go: {"overview": "Spending is steady", "patterns": "Food is the top category", "assessment": "On track",' +
+          ' "recommendations": [{"action": "Cook at home", "priority": "High", "estimatedMonthlySavings": "15"},], "alerts": []}'
+      ]
+    });
+    const structuredInsights = new AIInsightsGenerator({ provider: structuredProvider });
+    const structuredResult = await structuredInsights.generateInsights(summary, analysis);
+    const recommendation = structuredResult.structured?.recommendations[0];
+    const failingInsights = new AIInsightsGenerator({ provider: new MockProvider({ responses: ['not json at all'] }) });
+    const failedResult = await failingInsights.generateInsights(summary, analysis);
+    if (!structuredResult.success || structuredProvider.calls.length !== 2 ||
+        !structuredProvider.calls[1].messages.at(-1).content.includes('$.alerts: is required') ||
+        recommendation?.priority !== 'high' || recommendation.estimatedMonthlySavings !== 15 ||
+        structuredResult.structured.patterns.length !== 1 || !structuredResult.raw.startsWith('Here you go') ||
+        !structuredResult.validation.repaired || structuredResult.validation.attempts !== 2 ||
+        failedResult.success || failedResult.validation.valid || failedResult.structured.recommendations.length !== 4) {
+      throw new Error('Structured insights were not validated correctly');
+    }
+    console.log('✅ Structured insights validated');
+    console.log(`   ${structuredResult.validation.attempts} attempts, top recommendation: ${recommendation.action}\n`);
+
+    // Test 25: Cached AI answers, usage ledger and per-run spending cap
+    console.log('Test 25: Caching AI responses and tracking cost...');
+    const aiCacheDir = path.join(os.tmpdir(), `ai-cache-${process.pid}`);
+    try {
+      const usageTracker = new UsageTracker({
+        filePath: path.join(aiCacheDir, 'ai-usage.jsonl'),
+        runId: 'test-run',
+        maxRunCost: 0.01,
+        price: { input: 1000, output: 1000 }   // $1 per 1K tokens, so one request passes the cap
+      });
+      const cachedProvider = new MockProvider();
+      const cachedInsights = new AIInsightsGenerator({
+        provider: cachedProvider,
+        cache: new AIResponseCache({ dir: aiCacheDir, ttlHours: 1 }),
+        usage: usageTracker
+      });
+      await cachedInsights.testConnection();
+      const firstAnswer = await cachedInsights.generateInsights(summary, analysis);
+      const cachedAnswer = await cachedInsights.generateInsights(summary, analysis);
+      const cappedTips = await cachedInsights.generateQuickTips(analysis.categories, analysis.budget.status, analysis);
+      const cacheKey = AIResponseCache.key({ provider: 'mock', model: 'mock-model', ...cachedProvider.calls[0] });
+      const expired = await new AIResponseCache({ dir: aiCacheDir, ttlHours: 1 }).get(cacheKey, new Date(Date.now() + 2 * 3600000));
+      const usageLines = (await fs.readFile(path.join(aiCacheDir, 'ai-usage.jsonl'), 'utf8')).trim().split('\n');
+      const usageSummary = usageTracker.summarize({ studentId: 'STU001' });
+      if (cachedProvider.calls.length !== 1 || cachedAnswer.insights !== firstAnswer.insights ||
+          cappedTips !== cachedInsights.generateFallbackTips(analysis.categories) || expired !== null ||
+          usageLines.length !== 2 || usageSummary.requests !== 2 || usageSummary.cachedRequests !== 1 ||
+          usageSummary.byMethod.insights.requests !== 2 || !usageSummary.capReached || usageSummary.estimatedCost <= 0.01) {
+        throw new Error('AI cache or usage tracking did not work');
+      }
+
+      // Prices go by exact model family, and a capped run won't call a model it can't price
+      const priceTable = new UsageTracker({ filePath: path.join(aiCacheDir, 'priced.jsonl') });
+      const unpricedProvider = new MockProvider({ model: 'gpt-4.5-preview' });
+      unpricedProvider.name = 'openai';
+      const unpricedInsights = new AIInsightsGenerator({
+        provider: unpricedProvider,
+        usage: new UsageTracker({ filePath: path.join(aiCacheDir, 'unpriced.jsonl'), maxRunCost: 1 })
+      });
+      const unpricedTips = await unpricedInsights.generateQuickTips(analysis.categories, analysis.budget.status, analysis);
+      await priceTable.record({ provider: 'openai', model: 'gpt-4.5-preview', usage: { promptTokens: 10, completionTokens: 10 } });
+      if (priceTable.estimateCost('openai', 'gpt-4o-mini-2024-07-18', 1000000, 0) !== 0.15 ||
+          priceTable.estimateCost('openai', 'gpt-4-0613', 1000000, 0) !== 30 ||
+          priceTable.estimateCost('openai', 'gpt-4.1', 1000000, 0) !== 2 ||
+          priceTable.hasPrice('openai', 'gpt-4.5-preview') || !priceTable.hasPrice('mock', 'anything') ||
+          unpricedProvider.calls.length !== 0 || unpricedTips !== unpricedInsights.generateFallbackTips(analysis.categories) ||
+          priceTable.summarize().unpricedModels[0] !== 'gpt-4.5-preview') {
+        throw new Error('AI model prices were not matched correctly');
+      }
+      console.log('✅ AI responses cached and usage recorded');
+      console.log(`   ${usageSummary.totalTokens} tokens, estimated $${usageSummary.estimatedCost}\n`);
+    } finally {
+      await fs.rm(aiCacheDir, { recursive: true, force: true });
+    }
+
+    // Test 26: Retries with backoff, request pacing and the concurrent job pipeline
+    console.log('Test 26: Running the analysis pipeline...');
+    const flakyProvider = new MockProvider({
+      responses: (messages, index) => {
+        // Two rate limits, then an answer; a bad request later on is not retried
+        if (index < 2) throw Object.assign(new Error('Rate limit reached'), { status: 429 });
+        if (index === 3) throw Object.assign(new Error('Bad request'), { status: 400 });
+        return 'Tip: cook at home.';
+      }
+    });
+    const retryingInsights = new AIInsightsGenerator({ provider: flakyProvider, maxRetries: 2, retryDelayMs: 1 });
+    const retriedTips = await retryingInsights.generateQuickTips(analysis.categories, analysis.budget.status, analysis);
+    const failedTips = await retryingInsights.generateQuickTips(analysis.categories, analysis.budget.status, analysis);
+
+    const pacer = new RateLimiter({ requestsPerMinute: 6000 });   // one request every 10ms
+    const pacingStart = Date.now();
+    for (let i = 0; i < 3; i++) await pacer.acquire();
+    const pacedMs = Date.now() - pacingStart;
+
+    let running = 0;
+    let mostRunning = 0;
+    const progress = [];
+    const pipeline = new JobPipeline({ concurrency: 2, timeoutMs: 100, onProgress: p => progress.push(p.done) });
+    const jobs = await pipeline.run([30, 'broken', 10, 1000, 20], async (item, signal) => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      try {
+        if (item === 'broken') throw new Error('No data');
+        await new Promise(resolve => setTimeout(resolve, item));
+        signal.throwIfAborted();
+        return item * 2;
+      } finally {
+        running--;
+      }
+    });
+
+    // A student that runs out of time makes no more AI requests
+    const slowProvider = new MockProvider({
+      responses: () => new Promise(resolve => setTimeout(() => resolve('Tip: walk to class.'), 50))
+    });
+    const slowInsights = new AIInsightsGenerator({ provider: slowProvider });
+    const [slowJob] = await new JobPipeline({ timeoutMs: 20 }).run(['STU001'], async (studentId, signal) => {
+      await slowInsights.generateQuickTips(analysis.categories, analysis.budget.status, analysis, { signal });
+      await slowInsights.generatePredictions(analysis.forecast, 'USD', analysis, { signal });
+    });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const pipelineDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pipeline-test-'));
+    try {
+      const pipelineApp = new SpendAnalysisApp({ useAI: false, reportsDir: pipelineDir, concurrency: 3 });
+      await pipelineApp.loadData();
+      const pipelineResults = await pipelineApp.analyzeAllStudents();
+      const savedSummary = JSON.parse(await fs.readFile(path.join(pipelineDir, 'run_summary.json'), 'utf8'));
+      // Without AI the forecast is still explained in the report
+      const noAIReport = JSON.parse(await fs.readFile(path.join(pipelineDir, 'STU001_financial_report.json'), 'utf8'));
+
+      if (retriedTips !== 'Tip: cook at home.' || flakyProvider.calls.length !== 4 ||
+          failedTips !== retryingInsights.generateFallbackTips(analysis.categories) ||
+          retryingInsights.fallbacks.length !== 1 || retryingInsights.fallbacks[0].method !== 'tips' ||
+          !RateLimiter.isRetryable({ code: 'ECONNRESET' }) || RateLimiter.getRetryAfter({ headers: { 'retry-after': '2' } }) !== 2000 ||
+          pacedMs < 18 || mostRunning !== 2 || progress.join(',') !== '1,2,3,4,5' ||
+          jobs.map(j => j.status).join(',') !== 'ok,failed,ok,timeout,ok' || jobs[4].value !== 40 ||
+          slowJob.status !== 'timeout' || slowProvider.calls.length !== 1 || slowInsights.fallbacks.length !== 0 ||
+          pipelineResults.map(r => r?.studentId).join(',') !== 'STU001,STU002,STU003' ||
+          savedSummary.total !== 3 || savedSummary.succeeded !== 3 || savedSummary.concurrency !== 3 ||
+          !noAIReport.predictions?.includes('Projected spending this period')) {
+        throw new Error('Pipeline, retries or rate limiting did not work');
+      }
+    } finally {
+      await fs.rm(pipelineDir, { recursive: true, force: true });
+    }
+    console.log('✅ Retries, pacing, time limits and parallel analysis work\n');
+
+    // Test 27: Personal details are redacted before prompts leave, and restored after
+    console.log('Test 27: Redacting personal details from AI prompts...');
+    const people = [{ id: 'STU001', name: 'Alice Johnson' }, { id: 'STU002', name: 'Bob Wilson' }];
+    const redactor = new PIIRedactor({ policy: 'strict', salt: 'test-salt', auditPath: null, people });
+    const alias = redactor.pseudonym('STU001');
+    const privateProvider = new MockProvider({ responses: () => `Nice work, ${alias.name} (${alias.id})!` });
+    const privateInsights = new AIInsightsGenerator({ provider: privateProvider, redactor });
+    const privateReply = await privateInsights.complete([{
+      role: 'user',
+      content: 'Name: Alice Johnson (STU001)\nVenmo to Mark Lee\nRefund alice.j@example.edu, call 555-123-4567\n' +
+        'Card ending 4421\nSplit rent with Bob, see STU002\nBus fare to Campus'
+    }], { track: { studentId: 'STU001', method: 'test' }, student: { id: 'STU001', name: 'Alice Johnson' } });
+    const sentPrompt = privateProvider.calls[0].messages[0].content;
+    const audit = redactor.entries[0];
+    const leaks = redactor.findLeaks([{ content: 'Tips for Alice: call 555-123-4567' }], { id: 'STU001', name: 'Alice Johnson' });
+    const relaxed = new PIIRedactor({ policy: 'redact', salt: 'test-salt', auditPath: null, people }).redact([{ content: 'Split rent with Bob' }], { id: 'STU001' });
+    const wordsLikeNames = new PIIRedactor({ policy: 'strict', salt: 'test-salt', auditPath: null, people: [...people, { id: 'STU003', name: 'Will Park' }] })
+      .redact([{ content: 'If you will go over budget, skip the park fees. Will Park paid WILL PARK.' }], { id: 'STU001' });
+    const saltDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pii-salt-'));
+    const saltPath = path.join(saltDir, 'pii-salt');
+    const generatedSalt = await new PIIRedactor({ auditPath: null, saltPath }).loadSalt();
+    const reloadedSalt = await new PIIRedactor({ auditPath: null, saltPath }).loadSalt();
+    await fs.rm(saltDir, { recursive: true, force: true });
+    if (/Alice|Johnson|STU001|STU002|Mark Lee|Bob|example\.edu|555-123|4421/.test(sentPrompt) ||
+        !sentPrompt.includes(alias.name) || !sentPrompt.includes('Bus fare to Campus') ||
+        privateReply.content !== 'Nice work, Alice Johnson (STU001)!' ||
+        audit.blocked || audit.redactions.name !== 1 || audit.redactions.studentId !== 1 || audit.redactions.person !== 1 ||
+        audit.redactions.email !== 1 || audit.redactions.phone !== 1 || audit.redactions.card !== 1 ||
+        audit.redactions.otherName !== 1 || audit.redactions.otherStudentId !== 1 || JSON.stringify(audit).includes('Alice') ||
+        leaks.join(',') !== 'name,phone' || relaxed.messages[0].content !== 'Split rent with Bob' ||
+        wordsLikeNames.messages[0].content !== 'If you will go over budget, skip the park fees. [NAME] paid [NAME].' ||
+        generatedSalt.length !== 64 || reloadedSalt !== generatedSalt) {
+      throw new Error('PII redaction did not work');
+    }
+    console.log('✅ Names, IDs and contact details redacted; real names restored locally\n');
+
+    // Test 28: Figures in AI replies are checked against the analysis
+    console.log('Test 28: Checking figures in AI replies...');
+    const verifier = new InsightVerifier({ categoryNames: ['Food', 'Books', 'Entertainment', 'Supplies', 'Transportation', 'Utilities'] });
+    const correctText = `You've spent $${analysis.budget.spent} (${analysis.budget.utilization}%) so far, mostly on ${analysis.categories[0].name}. ` +
+      'Try to save $25 a week.';
+    const wrongText = "You've spent $4,321.00, which is 87% of your budget. Your Utilities bill is high.";
+    const correct = verifier.verify(correctText, analysis);
+    const wrong = verifier.verify(wrongText, analysis);
+    const wordsVerifier = new InsightVerifier({ categoryNames: ['Savings', 'Other', 'Food'] });
+    const plainWords = wordsVerifier.verify('Your savings goal matters. On the other hand, food is cheap.', analysis);
+    const countAsAmount = verifier.verify(`You made ${analysis.spending.transactionCount} purchases costing $${analysis.spending.transactionCount}.`, analysis);
+
+    const checkingProvider = new MockProvider({ responses: (messages, index) => (index === 1 ? correctText : wrongText) });
+    const checkingInsights = new AIInsightsGenerator({ provider: checkingProvider, verifier });
+    const checkedTips = await checkingInsights.generateQuickTips(analysis.categories, analysis.budget.status, analysis);
+    const checkedPredictions = await checkingInsights.generatePredictions(analysis.forecast, 'USD', analysis);
+    const verifications = checkingInsights.getVerifications('STU001');
+    if (correct.status !== 'verified' || correct.checked.amounts !== 1 || correct.checked.percentages !== 1 ||
+        wrong.status !== 'flagged' || wrong.issues.map(i => i.type).join(',') !== 'amount,percentage,category' ||
+        plainWords.status !== 'verified' || plainWords.checked.categories !== 0 ||
+        countAsAmount.status !== 'flagged' || countAsAmount.issues[0].type !== 'amount' ||
+        checkedTips !== correctText || verifications.tips.status !== 'verified' || verifications.tips.attempts !== 2 ||
+        checkingProvider.calls[1].messages.at(-1).content.indexOf('4321') === -1 ||
+        checkedPredictions !== AIInsightsGenerator.generateFallbackPredictions(analysis.forecast, 'USD') ||
+        !verifications.predictions.replacedWithFallback || checkingInsights.fallbacks[0].method !== 'predictions') {
+      throw new Error('Figure checking did not work');
+    }
+    console.log('✅ Wrong figures flagged, corrected on retry or replaced with fallback text\n');
+
+    // Test 29: Reports saved in parallel all end up in the run's history
+    console.log('Test 29: Saving report snapshots in parallel...');
+    const parallelDir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-history-'));
+    const parallelHistory = new ReportHistory({ reportsDir: parallelDir });
+    const parallelIds = ['STU001', 'STU002', 'STU003', 'STU004', 'STU005'];
+    try {
+      await Promise.all(parallelIds.map(id =>
+        parallelHistory.saveSnapshot('run-parallel', parallelHistory.reportFileName(id), { studentId: id })));
+      const manifest = JSON.parse(await fs.readFile(path.join(parallelDir, 'history', 'run-parallel', 'run.json'), 'utf8'));
+      const runsPerStudent = await Promise.all(parallelIds.map(id => parallelHistory.listRuns(id)));
+      if (manifest.files.length !== parallelIds.length || runsPerStudent.some(runs => runs.length !== 1)) {
+        throw new Error('Parallel snapshots were missing from the run manifest');
+      }
+      console.log('✅ Every parallel snapshot recorded');
+      console.log(`   ${manifest.files.length} reports in run-parallel\n`);
+    } finally {
+      await fs.rm(parallelDir, { recursive: true, force: true });
+    }
+
+    // Test 30: Importing a statement from the command line saves it to the data file
+    console.log('Test 30: Importing a bank statement with the CLI...');
+    const importDir = await fs.mkdtemp(path.join(os.tmpdir(), 'statement-import-'));
+    try {
+      const importDataPath = path.join(importDir, 'students.json');
+      const statementPath = path.join(importDir, 'bank.csv');
+      await fs.writeFile(importDataPath, JSON.stringify({
+        students: [{ studentId: 'TEST030', name: 'Import Student', semester: 'Fall 2024', monthlyBudget: 500,
+          transactions: [{ date: '2024-09-01', category: 'Food', amount: 10, description: 'Lunch' }] }]
+      }));
+      await fs.writeFile(statementPath, 'Date,Description,Amount\n2024-09-03,Campus Bookstore,-42.10\n04/09/2024,Coffee,-3.50\n');
+
+      const importApp = options => new SpendAnalysisApp({ ...options, useAI: false, storage: 'json' });
+      const importCode = await runCli(['import', statementPath, '--student', 'TEST030', '--date-format', 'DD/MM/YYYY',
+        '--data', importDataPath, '--reports', importDir, '--quiet'], { createApp: importApp });
+      const missingStudentCode = await runCli(['import', statementPath, '--quiet'], { createApp: importApp });
+      const saved = JSON.parse(await fs.readFile(importDataPath, 'utf8')).students[0].transactions;
+      if (importCode !== EXIT_CODES.OK || missingStudentCode !== EXIT_CODES.USAGE || saved.length !== 3 ||
+          saved[2].date !== '2024-09-04' || saved[1].amount !== 42.1) {
+        throw new Error('Imported statement was not saved');
+      }
+      console.log('✅ Statement imported and saved');
+      console.log(`   ${saved.length - 1} transactions added to the data file\n`);
+    } finally {
+      await fs.rm(importDir, { recursive: true, force: true });
+    }
+
+    // Test 31: Malformed data files are reported instead of crashing, and validate can repair
+    console.log('Test 31: Loading and validating malformed data...');
+    const badDataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-data-'));
+    try {
+      const noStudentsPath = path.join(badDataDir, 'no-students.json');
+      const oddDescriptionPath = path.join(badDataDir, 'odd-description.json');
+      const repairedPath = path.join(badDataDir, 'repaired.json');
+      await fs.writeFile(noStudentsPath, JSON.stringify({ people: [] }));
+      await fs.writeFile(oddDescriptionPath, JSON.stringify({
+        students: [{ studentId: 'TEST031', name: 'Odd Description', semester: 'Fall 2024', monthlyBudget: 300, transactions: [
+          { date: '2024-09-01', amount: 12, description: 42 },
+          { date: '09/02/2024', category: 'Food', amount: '8.50', description: 'Lunch' }
+        ] }]
+      }));
+
+      const loadQuietly = async dataPath => {
+        const originalLog = console.log;
+        const originalError = console.error;
+        console.log = () => {};
+        console.error = () => {};
+        try {
+          return await new SpendAnalysisApp({ useAI: false, storage: 'json', dataPath }).loadData();
+        } finally {
+          console.log = originalLog;
+          console.error = originalError;
+        }
+      };
+      const noStudentsLoaded = await loadQuietly(noStudentsPath);
+      const oddDescriptionLoaded = await loadQuietly(oddDescriptionPath);
+      const strictCode = await runCli(['validate', oddDescriptionPath, '--quiet'], { createApp: noApp });
+      const repairCode = await runCli(['validate', oddDescriptionPath, '--repair', '-o', repairedPath, '--quiet'], { createApp: noApp });
+      const repairedTransactions = JSON.parse(await fs.readFile(repairedPath, 'utf8')).students[0].transactions;
+      if (noStudentsLoaded !== false || oddDescriptionLoaded !== true || strictCode !== EXIT_CODES.DATA ||
+          repairCode !== EXIT_CODES.DATA || repairedTransactions.length !== 1 || repairedTransactions[0].amount !== 8.5) {
+        throw new Error('Malformed data was not handled');
+      }
+      console.log('✅ Malformed data reported and repaired');
+      console.log(`   ${repairedTransactions.length} transaction kept after repair\n`);
+    } finally {
+      await fs.rm(badDataDir, { recursive: true, force: true });
+    }
+
+    // Test 32: Envelope transfers made through the API are saved
+    console.log('Test 32: Saving envelope transfers...');
+    const transferDir = await fs.mkdtemp(path.join(os.tmpdir(), 'envelope-transfers-'));
+    const transferDataPath = path.join(transferDir, 'students.json');
+    const transferLedgerPath = path.join(transferDir, 'ledger.jsonl');
+    await fs.copyFile('./data/student-data.json', transferDataPath);
+    const transferApp = new SpendAnalysisApp({ useAI: false, storage: 'json', dataPath: transferDataPath, reportsDir: transferDir });
+    await transferApp.loadData();
+    const transferServer = await startApiServer(transferApp, 0);
+    try {
+      const transferUrl = `http://127.0.0.1:${transferServer.address().port}/students/STU003/envelopes/transfers`;
+      const postTransfer = body => fetch(transferUrl, { method: 'POST', body: JSON.stringify(body) });
+      const moved = await postTransfer({ from: 'Entertainment', to: 'Food', amount: 10, date: '2024-09-15' });
+      const prototypeKey = await postTransfer({ from: 'constructor', to: 'Food', amount: 1, date: '2024-09-15' });
+      // Two transfers at once that each fit, but not together: only one goes through.
+      // Transactions posted at the same time all end up in the data file.
+      const carol = transferApp.analyzer.data.students[2];
+      const leftover = transferApp.analyzer.analyzeEnvelopes(carol, transferApp.analyzer.getPeriodOf('2024-09-15'))
+        .find(e => e.category === 'Entertainment').remaining;
+      const racing = await Promise.all([1, 2].map(() =>
+        postTransfer({ from: 'Entertainment', to: 'Food', amount: parseFloat((leftover * 0.6).toFixed(2)), date: '2024-09-15' })));
+      await Promise.all([1, 2, 3].map(n => fetch(transferUrl.replace('envelopes/transfers', 'transactions'), {
+        method: 'POST',
+        body: JSON.stringify({ date: '2024-09-16', category: 'Food', amount: n, description: `Snack ${n}` })
+      })));
+      const savedData = JSON.parse(await fs.readFile(transferDataPath, 'utf8'));
+      const savedTransfers = savedData.students[2].envelopeTransfers;
+      const savedSnacks = savedData.students[2].transactions.filter(t => t.description.startsWith('Snack '));
+
+      const transferLedger = new TransactionLedger(transferLedgerPath);
+      await transferLedger.importData({ students: [{ studentId: 'TEST032', name: 'Envelope Student', monthlyBudget: 300,
+        categoryBudgets: { Food: 200, Books: 100 }, transactions: [] }] });
+      await transferLedger.appendEnvelopeTransfer('TEST032', { date: '2024-09-15', from: 'Food', to: 'Books', amount: 25 });
+      const ledgerTransfers = (await new TransactionLedger(transferLedgerPath).load()).toData().students[0].envelopeTransfers;
+
+      if (moved.status !== 201 || prototypeKey.status !== 400 || savedTransfers?.length !== 2 || savedTransfers[0].amount !== 10 ||
+          racing.map(r => r.status).sort().join(',') !== '201,400' || carol.envelopeTransfers.length !== 2 || savedSnacks.length !== 3 ||
+          ledgerTransfers?.length !== 1 || ledgerTransfers[0].to !== 'Books') {
+        throw new Error('Envelope transfers were not saved');
+      }
+      console.log('✅ Envelope transfers saved to the data file and the ledger\n');
+    } finally {
+      transferServer.close();
+      await fs.rm(transferDir, { recursive: true, force: true });
+    }
+
     console.log('🎉 All tests passed!');
 
   } catch (error) {
@@ -36,6 +1056,44 @@ async function testApplication() {
   }
 }
 
+// Minimal SMTP server that accepts every message and keeps it in memory
+function startSmtpSink() {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let inData = false;
+    let buffer = '';
+    socket.write('220 localhost ESMTP test sink\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let lineEnd;
+      while ((lineEnd = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 OK\r\n');
+          } else {
+            messages[messages.length - 1] += `${line}\n`;
+          }
+        } else if (/^DATA/i.test(line)) {
+          inData = true;
+          messages.push('');
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.address().port }));
+  });
+}
+
 testApplication();
 
 